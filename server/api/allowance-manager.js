@@ -0,0 +1,52 @@
+// Copyright (c) 2025 Bulwk. All rights reserved.
+// Licensed under Bulwk Proprietary License
+// Full terms: ipfs://QmeHNrhouvtuaoMF93uCMf6rLJCmGu7fP8Tq8MmUntMN3D
+
+import { MaxUint256 } from 'ethers'
+import { decodeNfpmCalls } from './shadow-encoder.js'
+
+/**
+ * ERC20 allowance policy (config.allowances)
+ *
+ * - mode 'infinite': spenders get max-uint256 once and keep it (fewest approval txs)
+ * - mode 'exact': every transaction is preceded by an approval of exactly what it pulls
+ * - revokeAfterIntent: allowances the daemon manages are set back to zero once no intent is running
+ *
+ * Allowances at or above INFINITE_ALLOWANCE_THRESHOLD are treated as unlimited
+ * (some tokens decrement max-uint256 on transferFrom, so it's not an exact match).
+ */
+
+export const ALLOWANCE_MODES = ['infinite', 'exact']
+
+export const INFINITE_ALLOWANCE_THRESHOLD = 2n ** 128n
+
+export function isInfiniteAllowance(allowance) {
+  return BigInt(allowance) >= INFINITE_ALLOWANCE_THRESHOLD
+}
+
+/**
+ * Amount to approve for a transaction that needs `required`
+ */
+export function getApprovalAmount(mode, required) {
+  return mode === 'exact' ? BigInt(required) : MaxUint256
+}
+
+/**
+ * Tokens an NFPM transaction pulls from the wallet: lowercased token -> amount
+ * (sum of amount0Desired / amount1Desired over every mint in the multicall)
+ */
+export function getNfpmTokenPulls(data) {
+  const pulls = new Map()
+  const add = (token, amount) => {
+    const key = token.toLowerCase()
+    pulls.set(key, (pulls.get(key) || 0n) + BigInt(amount))
+  }
+
+  for (const call of decodeNfpmCalls(data)) {
+    if (call.name === 'mint') {
+      add(call.params.token0, call.params.amount0Desired)
+      add(call.params.token1, call.params.amount1Desired)
+    }
+  }
+  return pulls
+}
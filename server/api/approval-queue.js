@@ -0,0 +1,104 @@
+// Copyright (c) 2025 Bulwk. All rights reserved.
+// Licensed under Bulwk Proprietary License
+// Full terms: ipfs://QmeHNrhouvtuaoMF93uCMf6rLJCmGu7fP8Tq8MmUntMN3D
+
+import fs from 'fs'
+import path from 'path'
+import os from 'os'
+
+/**
+ * Persisted list of intents awaiting manual approval
+ *
+ * Verified intents that need an operator decision are parked here instead of
+ * going into pendingIntents. Entries survive restarts and expire at the earlier
+ * of the approval timeout and the intent's own deadline.
+ */
+class ApprovalQueue {
+  constructor(filePath = path.join(os.homedir(), '.balancer', 'approvals.json')) {
+    this.filePath = filePath
+    this.entries = this.load()
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return []
+      }
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+      return Array.isArray(data.entries) ? data.entries : []
+    } catch (error) {
+      console.error('❌ Error loading approval queue:', error.message)
+      return []
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+      fs.writeFileSync(this.filePath, JSON.stringify({ entries: this.entries }, null, 2))
+    } catch (error) {
+      console.error('❌ Error saving approval queue:', error.message)
+    }
+  }
+
+  /**
+   * Park an intent until it is approved, rejected or times out
+   */
+  park(intent, { reasons, plan, timeoutMinutes }) {
+    const now = Date.now()
+    let expiresAt = now + timeoutMinutes * 60 * 1000
+    if (intent.deadline) {
+      expiresAt = Math.min(expiresAt, intent.deadline * 1000)
+    }
+
+    const entry = {
+      intentId: intent.intentId,
+      action: intent.action,
+      intent,
+      reasons,
+      plan,
+      parkedAt: new Date(now).toISOString(),
+      expiresAt: new Date(expiresAt).toISOString()
+    }
+
+    this.entries = this.entries.filter(e => e.intentId !== intent.intentId)
+    this.entries.push(entry)
+    this.save()
+    return entry
+  }
+
+  get(intentId) {
+    return this.entries.find(e => e.intentId === intentId) || null
+  }
+
+  list() {
+    return [...this.entries]
+  }
+
+  /**
+   * Remove and return an entry (null if it isn't parked)
+   */
+  take(intentId) {
+    const entry = this.get(intentId)
+    if (!entry) {
+      return null
+    }
+    this.entries = this.entries.filter(e => e.intentId !== intentId)
+    this.save()
+    return entry
+  }
+
+  /**
+   * Remove and return every entry whose approval window has passed
+   */
+  takeExpired(now = Date.now()) {
+    const expired = this.entries.filter(e => new Date(e.expiresAt).getTime() <= now)
+    if (expired.length > 0) {
+      this.entries = this.entries.filter(e => new Date(e.expiresAt).getTime() > now)
+      this.save()
+    }
+    return expired
+  }
+}
+
+export default ApprovalQueue
@@ -0,0 +1,219 @@
+// Copyright (c) 2025 Bulwk. All rights reserved.
+// Licensed under Bulwk Proprietary License
+// Full terms: ipfs://QmeHNrhouvtuaoMF93uCMf6rLJCmGu7fP8Tq8MmUntMN3D
+
+import { Interface, Network, WebSocketProvider, zeroPadValue } from 'ethers'
+
+/**
+ * On-chain event source for the daemon (instead of waiting for platform webhooks)
+ *
+ * With a wsUrl, new heads and logs arrive over eth_subscribe. Without one, or
+ * while the WebSocket is down or silent for WS_STALE_MS, new heads are polled
+ * over the shared HTTP provider and the logs of each new block range are
+ * fetched with eth_getLogs. Either way the daemon gets:
+ * - onSwap({ tick, sqrtPriceX96, blockNumber }) for every pool Swap
+ * - onTransfer({ token, from, amount, blockNumber }) for token Transfers into the wallet
+ */
+
+const POLL_INTERVAL_MS = 2000
+const WS_STALE_MS = 30 * 1000 // No head over the WebSocket for this long -> poll
+const WS_RETRY_MS = 60 * 1000
+const MAX_LOG_RANGE = 500 // Blocks per eth_getLogs after falling behind (older ones are skipped)
+
+const EVENTS = new Interface([
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+])
+const SWAP_TOPIC = EVENTS.getEvent('Swap').topicHash
+const TRANSFER_TOPIC = EVENTS.getEvent('Transfer').topicHash
+
+class ChainWatcher {
+  /**
+   * @param {object} options
+   * @param {() => Promise<object>} options.getProvider - shared HTTP provider (polling fallback)
+   * @param {string|null} options.wsUrl - WebSocket RPC for eth_subscribe (null = poll only)
+   * @param {number} options.chainId
+   * @param {string} options.poolAddress
+   * @param {string[]} options.tokenAddresses - tokens whose incoming transfers are reported
+   * @param {string} options.walletAddress
+   * @param {(swap) => void} options.onSwap
+   * @param {(transfer) => void} options.onTransfer
+   * @param {(message: string, level?: string) => void} [options.log]
+   */
+  constructor({ getProvider, wsUrl, chainId, poolAddress, tokenAddresses, walletAddress, onSwap, onTransfer, log = console.log }) {
+    this.getProvider = getProvider
+    this.wsUrl = wsUrl || null
+    this.network = Network.from(chainId)
+    this.poolAddress = poolAddress
+    this.tokenAddresses = tokenAddresses
+    this.walletAddress = walletAddress
+    this.onSwap = onSwap
+    this.onTransfer = onTransfer
+    this.log = log
+
+    this.wsProvider = null
+    this.wsRetryTimer = null
+    this.pollInterval = null
+    this.isPolling = false
+    this.lastBlock = null // Last block whose logs were handled
+    this.lastBlockAt = null
+    this.lastWsBlockAt = null
+  }
+
+  start() {
+    if (this.pollInterval) {
+      return
+    }
+
+    if (this.wsUrl) {
+      this.connectWebSocket()
+    }
+    this.pollInterval = setInterval(() => this.poll(), POLL_INTERVAL_MS)
+    this.log(`👀 Watching pool swaps and wallet transfers (${this.wsUrl ? 'WebSocket, polling fallback' : 'polling new heads'})`)
+  }
+
+  stop() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval)
+      this.pollInterval = null
+    }
+    if (this.wsRetryTimer) {
+      clearTimeout(this.wsRetryTimer)
+      this.wsRetryTimer = null
+    }
+    this.closeWebSocket()
+  }
+
+  isWebSocketLive() {
+    return Boolean(this.wsProvider && this.lastWsBlockAt && Date.now() - this.lastWsBlockAt < WS_STALE_MS)
+  }
+
+  getStatus() {
+    return {
+      mode: this.isWebSocketLive() ? 'websocket' : 'polling',
+      webSocketConfigured: Boolean(this.wsUrl),
+      lastBlock: this.lastBlock,
+      lastBlockAt: this.lastBlockAt ? new Date(this.lastBlockAt).toISOString() : null
+    }
+  }
+
+  connectWebSocket() {
+    try {
+      const provider = new WebSocketProvider(this.wsUrl, this.network, { staticNetwork: this.network })
+      // ethers leaves socket errors unhandled - without these a dropped connection crashes the daemon
+      provider.websocket.onerror = error => this.handleWebSocketDown(`error: ${error.message || 'connection failed'}`)
+      provider.websocket.onclose = () => this.handleWebSocketDown('closed')
+      this.wsProvider = provider
+
+      provider.on('block', blockNumber => {
+        this.lastWsBlockAt = Date.now()
+        this.markBlock(blockNumber)
+      })
+      provider.on({ address: this.poolAddress, topics: [SWAP_TOPIC] }, log => this.handleLog(log))
+      provider.on({ address: this.tokenAddresses, topics: [TRANSFER_TOPIC, null, zeroPadValue(this.walletAddress, 32)] }, log => this.handleLog(log))
+    } catch (error) {
+      this.handleWebSocketDown(error.message)
+    }
+  }
+
+  closeWebSocket() {
+    if (!this.wsProvider) {
+      return
+    }
+    const provider = this.wsProvider
+    this.wsProvider = null
+    this.lastWsBlockAt = null
+    provider.websocket.onclose = null
+    provider.websocket.onerror = null
+    provider.destroy().catch(() => {})
+  }
+
+  handleWebSocketDown(reason) {
+    if (!this.wsProvider || !this.pollInterval) {
+      return
+    }
+    this.log(`⚠️  Chain WebSocket ${reason} - polling new heads, reconnecting in ${WS_RETRY_MS / 1000}s`, 'warn')
+    this.closeWebSocket()
+
+    this.wsRetryTimer = setTimeout(() => {
+      this.wsRetryTimer = null
+      if (this.pollInterval) {
+        this.connectWebSocket()
+      }
+    }, WS_RETRY_MS)
+  }
+
+  markBlock(blockNumber) {
+    if (this.lastBlock === null || blockNumber > this.lastBlock) {
+      this.lastBlock = blockNumber
+      this.lastBlockAt = Date.now()
+    }
+  }
+
+  /**
+   * Polling fallback: fetch the logs of blocks the WebSocket didn't deliver
+   */
+  async poll() {
+    if (this.isPolling || this.isWebSocketLive()) {
+      return
+    }
+    this.isPolling = true
+
+    try {
+      const provider = await this.getProvider()
+      const head = await provider.getBlockNumber()
+
+      if (this.lastBlock === null) {
+        // First head: start watching from here, nothing to catch up on
+        this.markBlock(head)
+        return
+      }
+      if (head <= this.lastBlock) {
+        return
+      }
+
+      const fromBlock = Math.max(this.lastBlock + 1, head - MAX_LOG_RANGE + 1)
+      const [swaps, transfers] = await Promise.all([
+        provider.getLogs({ address: this.poolAddress, topics: [SWAP_TOPIC], fromBlock, toBlock: head }),
+        provider.getLogs({ address: this.tokenAddresses, topics: [TRANSFER_TOPIC, null, zeroPadValue(this.walletAddress, 32)], fromBlock, toBlock: head })
+      ])
+
+      for (const log of [...swaps, ...transfers].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)) {
+        this.handleLog(log)
+      }
+      this.markBlock(head)
+    } catch (error) {
+      this.log(`⚠️  Chain watch poll failed: ${error.shortMessage || error.message}`, 'warn')
+    } finally {
+      this.isPolling = false
+    }
+  }
+
+  handleLog(log) {
+    try {
+      const parsed = EVENTS.parseLog(log)
+      if (!parsed) {
+        return
+      }
+
+      if (parsed.name === 'Swap' && log.address.toLowerCase() === this.poolAddress.toLowerCase()) {
+        this.onSwap({
+          tick: Number(parsed.args.tick),
+          sqrtPriceX96: parsed.args.sqrtPriceX96,
+          blockNumber: log.blockNumber
+        })
+      } else if (parsed.name === 'Transfer' && parsed.args.to.toLowerCase() === this.walletAddress.toLowerCase()) {
+        this.onTransfer({
+          token: log.address,
+          from: parsed.args.from,
+          amount: parsed.args.value,
+          blockNumber: log.blockNumber
+        })
+      }
+    } catch (error) {
+      this.log(`⚠️  Could not handle chain log ${log.transactionHash}: ${error.message}`, 'warn')
+    }
+  }
+}
+
+export default ChainWatcher
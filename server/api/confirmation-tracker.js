@@ -0,0 +1,190 @@
+// Copyright (c) 2025 Bulwk. All rights reserved.
+// Licensed under Bulwk Proprietary License
+// Full terms: ipfs://QmeHNrhouvtuaoMF93uCMf6rLJCmGu7fP8Tq8MmUntMN3D
+
+import fs from 'fs'
+import path from 'path'
+import os from 'os'
+
+/**
+ * Persisted reorg watch for transactions already reported to the platform
+ *
+ * Receipts are reported as soon as the first tx.wait() resolves. Each of their
+ * transactions that was mined successfully is kept here under the mined hash,
+ * with the block hash it was first seen in, and is re-checked once the chain
+ * is `depth` blocks past it:
+ * - same receipt (or re-mined successfully in another block) -> final, dropped
+ * - receipt gone or now reverted on two consecutive checks -> onDisappeared(entry, txs),
+ *   which sends the correction. The entry stays until the correction is delivered.
+ */
+
+const CHECK_INTERVAL_MS = 15000
+const MISSING_CHECKS_BEFORE_CORRECTION = 2 // Tolerates one read from a lagging RPC
+
+class ConfirmationTracker {
+  /**
+   * @param {object} options
+   * @param {() => Promise<object>} options.getProvider
+   * @param {() => Promise<number>} options.getDepth - confirmations before a receipt is final (0 = off)
+   * @param {(entry, txs) => Promise<boolean>} options.onDisappeared - true once the correction was delivered
+   * @param {(message: string, level?: string) => void} [options.log]
+   */
+  constructor({ getProvider, getDepth, onDisappeared, log = console.log }, filePath = path.join(os.homedir(), '.balancer', 'confirmations.json')) {
+    this.getProvider = getProvider
+    this.getDepth = getDepth
+    this.onDisappeared = onDisappeared
+    this.log = log
+    this.filePath = filePath
+    this.entries = this.load()
+    this.checkInterval = null
+    this.isChecking = false
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return []
+      }
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+      return Array.isArray(data.entries) ? data.entries : []
+    } catch (error) {
+      console.error('❌ Error loading confirmation tracker:', error.message)
+      return []
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+      fs.writeFileSync(this.filePath, JSON.stringify({ entries: this.entries }, null, 2))
+    } catch (error) {
+      console.error('❌ Error saving confirmation tracker:', error.message)
+    }
+  }
+
+  /**
+   * Watch the transactions of a reported receipt until they are final
+   */
+  watch(intentId, { status, txHashes, blockNumbers = [] }) {
+    const txs = txHashes
+      .map((hash, i) => ({ hash, blockNumber: blockNumbers[i] ?? null, blockHash: null }))
+      .filter(tx => tx.hash)
+    if (txs.length === 0) {
+      return
+    }
+
+    this.entries = this.entries.filter(entry => entry.intentId !== intentId)
+    this.entries.push({
+      intentId,
+      reportedStatus: status,
+      txs,
+      missingChecks: 0,
+      disappeared: null, // Set once a correction is due
+      watchedAt: new Date().toISOString()
+    })
+    this.save()
+    this.start()
+  }
+
+  start() {
+    if (this.checkInterval || this.entries.length === 0) {
+      return
+    }
+
+    this.checkInterval = setInterval(async () => {
+      if (this.isChecking) {
+        return
+      }
+      this.isChecking = true
+      try {
+        await this.check()
+      } catch (error) {
+        this.log(`⚠️  Confirmation check failed: ${error.message}`, 'warn')
+      } finally {
+        this.isChecking = false
+      }
+
+      if (this.entries.length === 0) {
+        this.stop()
+      }
+    }, CHECK_INTERVAL_MS)
+  }
+
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval)
+      this.checkInterval = null
+    }
+  }
+
+  async check() {
+    const depth = await this.getDepth()
+    if (!depth) {
+      // Tracking switched off - first receipts are final
+      this.entries = this.entries.filter(entry => entry.disappeared)
+    }
+
+    const provider = await this.getProvider()
+    const head = await provider.getBlockNumber()
+
+    for (const entry of [...this.entries]) {
+      if (!entry.disappeared) {
+        await this.checkEntry(entry, provider, head, depth)
+      }
+
+      if (entry.disappeared && await this.onDisappeared(entry, entry.disappeared)) {
+        this.remove(entry)
+      }
+    }
+
+    this.save()
+  }
+
+  async checkEntry(entry, provider, head, depth) {
+    const missing = []
+    let settled = true
+
+    for (const tx of entry.txs) {
+      const receipt = await provider.getTransactionReceipt(tx.hash)
+
+      if (receipt && receipt.status !== 0) {
+        if (tx.blockHash && receipt.blockHash !== tx.blockHash) {
+          this.log(`🔀 ${tx.hash} was re-mined in block ${receipt.blockNumber} after a reorg (was ${tx.blockNumber}) - waiting ${depth} confirmations again`, 'warn')
+        }
+        tx.blockNumber = receipt.blockNumber
+        tx.blockHash = receipt.blockHash
+        if (head - receipt.blockNumber < depth) {
+          settled = false
+        }
+        continue
+      }
+
+      // Not judged before the reported block is `depth` deep - RPCs may still be catching up
+      if (tx.blockNumber !== null && head - tx.blockNumber < depth) {
+        settled = false
+        continue
+      }
+      missing.push({ hash: tx.hash, blockNumber: tx.blockNumber, reverted: Boolean(receipt) })
+    }
+
+    if (missing.length > 0) {
+      entry.missingChecks++
+      if (entry.missingChecks >= MISSING_CHECKS_BEFORE_CORRECTION) {
+        entry.disappeared = missing
+        this.log(`🚨 Intent ${entry.intentId}: ${missing.map(tx => tx.hash).join(', ')} no longer on chain after a reorg - platform receipt is wrong`, 'error')
+      }
+      return
+    }
+
+    entry.missingChecks = 0
+    if (settled) {
+      this.remove(entry)
+    }
+  }
+
+  remove(entry) {
+    this.entries = this.entries.filter(other => other !== entry)
+  }
+}
+
+export default ConfirmationTracker
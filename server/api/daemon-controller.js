@@ -2,7 +2,7 @@
 // Licensed under Bulwk Proprietary License
 // Full terms: ipfs://QmeHNrhouvtuaoMF93uCMf6rLJCmGu7fP8Tq8MmUntMN3D
 
-import { Wallet, Contract } from 'ethers'
+import { Wallet, Contract, Interface, isAddress, formatUnits } from 'ethers'
 import fs from 'fs/promises'
 import path from 'path'
 import os from 'os'
@@ -10,8 +10,26 @@ import { spawn } from 'child_process'
 import IntentVerifier from './intent-verifier.js'
 import PolicySync from './policy-sync.js'
 import { GracePeriodMonitor } from './grace-period-monitor.js'
+import IntentJournal from './intent-journal.js'
+import { formatViolations } from './policy-rules.js'
+import UsageLedger from './usage-ledger.js'
+import DryRunSimulator from './dry-run-simulator.js'
+import ApprovalQueue from './approval-queue.js'
+import IntentScheduler from './intent-scheduler.js'
+import NonceManager from './nonce-manager.js'
+import RpcPool from './rpc-pool.js'
+import ConfirmationTracker from './confirmation-tracker.js'
+import ChainWatcher from './chain-watcher.js'
+import PositionIndexer from './position-indexer.js'
+import { ALLOWANCE_MODES, isInfiniteAllowance, getApprovalAmount, getNfpmTokenPulls } from './allowance-manager.js'
+import { QuorumError, readWithQuorum, slot0Agreement, amountAgreement, positionAgreement } from './quorum-read.js'
+import { generateWebhookSecret } from './webhook-auth.js'
+import { FEE_PRESETS, suggestFees, applyFeeCeiling } from './fee-strategy.js'
+import { inspectTransaction, validateFirewallAllow } from './tx-firewall.js'
+import { estimateIntentNotional, sqrtPriceToWsUsd } from './intent-valuation.js'
+import { normalizeSchedule, resolveSchedule, isWithinSchedule, getNextWindow, describeSchedule } from './trading-schedule.js'
 import { getAllBalances, parseTokenAmount } from './token-service.js'
-import { getTokenByAddress } from './tokens-config.js'
+import { getTokenByAddress, getERC20Tokens } from './tokens-config.js'
 import { calculateOptimalAmounts } from './uniswap-math.js'
 import { encodeShadowMint, encodeShadowMulticall, encodeDecreaseLiquidity, encodeCollect, encodeBurn } from './shadow-encoder.js'
 import PlatformEventStream from '../platform-event-stream.js'
@@ -24,6 +42,35 @@ const POLICY_PATH = path.join(CONFIG_DIR, 'policy.json')
 const NETWORKS_PATH = path.join(CONFIG_DIR, 'networks.json')
 const DAEMON_CONFIG_PATH = path.join(CONFIG_DIR, 'config.json')
 const JWT_TOKEN_PATH = path.join(CONFIG_DIR, 'jwt-token.json')
+const WEBHOOK_SECRET_PATH = path.join(CONFIG_DIR, 'webhook-secret.json')
+const TX_RATE_PATH = path.join(CONFIG_DIR, 'tx-rate.json')
+const NOTIONAL_USAGE_PATH = path.join(CONFIG_DIR, 'notional-usage.json')
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+const INTENT_FALLBACK_POLL_MS = 30 * 1000 // Intent poll interval while intent_ready pushes (or live chain events) are available
+const IDLE_SWEEP_FALLBACK_MS = 60 * 60 * 1000 // Idle sweep timer while incoming transfers arrive over the chain WebSocket
+const POSITION_RANGES_TTL_MS = 60 * 1000 // Wallet position ranges used by swap-driven range checks
+const BLOCK_CATCH_UP_MS = 20 * 1000 // Balance reads after a receipt: how long an endpoint may lag behind its block
+const REOPEN_RECOVERY_WAIT_MS = 2 * 60 * 1000 // Journal recovery: wait for an OPEN_POSITION sent before the restart
+
+// Same defaults setup() writes to policy.json - applied when the policy doesn't set them
+const DEFAULT_TX_RATE_LIMITS = {
+  maxTxPerHour: 10,
+  maxTxPerDay: 50
+}
+
+// Default queue priority per action (higher runs first); config.intentPriority overrides
+const ACTION_PRIORITY = {
+  BATCH_WITHDRAW: 100, // Pulling funds out is the most urgent
+  CLOSE_POSITION: 90,
+  REBALANCE: 50, // Out of range - fees stop until it runs
+  COLLECT_FEES: 30,
+  DEPLOY: 20,
+  IDLE_SWEEP: 10
+}
+const DEFAULT_ACTION_PRIORITY = 40
+const ALLOWANCE_REVOKE_PRIORITY = Number.MIN_SAFE_INTEGER // Post-intent revocation waits behind every queued intent
 
 // Sonic blockchain contracts
 const WS_TOKEN = '0x039e2fB66102314Ce7b64Ce5Ce3E5183bc94aD38'
@@ -34,13 +81,34 @@ const POOL_ADDRESS = '0x324963c267C354c7660Ce8CA3F5f167E05649970'
 const VOTER_ADDRESS = '0xe879d0E44e6873cf4ab71686055a4f6817685f02'
 const GAUGE_ADDRESS = '0xe879d0E44e6873cf4ab71686055a4f6817685f02' // Shadow Gauge for WS/USDC pool
 
-// ChainList Public RPC Endpoints for Sonic (Chain 146)
+// Swap routers (calldata firewall allowlist)
+const ODOS_ROUTER = '0xaC041Df48dF9791B0654f1Dbbf2CC8450C5f2e9D'
+const FLY_ROUTER = '0xc325856e5585823aac0d1fd46c35c608d95e65a9'
+
+// ChainList Public RPC Endpoints for Sonic (Chain 146) - pooled behind the configured network RPC
 const CHAINLIST_RPCS = [
   'https://sonic.drpc.org',
-  'https://rpc.soniclabs.com',
-  'https://rpc.soniclabs.com',
+  'https://rpc.soniclabs.com'
 ]
 
+// Endpoints the RPC pool is built from: the configured network RPC first, then ChainList
+function getRpcUrls(network) {
+  return [...new Set([network.rpc, ...CHAINLIST_RPCS].filter(Boolean))]
+}
+
+// Resolves once the endpoint has seen `blockNumber`, throws if it lags longer than BLOCK_CATCH_UP_MS
+async function waitForBlock(provider, blockNumber) {
+  const giveUpAt = Date.now() + BLOCK_CATCH_UP_MS
+  let head = await provider.getBlockNumber()
+  while (head < blockNumber) {
+    if (Date.now() >= giveUpAt) {
+      throw new Error(`RPC endpoint still at block ${head}, waited ${BLOCK_CATCH_UP_MS / 1000}s for block ${blockNumber}`)
+    }
+    await new Promise(resolve => setTimeout(resolve, 1000))
+    head = await provider.getBlockNumber()
+  }
+}
+
 // Runtime validation: Ensure critical addresses are valid and match expected values
 // This prevents variable shadowing attacks and configuration errors from causing fund loss
 function validateCriticalAddresses() {
@@ -149,15 +217,52 @@ const DEFAULT_CONFIG = {
   swapSlippage: 1.0,  // Increased from 0.5% to 1% for LOGIC purchases
   minDeploymentUsd: 5.0,  // Minimum $5 USD to deploy (prevents small amounts not worth gas)
   idleSweepEnabled: false,
+  intentAudience: 'bulwk-daemon', // Expected `aud` claim on signed intents
+  intentClockSkewSec: 60, // Tolerance for intent iat/nbf vs local clock
+  dryRun: false, // Paper trading: simulate intent transactions instead of signing them
+  firewallAllow: [], // Extra { address, selectors } allowed by the calldata firewall
+  intentConcurrency: 3, // Intents on different positions that may run at the same time
+  feePreset: 'normal', // slow | normal | fast (eth_feeHistory based, capped by policy.network.maxGasPrice)
+  stuckTxTimeoutSec: 90, // Re-send a pending transaction with bumped fees after this long
+  feeBumpPercent: 15, // Fee increase per replacement (nodes require at least 10%)
+  maxFeeBumps: 3, // Replacements before a stuck transaction is left for manual cancel
+  confirmationDepth: 3, // Blocks after which reported receipts are re-checked for reorgs (0 = off)
+  intentPriority: {}, // Per-action queue priority overrides, e.g. { IDLE_SWEEP: 60 }
+  approval: {
+    enabled: false, // Park high-impact intents until approved in the Dashboard
+    minUsd: null, // Intents moving at least this much USD need approval (null = no value threshold)
+    actions: ['BATCH_WITHDRAW'], // Actions that always need approval
+    timeoutMinutes: 30 // Auto-reject when not approved in time
+  },
+  chainWatch: {
+    enabled: false, // Run range checks / idle sweeps on pool Swap and wallet Transfer events
+    wsUrl: null // WebSocket RPC for eth_subscribe (null = poll new heads over HTTP)
+  },
+  allowances: {
+    // infinite | exact (approve exactly what each transaction pulls). Exact mode locks the wS/USDC
+    // allowances for NFPM and Odos on every REBALANCE, so rebalances of different positions run one at a time
+    mode: 'infinite',
+    revokeAfterIntent: false // Set managed allowances back to zero once no intent is running
+  },
+  quorum: {
+    enabled: false, // Read pool price, balances and positions from several RPCs before signing
+    providers: 2, // Endpoints that must agree (the pool needs at least this many)
+    toleranceBps: 50 // Allowed difference between answers (1 bp = 1 tick for slot0)
+  },
   version: '2.1.0'
 }
 
-// ERC20 ABI for approve and allowance
+// ERC20 ABI for approve, allowance and balance reads
 const ERC20_ABI = [
   'function approve(address spender, uint256 amount) returns (bool)',
-  'function allowance(address owner, address spender) view returns (uint256)'
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function balanceOf(address owner) view returns (uint256)'
 ]
 
+// Price-critical reads (see quorumRead)
+const POOL_SLOT0_ABI = ['function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)']
+const NFPM_POSITIONS_ABI = ['function positions(uint256 tokenId) view returns (address token0, address token1, int24 tickSpacing, int24 tickLower, int24 tickUpper, uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, uint128 tokensOwed0, uint128 tokensOwed1)']
+
 export class DaemonController {
   constructor() {
     this.isRunning = false
@@ -167,12 +272,27 @@ export class DaemonController {
     this.isLinked = false
     this.needsDisclaimer = false // Whether user needs to sign disclaimer
     this.jwtToken = null // JWT token for authenticated platform requests
+    this.webhookSecret = null // HMAC secret the platform signs webhook triggers with
     this.platformUrl = process.env.PLATFORM_URL || 'https://app.bulwk.com'
     this.policySync = null // Will be initialized when wallet is loaded
     this.lastIntentCheck = null
     this.intentInterval = null
+    this.intentCheckPromise = null // Intent fetch in progress (shared by poll, push and webhook triggers)
+    this.intentCheckRerun = false // Another fetch was requested while one was running
     this.pendingIntents = []
-    this.isProcessingIntent = false // Mutex lock to prevent concurrent intent processing
+    this.isProcessingIntent = false // True while an intent batch is being drained
+    this.nonceManager = null // Shared nonce allocator for parallel sends (per wallet)
+    this.rpcPool = null // Health-scored RPC endpoints shared by every provider user
+    this.allowanceRevokeJob = null // Queued post-intent revocation (config.allowances.revokeAfterIntent)
+    this.chainWatcher = null // Pool Swap / wallet Transfer subscription (config.chainWatch)
+    this.positionIndexer = null // Local NFPM event history of the wallet's positions
+    this.positionRanges = new Map() // tokenId -> { tickLower, tickUpper, inRange } for swap-driven range checks
+    this.positionRangesAt = 0
+    this.positionRangesPromise = null
+    this.idleSweepPromise = null // Sweep in progress (shared by timer, webhook and Transfer events)
+    this.idleSweepRerun = false
+    this.lastIdleSweepAt = null
+    this.nextRebalanceStartAt = 0 // Rebalance starts are spaced out for pool price stabilization
     this.activePositions = new Set() // Track positions currently being processed (prevents duplicates)
     this.closedPositions = new Set() // Track positions already closed/burned (prevents redundant operations)
     this.activityLogs = [] // Store activity logs for UI
@@ -200,6 +320,38 @@ export class DaemonController {
 
     // Initialize IntentVerifier with logger callback (pass bound log method)
     this.intentVerifier = new IntentVerifier(this.platformUrl, this.log.bind(this))
+
+    // Write-ahead journal for multi-step intents (survives crashes/restarts)
+    this.intentJournal = new IntentJournal()
+
+    // Sliding-window transaction counter for maxTxPerHour / maxTxPerDay
+    this.txRateLedger = new UsageLedger(TX_RATE_PATH, DAY_MS)
+
+    // USD moved by executed intents (maxDailyUsd) + valuations of intents still queued
+    this.notionalLedger = new UsageLedger(NOTIONAL_USAGE_PATH, DAY_MS)
+    this.queuedNotional = new Map() // intentId -> usd
+    this.queuedTxCounts = new Map() // intentId -> estimated tx count, held against the tx caps until it finishes
+    this.scannedAllowanceTokens = new Set() // Custom tokens scanned by the allowance audit (revocable from the Dashboard)
+
+    // Runs intents on different positions in parallel (same position / wallet-wide ones in order)
+    this.intentScheduler = new IntentScheduler({
+      getLocks: intent => this.getIntentLocks(intent),
+      run: intent => intent.action === 'ALLOWANCE_REVOKE' ? this.runAllowanceRevokeJob(intent) : this.runScheduledIntent(intent)
+    })
+
+    // Intents parked until the operator approves or rejects them
+    this.approvalQueue = new ApprovalQueue()
+
+    // Dry-run mode: simulates transactions and keeps would-be receipts locally
+    this.dryRunSimulator = new DryRunSimulator(NFPM_ADDRESS, POOL_ADDRESS)
+
+    // Re-checks reported receipts after confirmationDepth blocks, corrects the platform on reorgs
+    this.confirmationTracker = new ConfirmationTracker({
+      getProvider: () => this.getProvider(),
+      getDepth: async () => (await this.getConfig()).confirmationDepth ?? DEFAULT_CONFIG.confirmationDepth,
+      onDisappeared: (entry, txs) => this.reportReorgedReceipt(entry, txs),
+      log: (message, level) => this.log(message, level)
+    })
   }
 
   // Add log entry to activity feed
@@ -268,23 +420,171 @@ export class DaemonController {
     }
   }
 
-  async getProviderWithFallback(primaryRpc) {
-    const { JsonRpcProvider } = await import('ethers')
-    const rpcList = primaryRpc ? [primaryRpc, ...CHAINLIST_RPCS] : CHAINLIST_RPCS
+  // Load the webhook HMAC secret (exists once the daemon has been linked)
+  async loadWebhookSecret() {
+    try {
+      const data = await fs.readFile(WEBHOOK_SECRET_PATH, 'utf-8')
+      const { secret } = JSON.parse(data)
+      this.webhookSecret = secret || null
+      return this.webhookSecret
+    } catch {
+      return null
+    }
+  }
+
+  getWebhookSecret() {
+    return this.webhookSecret
+  }
 
-    for (const rpcUrl of rpcList) {
-      try {
-        const provider = new JsonRpcProvider(rpcUrl)
-        await provider.getBlockNumber()
-        this.log(`✅ Using RPC: ${rpcUrl}`)
-        return provider
-      } catch (error) {
-        this.log(`⚠️  RPC ${rpcUrl} failed, trying next...`)
-        continue
+  /**
+   * Hand the platform the secret it must sign webhook triggers with
+   * Generated locally on first link and kept until a force re-link
+   */
+  async registerWebhookSecret() {
+    try {
+      if (!this.webhookSecret) {
+        const secret = generateWebhookSecret()
+        await fs.mkdir(CONFIG_DIR, { recursive: true })
+        await fs.writeFile(WEBHOOK_SECRET_PATH, JSON.stringify({ secret, createdAt: Date.now() }, null, 2), { mode: 0o600 })
+        this.webhookSecret = secret
+      }
+
+      const headers = { 'Content-Type': 'application/json' }
+      if (this.jwtToken) {
+        headers['Authorization'] = `Bearer ${this.jwtToken}`
+      }
+
+      const response = await fetch(`${this.platformUrl}/api/daemon/webhook-secret`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          wallet: this.wallet.address,
+          sessionToken: this.jwtToken,
+          secret: this.webhookSecret
+        })
+      })
+
+      if (!response.ok) {
+        throw new Error(`Platform returned ${response.status}`)
+      }
+
+      this.log('🔏 Webhook signing secret registered with platform')
+    } catch (error) {
+      this.log(`⚠️  Failed to register webhook secret: ${error.message} - webhook triggers will be refused, polling continues`, 'warn')
+    }
+  }
+
+  /**
+   * Shared provider backed by the RPC pool (configured network RPC first, then ChainList)
+   * Calls go to the healthiest endpoint and fail over to the next one on transport errors
+   */
+  async getProvider() {
+    const networks = await this.getNetworks()
+    const network = networks.sonic
+
+    if (!network) {
+      throw new Error('Sonic network not configured')
+    }
+
+    const urls = getRpcUrls(network)
+    if (!this.rpcPool || this.rpcPool.urls.join(',') !== urls.join(',')) {
+      if (this.rpcPool) {
+        this.rpcPool.stop()
+      }
+      this.rpcPool = new RpcPool(urls, {
+        chainId: network.chainId || 146,
+        log: (message, level) => this.log(message, level)
+      })
+    }
+
+    this.rpcPool.start()
+    return this.rpcPool.provider
+  }
+
+  async getRpcHealth() {
+    if (!this.rpcPool) {
+      await this.getProvider()
+      await this.rpcPool.probe()
+    }
+    return this.rpcPool.getHealth()
+  }
+
+  /**
+   * Read price-critical state, from several RPC endpoints when config.quorum is enabled
+   * Throws a QuorumError when the endpoints disagree - callers must not sign on it
+   * afterBlock: wait until each endpoint has reached that block first (state right after a receipt)
+   */
+  async quorumRead(label, read, agree, describe, { afterBlock = null } = {}) {
+    const config = await this.getConfig()
+    const quorum = { ...DEFAULT_CONFIG.quorum, ...config.quorum }
+    const provider = await this.getProvider()
+    const readSynced = afterBlock === null
+      ? read
+      : async endpoint => {
+        await waitForBlock(endpoint, afterBlock)
+        return read(endpoint)
+      }
+
+    if (!quorum.enabled) {
+      return readSynced(provider)
+    }
+
+    try {
+      return await readWithQuorum(this.rpcPool.getQuorumProviders(quorum.providers), readSynced, {
+        label,
+        agree: agree(quorum.toleranceBps),
+        describe
+      })
+    } catch (error) {
+      this.log(`🛡️  ${error.message}`, 'error')
+      throw error
+    }
+  }
+
+  /**
+   * Pool slot0 (sqrtPriceX96, tick)
+   * A zero price from a single RPC is re-read from every pool endpoint before giving up
+   */
+  async readSlot0() {
+    const read = provider => new Contract(POOL_ADDRESS, POOL_SLOT0_ABI, provider).slot0()
+    const describe = slot0 => `tick ${slot0.tick}`
+    const slot0 = await this.quorumRead('pool slot0', read, slot0Agreement, describe)
+
+    if (!slot0.sqrtPriceX96 || slot0.sqrtPriceX96 === 0n) {
+      this.log('⚠️  Pool returned zero sqrtPriceX96 - cross-checking all RPC endpoints', 'warn')
+      const providers = this.rpcPool.getQuorumProviders(this.rpcPool.endpoints.length)
+      const answers = await Promise.allSettled(providers.map(read))
+      const valid = answers.find(answer => answer.status === 'fulfilled' && answer.value.sqrtPriceX96 > 0n)
+      if (!valid) {
+        throw new Error('Unable to fetch valid pool price from any RPC endpoint')
       }
+      return valid.value
     }
 
-    throw new Error('All RPC endpoints failed')
+    return slot0
+  }
+
+  /**
+   * Wallet token balance; pass the block of the receipt the balance depends on (afterBlock)
+   * so an endpoint a block behind is waited for instead of answering with the old balance
+   */
+  async readTokenBalance(tokenAddress, { owner = this.wallet.address, afterBlock = null } = {}) {
+    return this.quorumRead(
+      `balance of ${tokenAddress}`,
+      provider => new Contract(tokenAddress, ERC20_ABI, provider).balanceOf(owner, afterBlock === null ? {} : { blockTag: afterBlock }),
+      amountAgreement,
+      String,
+      { afterBlock }
+    )
+  }
+
+  async readPosition(tokenId) {
+    return this.quorumRead(
+      `position ${tokenId}`,
+      provider => new Contract(NFPM_ADDRESS, NFPM_POSITIONS_ABI, provider).positions(tokenId),
+      positionAgreement,
+      position => `[${position.tickLower}, ${position.tickUpper}] liquidity ${position.liquidity}`
+    )
   }
 
   shouldUseProxy(action) {
@@ -295,49 +595,625 @@ export class DaemonController {
       return false
     }
 
-    return PROXY_ACTIONS.includes(action)
+    return PROXY_ACTIONS.includes(action)
+  }
+
+  async submitTransaction(wallet, txRequest, action) {
+    // Refuse anything outside the local allowlist before it is signed (or simulated)
+    await this.assertTransactionAllowed(txRequest, action)
+
+    // Exact approval mode: approve what this mint pulls right before it is sent
+    if (txRequest.to?.toLowerCase() === NFPM_ADDRESS.toLowerCase() && (await this.getAllowanceSettings()).mode === 'exact') {
+      for (const [token, amount] of getNfpmTokenPulls(txRequest.data)) {
+        await this.ensureAllowance(wallet, { token, spender: NFPM_ADDRESS, amount, action })
+      }
+    }
+
+    // Paper trading: nothing is signed, simulated txs don't count against the rate caps
+    if (await this.isDryRun()) {
+      return this.dryRunSimulator.simulate(wallet, txRequest, action)
+    }
+
+    const useProxy = this.shouldUseProxy(action)
+
+    const tx = await this.broadcastTracked(wallet, txRequest, action, useProxy)
+    this.recordTransactionUsage(tx.hash, action)
+    return tx
+  }
+
+  getNonceManager() {
+    if (!this.nonceManager || this.nonceManager.address !== this.wallet.address) {
+      this.nonceManager = new NonceManager(this.wallet.address, {
+        getOptions: async () => {
+          const [config, policy] = await Promise.all([this.getConfig(), this.getPolicy()])
+          return {
+            stuckAfterMs: (config.stuckTxTimeoutSec ?? DEFAULT_CONFIG.stuckTxTimeoutSec) * 1000,
+            bumpPercent: config.feeBumpPercent ?? DEFAULT_CONFIG.feeBumpPercent,
+            maxBumps: config.maxFeeBumps ?? DEFAULT_CONFIG.maxFeeBumps,
+            feeCeiling: policy?.network?.maxGasPrice ?? null
+          }
+        },
+        fillGap: nonce => this.fillNonceGap(nonce),
+        log: this.log.bind(this)
+      })
+    }
+    return this.nonceManager
+  }
+
+  /**
+   * 0-value self-transfer at a nonce whose send failed, so later transactions aren't stuck behind the gap
+   */
+  async fillNonceGap(nonce) {
+    const provider = await this.getProvider()
+    const wallet = this.wallet.connect(provider)
+    const fees = await this.getSigningFees(provider)
+    const populated = await wallet.populateTransaction({ to: wallet.address, value: 0n, data: '0x', gasLimit: 21000n, ...fees, nonce })
+    const hash = await this.broadcastSigned(wallet, populated, false)
+
+    this.getNonceManager().track(populated, {
+      hash,
+      action: 'NONCE_FILL',
+      provider,
+      resend: replacement => this.broadcastSigned(wallet, replacement, false)
+    })
+    this.recordTransactionUsage(hash, 'NONCE_FILL')
+    return hash
+  }
+
+  /**
+   * Populate, sign and broadcast with a managed nonce, then track it until mined
+   * Stuck transactions are re-sent with bumped fees; wait() resolves with the receipt
+   * of whichever version was mined (status 0 = reverted, callers check it)
+   * This is the only place transactions get signed - don't send through contract.connect(wallet),
+   * or the fee preset and the maxGasPrice ceiling are skipped
+   */
+  async broadcastTracked(wallet, txRequest, action, useProxy = false) {
+    // Fees come from the configured preset and are refused above the policy ceiling
+    const fees = await this.getSigningFees(wallet.provider)
+
+    // CRITICAL FIX: Populate transaction fields (chainId, nonce, gas fees) before signing
+    // wallet.signTransaction() does NOT auto-populate like sendTransaction() does
+    const { hash, populatedTx } = await this.sendWithNonce(wallet, async nonce => {
+      const populated = await wallet.populateTransaction({ ...txRequest, ...fees, nonce })
+      return { populatedTx: populated, hash: await this.broadcastSigned(wallet, populated, useProxy) }
+    })
+
+    const wait = this.getNonceManager().track(populatedTx, {
+      hash,
+      action,
+      provider: wallet.provider,
+      resend: replacement => this.broadcastSigned(wallet, replacement, useProxy)
+    })
+
+    return {
+      hash,
+      nonce: Number(populatedTx.nonce),
+      from: wallet.address,
+      to: populatedTx.to,
+      value: BigInt(populatedTx.value || 0),
+      wait
+    }
+  }
+
+  /**
+   * Fee fields to sign with: config.feePreset capped at policy.network.maxGasPrice
+   * Throws when the network fee is above the ceiling (nothing gets signed)
+   */
+  async getSigningFees(provider) {
+    const [config, policy] = await Promise.all([this.getConfig(), this.getPolicy()])
+    const suggestion = await suggestFees(provider, config.feePreset || DEFAULT_CONFIG.feePreset)
+
+    try {
+      return applyFeeCeiling(suggestion, policy?.network?.maxGasPrice)
+    } catch (error) {
+      this.log(`⛽ ${error.message}`, 'error')
+      throw error
+    }
+  }
+
+  /**
+   * Current fee suggestions for every preset (Dashboard / API)
+   */
+  async getFeeOverview() {
+    const [config, policy] = await Promise.all([this.getConfig(), this.getPolicy()])
+    const provider = await this.getProvider()
+    const toGwei = value => (value === null || value === undefined ? null : Number(value) / 1e9)
+
+    const presets = {}
+    for (const preset of Object.keys(FEE_PRESETS)) {
+      const suggestion = await suggestFees(provider, preset)
+      presets[preset] = {
+        maxFeeGwei: toGwei(suggestion.maxFeePerGas ?? suggestion.gasPrice),
+        priorityFeeGwei: toGwei(suggestion.maxPriorityFeePerGas),
+        baseFeeGwei: toGwei(suggestion.baseFeePerGas),
+        source: suggestion.source
+      }
+    }
+
+    return {
+      preset: config.feePreset || DEFAULT_CONFIG.feePreset,
+      maxGasPriceGwei: toGwei(policy?.network?.maxGasPrice),
+      presets
+    }
+  }
+
+  async broadcastSigned(wallet, populatedTx, useProxy) {
+    const signedTx = await wallet.signTransaction(populatedTx)
+    if (useProxy) {
+      return this.sendTransactionViaProxy(signedTx)
+    }
+    const response = await wallet.provider.broadcastTransaction(signedTx)
+    return response.hash
+  }
+
+  getPendingTransactions() {
+    return this.nonceManager ? this.nonceManager.list() : []
+  }
+
+  async cancelPendingTransaction(nonce) {
+    if (!this.nonceManager) {
+      throw new Error(`No pending transaction with nonce ${nonce}`)
+    }
+    const result = await this.nonceManager.cancel(nonce)
+    this.recordTransactionUsage(result.cancelHash, 'CANCEL')
+    return result
+  }
+
+  /**
+   * Broadcast with a nonce from the shared allocator so parallel intents don't collide
+   * send(nonce) must broadcast the transaction; if it throws, the nonce is re-read from chain
+   */
+  async sendWithNonce(wallet, send) {
+    const nonceManager = this.getNonceManager()
+    const nonce = await nonceManager.next(wallet.provider)
+
+    try {
+      return await send(nonce)
+    } catch (error) {
+      // Usually a revert in estimateGas before anything was broadcast - hand the nonce back
+      nonceManager.release(nonce)
+      throw error
+    }
+  }
+
+  /**
+   * Transaction caps from the local policy (defaults match what setup() writes)
+   */
+  getTxRateLimits(policy) {
+    return {
+      maxTxPerHour: Number(policy?.maxTxPerHour ?? DEFAULT_TX_RATE_LIMITS.maxTxPerHour),
+      maxTxPerDay: Number(policy?.maxTxPerDay ?? DEFAULT_TX_RATE_LIMITS.maxTxPerDay)
+    }
+  }
+
+  /**
+   * Current sliding-window usage against the policy caps
+   */
+  async getTxRateUsage() {
+    const limits = this.getTxRateLimits(await this.getPolicy())
+
+    const reserved = this.getReservedTxCount()
+
+    const windowUsage = (windowMs, limit) => {
+      const used = this.txRateLedger.count(windowMs)
+      const nextExpiry = this.txRateLedger.nextExpiry(windowMs)
+      return {
+        used,
+        reserved,
+        limit,
+        remaining: Math.max(0, limit - used - reserved),
+        nextSlotAt: used >= limit && nextExpiry ? new Date(nextExpiry).toISOString() : null
+      }
+    }
+
+    return {
+      hour: windowUsage(HOUR_MS, limits.maxTxPerHour),
+      day: windowUsage(DAY_MS, limits.maxTxPerDay)
+    }
+  }
+
+  recordTransactionUsage(txHash, action) {
+    this.txRateLedger.record({ txHash, action })
+  }
+
+  /**
+   * Hold an admitted intent's estimated tx count against the caps until it finishes
+   * The caps are enforced at intake only, so an admitted intent always gets to finish its steps
+   */
+  async reserveTxBudget(intent) {
+    this.queuedTxCounts.set(intent.intentId, await this.estimateIntentTxCount(intent))
+  }
+
+  /**
+   * Transactions admitted intents may still send (estimate minus what they journaled as sent),
+   * plus the estimates of intents awaiting approval
+   */
+  getReservedTxCount() {
+    let reserved = 0
+    for (const [intentId, estimate] of this.queuedTxCounts) {
+      const sent = this.intentJournal.get(intentId)?.transactions?.length || 0
+      reserved += Math.max(0, estimate - sent)
+    }
+    for (const entry of this.approvalQueue.list()) {
+      reserved += entry.plan?.estimatedTxCount || 0
+    }
+    return reserved
+  }
+
+  /**
+   * Rough number of transactions an intent will send (used to refuse intents up front)
+   */
+  async estimateIntentTxCount(intent) {
+    if (intent.action === 'REBALANCE') {
+      // close + swap + reopen, the swap input approval and both mint approvals
+      return 3 + await this.estimateApprovalTxCount(1 + 2)
+    }
+
+    if (intent.action === 'DEPLOY' || intent.action === 'IDLE_SWEEP') {
+      const tierPreferences = await loadTierPreferences()
+      const enabledTiers = Object.values(tierPreferences).filter(tier => tier?.enabled).length
+      const swap = intent.action === 'IDLE_SWEEP' && intent.recipe?.swapDirection && intent.recipe.swapDirection !== 'NONE' ? 1 : 0
+      const mints = Math.max(1, enabledTiers)
+      return mints + swap + await this.estimateApprovalTxCount(mints * 2 + swap)
+    }
+
+    return 1
+  }
+
+  /**
+   * Approval transactions on top of an intent's own: exact mode approves before every
+   * spend, and revokeAfterIntent zeroes the allowances afterwards so they are approved
+   * again next time - and each of those revocations is a transaction too
+   */
+  async estimateApprovalTxCount(approvals) {
+    const { mode, revokeAfterIntent } = await this.getAllowanceSettings()
+    if (mode !== 'exact' && !revokeAfterIntent) {
+      return 0
+    }
+    return approvals + (revokeAfterIntent ? approvals : 0)
+  }
+
+  /**
+   * Runtime inputs for policy rules that depend on daemon state
+   */
+  async getPolicyContext(intent, policy = null) {
+    const activePolicy = policy || await this.getPolicy()
+
+    return {
+      txRate: {
+        usage: await this.getTxRateUsage(),
+        required: await this.estimateIntentTxCount(intent)
+      },
+      // Only priced when a USD cap is configured (needs RPC reads)
+      notional: activePolicy?.maxIntentUsd || activePolicy?.maxDailyUsd
+        ? await this.getIntentNotional(intent)
+        : null
+    }
+  }
+
+  /**
+   * USD value the intent would move plus what was already moved in the last 24h
+   */
+  async getIntentNotional(intent) {
+    const dailyUsed = this.getDailyNotionalUsed()
+
+    try {
+      const provider = await this.getProvider()
+      const valuation = await estimateIntentNotional(intent, {
+        provider,
+        walletAddress: this.wallet.address,
+        addresses: { WS_TOKEN, USDC_TOKEN, NFPM_ADDRESS, POOL_ADDRESS }
+      })
+      return { ...valuation, dailyUsed }
+    } catch (error) {
+      return { error: error.message, dailyUsed }
+    }
+  }
+
+  getDailyNotionalUsed() {
+    let queued = 0
+    for (const usd of this.queuedNotional.values()) {
+      queued += usd
+    }
+    // Intents awaiting approval hold their valuation too, so approving them can't overshoot the cap
+    for (const entry of this.approvalQueue.list()) {
+      queued += entry.plan?.notionalUsd || 0
+    }
+    return this.notionalLedger.sum(DAY_MS) + queued
+  }
+
+  /**
+   * Move a queued intent's valuation into the 24h ledger once it actually moved funds
+   */
+  async settleIntentNotional(intent, journalStatus) {
+    const usd = this.queuedNotional.get(intent.intentId)
+    this.queuedNotional.delete(intent.intentId)
+
+    if (usd === undefined || usd <= 0 || await this.isDryRun()) {
+      return
+    }
+
+    if (journalStatus === 'completed' || journalStatus === 'partial') {
+      this.notionalLedger.record({ intentId: intent.intentId, action: intent.action }, usd)
+    }
+  }
+
+  /**
+   * ERC20 approve that respects dry-run mode (simulated instead of signed)
+   * Sent approvals count against the tx rate caps like any other transaction
+   */
+  async approveToken(connectedWallet, tokenAddress, spender, amount, action) {
+    const data = new Interface(ERC20_ABI).encodeFunctionData('approve', [spender, amount])
+    await this.assertTransactionAllowed({ to: tokenAddress, data }, `${action}_APPROVE`)
+
+    if (await this.isDryRun()) {
+      return this.dryRunSimulator.simulate(connectedWallet, { to: tokenAddress, data, value: '0x0' }, `${action}_APPROVE`)
+    }
+
+    const tx = await this.broadcastTracked(connectedWallet, { to: tokenAddress, data, value: 0n }, `${action}_APPROVE`)
+    this.recordTransactionUsage(tx.hash, `${action}_APPROVE`)
+    return {
+      ...tx,
+      wait: async () => {
+        const receipt = await tx.wait()
+        if (receipt.status === 0) {
+          throw new Error(`Approval ${receipt.hash} reverted`)
+        }
+        return receipt
+      }
+    }
+  }
+
+  async getAllowanceSettings() {
+    const config = await this.getConfig()
+    return { ...DEFAULT_CONFIG.allowances, ...config.allowances }
+  }
+
+  /**
+   * Approve `spender` for at least `amount` of `token` (exactly that in exact mode, max-uint256 otherwise)
+   * Resolves once the approval is mined; no-op when the current allowance already covers it
+   */
+  async ensureAllowance(connectedWallet, { token, spender, amount, action, label }) {
+    const tokenContract = new Contract(token, ERC20_ABI, connectedWallet.provider)
+    const currentAllowance = await tokenContract.allowance(connectedWallet.address, spender)
+    if (currentAllowance >= BigInt(amount)) {
+      return null
+    }
+
+    const { mode } = await this.getAllowanceSettings()
+    const name = label || getTokenByAddress(token)?.symbol || token
+    this.log(`🔓 Approving ${mode === 'exact' ? `${amount} ` : ''}${name} for ${spender}...`)
+    const approveTx = await this.approveToken(connectedWallet, token, spender, getApprovalAmount(mode, amount), action)
+    await approveTx.wait()
+    this.log(`✅ ${name} approved`)
+    return approveTx.hash
+  }
+
+  /**
+   * Token / spender pairs the daemon ever approves
+   */
+  getManagedAllowancePairs() {
+    return [
+      { token: WS_TOKEN, symbol: 'wS', spender: NFPM_ADDRESS, spenderName: 'NFPM' },
+      { token: USDC_TOKEN, symbol: 'USDC', spender: NFPM_ADDRESS, spenderName: 'NFPM' },
+      { token: SHADOW_TOKEN, symbol: 'SHADOW', spender: NFPM_ADDRESS, spenderName: 'NFPM' },
+      { token: WS_TOKEN, symbol: 'wS', spender: ODOS_ROUTER, spenderName: 'Odos router' },
+      { token: USDC_TOKEN, symbol: 'USDC', spender: ODOS_ROUTER, spenderName: 'Odos router' },
+      { token: USDC_TOKEN, symbol: 'USDC', spender: FLY_ROUTER, spenderName: 'Fly.trade router' }
+    ]
+  }
+
+  /**
+   * Every contract the daemon may have approved to spend wallet tokens
+   */
+  getAllowanceSpenders() {
+    return [
+      { address: NFPM_ADDRESS, name: 'NFPM' },
+      { address: ODOS_ROUTER, name: 'Odos router' },
+      { address: FLY_ROUTER, name: 'Fly.trade router' },
+      { address: WS_TOKEN, name: 'wS unwrap' }
+    ]
+  }
+
+  /**
+   * Current allowance of every known token (tokens-config, SHADOW, custom) for every known spender
+   * @param {string[]} customTokenAddresses - extra ERC20s (symbol / decimals are read on chain)
+   */
+  async getAllowances(customTokenAddresses = []) {
+    if (!this.wallet) {
+      throw new Error('Wallet not initialized. Please start the daemon first.')
+    }
+
+    const provider = await this.getProvider()
+    const tokens = [
+      ...getERC20Tokens().map(({ symbol, address, decimals }) => ({ symbol, address, decimals })),
+      { symbol: 'SHADOW', address: SHADOW_TOKEN, decimals: 18 }
+    ]
+
+    for (const address of customTokenAddresses) {
+      if (!isAddress(address)) {
+        throw new Error(`Invalid token address: ${address}`)
+      }
+      this.scannedAllowanceTokens.add(address.toLowerCase())
+      if (tokens.some(token => token.address.toLowerCase() === address.toLowerCase())) {
+        continue
+      }
+      const metadata = new Contract(address, ['function symbol() view returns (string)', 'function decimals() view returns (uint8)'], provider)
+      const [symbol, decimals] = await Promise.all([
+        metadata.symbol().catch(() => '?'),
+        metadata.decimals().catch(() => 18n)
+      ])
+      tokens.push({ symbol, address, decimals: Number(decimals) })
+    }
+
+    const spenders = this.getAllowanceSpenders()
+    const allowances = []
+    for (const token of tokens) {
+      const tokenContract = new Contract(token.address, ERC20_ABI, provider)
+      const values = await Promise.all(spenders.map(spender =>
+        tokenContract.allowance(this.wallet.address, spender.address).catch(error => error)
+      ))
+
+      spenders.forEach((spender, i) => {
+        const row = { token: token.address, symbol: token.symbol, spender: spender.address, spenderName: spender.name }
+        if (values[i] instanceof Error) {
+          allowances.push({ ...row, allowance: null, error: values[i].shortMessage || values[i].message })
+          return
+        }
+        allowances.push({
+          ...row,
+          allowance: values[i].toString(),
+          unlimited: isInfiniteAllowance(values[i]),
+          formatted: isInfiniteAllowance(values[i]) ? 'unlimited' : formatUnits(values[i], token.decimals)
+        })
+      })
+    }
+
+    return { wallet: this.wallet.address, allowances, scannedAt: new Date().toISOString() }
+  }
+
+  /**
+   * Tokens the Dashboard may revoke allowances on: the built-in ones plus custom tokens
+   * scanned through getAllowances since the daemon started
+   */
+  getRevocableTokens() {
+    return [
+      ...getERC20Tokens().map(token => token.address),
+      SHADOW_TOKEN,
+      ...this.scannedAllowanceTokens
+    ]
+  }
+
+  /**
+   * Zero one allowance from the Dashboard (user-initiated, known or scanned token, known spender)
+   */
+  async revokeAllowance(tokenAddress, spender) {
+    if (!this.wallet) {
+      throw new Error('Wallet not initialized. Please start the daemon first.')
+    }
+    if (!isAddress(tokenAddress) || !isAddress(spender)) {
+      throw new Error('Invalid token or spender address')
+    }
+    if (!this.getRevocableTokens().some(token => token.toLowerCase() === tokenAddress.toLowerCase())) {
+      throw new Error(`Invalid token: ${tokenAddress} is not a known or scanned token`)
+    }
+    if (!this.getAllowanceSpenders().some(known => known.address.toLowerCase() === spender.toLowerCase())) {
+      throw new Error(`Invalid spender: ${spender} is not a known spender`)
+    }
+    if (await this.isDryRun()) {
+      throw new Error('Dry-run mode is enabled - disable it to send transactions')
+    }
+
+    const provider = await this.getProvider()
+    const connectedWallet = this.wallet.connect(provider)
+
+    const tx = await this.approveToken(connectedWallet, tokenAddress, spender, 0n, 'REVOKE')
+    await tx.wait()
+
+    this.log(`🔒 Revoked allowance of ${getTokenByAddress(tokenAddress)?.symbol || tokenAddress} for ${spender}`)
+    return { token: tokenAddress, spender, txHash: tx.hash }
+  }
+
+  /**
+   * Set managed allowances to zero - all non-zero ones, or only unlimited ones
+   * @returns {Promise<Array<{ token, symbol, spender, spenderName, previous, txHash }>>} revoked pairs
+   */
+  async revokeAllowances({ onlyInfinite = false, action = 'ALLOWANCE' } = {}) {
+    if (!this.wallet) {
+      throw new Error('Wallet not initialized. Please start the daemon first.')
+    }
+
+    const provider = await this.getProvider()
+    const connectedWallet = this.wallet.connect(provider)
+    const revoked = []
+
+    for (const pair of this.getManagedAllowancePairs()) {
+      const allowance = await new Contract(pair.token, ERC20_ABI, provider).allowance(this.wallet.address, pair.spender)
+      if (allowance === 0n || (onlyInfinite && !isInfiniteAllowance(allowance))) {
+        continue
+      }
+
+      const approveTx = await this.approveToken(connectedWallet, pair.token, pair.spender, 0n, action)
+      await approveTx.wait()
+      this.log(`🔒 Revoked ${pair.symbol} allowance for ${pair.spenderName} (was ${isInfiniteAllowance(allowance) ? 'unlimited' : allowance.toString()})`)
+      revoked.push({ ...pair, previous: allowance.toString(), txHash: approveTx.hash })
+    }
+
+    return revoked
   }
 
-  async submitTransaction(wallet, txRequest, action) {
-    const useProxy = this.shouldUseProxy(action)
+  /**
+   * Replace existing unlimited allowances with none - exact mode then approves per transaction
+   */
+  async downgradeAllowances() {
+    const revoked = await this.revokeAllowances({ onlyInfinite: true, action: 'ALLOWANCE_DOWNGRADE' })
+    this.log(`🔒 Downgraded ${revoked.length} unlimited allowance(s)`)
+    return { downgraded: revoked }
+  }
 
-    if (!useProxy) {
-      return await wallet.sendTransaction(txRequest)
+  /**
+   * config.allowances.revokeAfterIntent: queue the revocation as a wallet-wide scheduler job,
+   * so it runs alone once the intents queued ahead of it have finished and nothing that
+   * approves and then spends can start while it runs. One job covers every intent before it.
+   */
+  async revokeAllowancesAfterIntent() {
+    if (this.allowanceRevokeJob || !(await this.getAllowanceSettings()).revokeAfterIntent) {
+      return
     }
+    this.allowanceRevokeJob = { intentId: `allowance-revoke-${Date.now()}`, action: 'ALLOWANCE_REVOKE' }
+    this.intentScheduler.add(this.allowanceRevokeJob, ALLOWANCE_REVOKE_PRIORITY)
+  }
 
-    // CRITICAL FIX: Populate transaction fields (chainId, nonce, gas fees) before signing
-    // wallet.signTransaction() does NOT auto-populate like sendTransaction() does
-    const populatedTx = await wallet.populateTransaction(txRequest)
-    const signedTx = await wallet.signTransaction(populatedTx)
-    const txHash = await this.sendTransactionViaProxy(signedTx)
-
-    const { ethers } = await import('ethers')
-    const provider = wallet.provider
+  async runAllowanceRevokeJob(job) {
+    if (this.allowanceRevokeJob === job) {
+      this.allowanceRevokeJob = null
+    }
+    if (!(await this.getAllowanceSettings()).revokeAfterIntent) {
+      return 'skipped'
+    }
+    try {
+      await this.revokeAllowances({ action: 'ALLOWANCE_REVOKE' })
+      return 'completed'
+    } catch (error) {
+      this.log(`⚠️  Could not revoke allowances after intent: ${error.message}`, 'warn')
+      return 'failed'
+    }
+  }
 
-    return {
-      hash: txHash,
-      wait: async () => {
-        let receipt = null
-        const startTime = Date.now()
-        const timeout = 120000
+  /**
+   * Calldata firewall - throws if the transaction targets anything not on the allowlist
+   */
+  async assertTransactionAllowed(txRequest, action) {
+    const config = await this.getConfig()
+    const result = inspectTransaction(txRequest, {
+      walletAddress: this.wallet.address,
+      contracts: {
+        WS_TOKEN,
+        USDC_TOKEN,
+        SHADOW_TOKEN,
+        NFPM_ADDRESS,
+        POOL_ADDRESS,
+        GAUGE_ADDRESS,
+        ODOS_ROUTER,
+        FLY_ROUTER
+      },
+      extraAllow: config.firewallAllow || [],
+      revokeTokens: this.getRevocableTokens()
+    })
 
-        while (!receipt && (Date.now() - startTime) < timeout) {
-          try {
-            receipt = await provider.getTransactionReceipt(txHash)
-            if (receipt) break
-          } catch (error) {
-            this.log(`⏳ Waiting for transaction ${txHash}...`)
-          }
-          await new Promise(resolve => setTimeout(resolve, 2000))
-        }
+    if (!result.allowed) {
+      this.log(`🛡️ Firewall refused ${action} transaction to ${result.target}: ${result.reason}`, 'error')
+      throw new Error(`Transaction refused by calldata firewall (${result.target}): ${result.reason}`)
+    }
+  }
 
-        if (!receipt) {
-          throw new Error(`Transaction ${txHash} not found after ${timeout/1000}s`)
-        }
+  async isDryRun() {
+    const config = await this.getConfig()
+    return config.dryRun === true
+  }
 
-        return receipt
-      }
-    }
+  getDryRunLog(limit = 50) {
+    return this.dryRunSimulator.list(limit)
   }
 
   async sendTransactionViaProxy(txData) {
@@ -356,7 +1232,7 @@ export class DaemonController {
 
       if (!response.ok) {
         this.log('⚠️  Platform proxy failed, using direct RPC')
-        const provider = await this.getProviderWithFallback(null)
+        const provider = await this.getProvider()
         return await provider.send('eth_sendRawTransaction', [txData])
       }
 
@@ -364,7 +1240,7 @@ export class DaemonController {
       return data.result
     } catch (error) {
       this.log(`⚠️  Proxy error: ${error.message}, using direct RPC`)
-      const provider = await this.getProviderWithFallback(null)
+      const provider = await this.getProvider()
       return await provider.send('eth_sendRawTransaction', [txData])
     }
   }
@@ -382,7 +1258,9 @@ export class DaemonController {
       linkUrl: this.linkUrl,
       keepAwakeEnabled: this.keepAwakeEnabled,
       platform: this.platform,
-      platformUrl: this.platformUrl // Expose platform URL for Dashboard to use
+      platformUrl: this.platformUrl, // Expose platform URL for Dashboard to use
+      dryRun: await this.isDryRun(),
+      chainWatch: this.chainWatcher ? this.chainWatcher.getStatus() : null
     }
   }
 
@@ -715,6 +1593,9 @@ export class DaemonController {
     const keystoreJson = await fs.readFile(KEYSTORE_PATH, 'utf-8')
     this.wallet = await Wallet.fromEncryptedJson(keystoreJson, password)
 
+    // Only accept intents addressed to this wallet on Sonic
+    await this.bindIntentVerifier()
+
     // Initialize platform event stream for real-time viewer updates
     this.platformEventStream = new PlatformEventStream({
       walletAddress: this.wallet.address,
@@ -732,12 +1613,19 @@ export class DaemonController {
           this.log('🔄 Instant policy sync triggered via WebSocket')
           this.policySync.syncPolicy()
         }
+      },
+      onIntentReady: () => {
+        // Fetch right away instead of waiting for the fallback poll
+        this.checkIntents('push').catch(error => {
+          console.error('Intent check after intent_ready failed:', error)
+        })
       }
     })
     await this.platformEventStream.connect()
 
     // Load persisted JWT token if available (survives daemon restarts)
     await this.loadJwtToken()
+    await this.loadWebhookSecret()
 
     // Register with platform and get link code
     const timestamp = Date.now()
@@ -827,6 +1715,9 @@ export class DaemonController {
             }
           }
 
+          // Webhook triggers from the platform must be signed with this secret
+          await this.registerWebhookSecret()
+
           // Start policy sync service
           this.policySync = new PolicySync(this.platformUrl, this.wallet.address)
           this.policySync.start()
@@ -844,12 +1735,20 @@ export class DaemonController {
           console.log(`   ✅ gracePeriodMonitor: ${this.gracePeriodMonitor.isActive()}`)
           console.log('   💎 Shadow auto-collection is ENABLED')
 
+          // Resume or finish intents interrupted by a previous crash/restart, re-arm the reorg watch
+          await this.recoverUnfinishedIntents()
+          this.confirmationTracker.start()
+
           // Start polling for intents
           this.pollForIntents()
 
           // Start idle sweep timer (separate 15-minute interval)
           this.startIdleSweepTimer()
 
+          // Event-driven range checks and idle sweeps (config.chainWatch)
+          await this.startChainWatcher()
+          this.startPositionIndexer()
+
           // Start heartbeat to keep JWT session alive
           await this.startHeartbeat()
 
@@ -919,6 +1818,9 @@ export class DaemonController {
 
             console.log('✅ Daemon linked to platform!')
 
+            // Webhook triggers from the platform must be signed with this secret
+            await this.registerWebhookSecret()
+
             // Start policy sync service
             this.policySync = new PolicySync(this.platformUrl, this.wallet.address)
             this.policySync.start()
@@ -927,12 +1829,20 @@ export class DaemonController {
             this.gracePeriodMonitor = new GracePeriodMonitor(this)
             this.gracePeriodMonitor.start()
 
+            // Resume or finish intents interrupted by a previous crash/restart, re-arm the reorg watch
+            await this.recoverUnfinishedIntents()
+            this.confirmationTracker.start()
+
             // Start polling for intents once linked
             this.pollForIntents()
 
             // Start idle sweep timer (separate 15-minute interval)
             this.startIdleSweepTimer()
 
+            // Event-driven range checks and idle sweeps (config.chainWatch)
+            await this.startChainWatcher()
+            this.startPositionIndexer()
+
             // Start heartbeat to keep JWT session alive
             await this.startHeartbeat()
           }
@@ -947,7 +1857,9 @@ export class DaemonController {
   }
 
   async pollForIntents() {
-    // Poll for intents every 5 seconds
+    // Fallback polling - intent_ready pushes over the platform WebSocket and range changes seen by the
+    // chain watcher trigger checkIntents() directly
+    // Every 5 seconds while neither is live, every 30 seconds while either is
     this.intentInterval = setInterval(async () => {
       try {
         // Only poll if daemon is running and linked
@@ -955,226 +1867,663 @@ export class DaemonController {
           return
         }
 
-        this.log(`🔄 Polling for intents...`)
+        // Auto-reject parked intents whose approval window passed
+        await this.expireApprovals()
 
-        // Build query params
-        const params = new URLSearchParams({
-          wallet: this.wallet.address
-        })
+        const eventsLive = this.platformEventStream?.isConnected() || this.isChainWatchLive()
+        if (eventsLive && this.lastIntentCheck && Date.now() - this.lastIntentCheck < INTENT_FALLBACK_POLL_MS) {
+          return
+        }
 
-        // Don't use 'since' filter - backend already prevents duplicates by marking as DELIVERED
-        // Using 'since' creates race condition where intents created between polls are missed
+        await this.checkIntents('poll')
+      } catch (error) {
+        console.error('Intent polling error:', error)
+      }
+    }, 5000)
 
-        const headers = { 'Content-Type': 'application/json' }
-        if (this.jwtToken) {
-          headers['Authorization'] = `Bearer ${this.jwtToken}`
-        }
+    console.log('🔄 Started polling for intents (every 5s, every 30s while the platform or chain WebSocket is live)')
+  }
 
-        const response = await fetch(
-          `${this.platformUrl}/api/daemon/intents?${params.toString()}`,
-          { headers }
-        )
+  /**
+   * Fetch new intents from the platform, verify and validate them, and queue them for execution
+   * Concurrent calls share the fetch in progress; a call arriving mid-fetch triggers one more
+   * fetch afterwards so an intent announced during it is not missed
+   * @param {string} trigger - 'poll', 'push' (WebSocket intent_ready) or 'webhook'
+   * @returns {Promise<{received: number, queued: number}>}
+   */
+  checkIntents(trigger = 'poll') {
+    if (this.intentCheckPromise) {
+      this.intentCheckRerun = true
+      return this.intentCheckPromise
+    }
 
-        if (!response.ok) {
-          // Handle subscription expiry gracefully
-          if (response.status === 403) {
-            const errorData = await response.json().catch(() => ({}))
-            this.log(`⏸️  Subscription required: ${errorData.message || 'Please renew to continue'}`, 'warn')
-            this.log(`   Platform will show "Daemon Offline" until subscription renewed`, 'warn')
-            return
-          }
+    this.intentCheckPromise = (async () => {
+      const totals = { received: 0, queued: 0 }
+      try {
+        do {
+          this.intentCheckRerun = false
+          const result = await this.fetchAndQueueIntents(trigger)
+          totals.received += result.received
+          totals.queued += result.queued
+        } while (this.intentCheckRerun)
+        return totals
+      } finally {
+        this.intentCheckPromise = null
+      }
+    })()
 
-          // Log error details for debugging
-          const errorText = await response.text().catch(() => 'Unable to read error response')
-          this.log(`❌ Intent fetch failed: ${response.status}`, 'error')
-          this.log(`   Error response: ${errorText}`, 'error')
-          return
+    return this.intentCheckPromise
+  }
+
+  async fetchAndQueueIntents(trigger) {
+    if (!this.isRunning || !this.isLinked) {
+      return { received: 0, queued: 0 }
+    }
+
+    this.log(`🔄 Checking for intents (${trigger})...`)
+    let queued = 0
+
+    try {
+      // Build query params
+      const params = new URLSearchParams({
+        wallet: this.wallet.address
+      })
+
+      // Don't use 'since' filter - backend already prevents duplicates by marking as DELIVERED
+      // Using 'since' creates race condition where intents created between polls are missed
+
+      const headers = { 'Content-Type': 'application/json' }
+      if (this.jwtToken) {
+        headers['Authorization'] = `Bearer ${this.jwtToken}`
+      }
+
+      const response = await fetch(
+        `${this.platformUrl}/api/daemon/intents?${params.toString()}`,
+        { headers }
+      )
+
+      if (!response.ok) {
+        // Handle subscription expiry gracefully
+        if (response.status === 403) {
+          const errorData = await response.json().catch(() => ({}))
+          this.log(`⏸️  Subscription required: ${errorData.message || 'Please renew to continue'}`, 'warn')
+          this.log(`   Platform will show "Daemon Offline" until subscription renewed`, 'warn')
+          return { received: 0, queued: 0 }
         }
 
-        const data = await response.json()
-        const intents = data.intents || []
+        // Log error details for debugging
+        const errorText = await response.text().catch(() => 'Unable to read error response')
+        this.log(`❌ Intent fetch failed: ${response.status}`, 'error')
+        this.log(`   Error response: ${errorText}`, 'error')
+        return { received: 0, queued: 0 }
+      }
+
+      const data = await response.json()
+      const intents = data.intents || []
 
-        if (intents.length > 0) {
-          this.log(`📥 Received ${intents.length} new intent(s)`)
+      if (intents.length > 0) {
+        this.log(`📥 Received ${intents.length} new intent(s)`)
 
-          // Load policy for validation
-          const policy = await this.getPolicy()
+        // Load policy for validation
+        const policy = await this.getPolicy()
 
-          // Auto-pause detection: Check if any backdated REBALANCE intents exist
-          if (!this.backdatedIntentsDetected && this.daemonConnectedAt && policy.automation?.autoRebalancing) {
-            let hasBackdatedRebalances = false
+        // Auto-pause detection: Check if any backdated REBALANCE intents exist
+        if (!this.backdatedIntentsDetected && this.daemonConnectedAt && policy.automation?.autoRebalancing) {
+          let hasBackdatedRebalances = false
 
-            for (const signedIntent of intents) {
-              try {
-                const intent = await this.intentVerifier.verifyIntent(signedIntent.signature)
-                if (intent.action === 'REBALANCE') {
-                  const intentTimestamp = intent.timestamp || intent.createdAt || 0
-                  if (intentTimestamp < this.daemonConnectedAt) {
-                    hasBackdatedRebalances = true
-                    break
-                  }
+          for (const signedIntent of intents) {
+            try {
+              const intent = await this.intentVerifier.verifyIntent(signedIntent.signature)
+              if (intent.action === 'REBALANCE') {
+                const intentTimestamp = intent.timestamp || intent.createdAt || 0
+                if (intentTimestamp < this.daemonConnectedAt) {
+                  hasBackdatedRebalances = true
+                  break
                 }
-              } catch (err) {
-                // Skip verification errors in detection phase
               }
+            } catch (err) {
+              // Skip verification errors in detection phase
             }
+          }
 
-            if (hasBackdatedRebalances) {
-              this.backdatedIntentsDetected = true
-              this.log(`🔒 Backdated rebalance intents detected!`, 'warn')
-              this.log(`   Auto-rebalancing paused for safety`, 'warn')
-              this.log(`   💎 Collect Shadow rewards first, then re-enable auto-rebalancing in UI`, 'warn')
+          if (hasBackdatedRebalances) {
+            this.backdatedIntentsDetected = true
+            this.log(`🔒 Backdated rebalance intents detected!`, 'warn')
+            this.log(`   Auto-rebalancing paused for safety`, 'warn')
+            this.log(`   💎 Collect Shadow rewards first, then re-enable auto-rebalancing in UI`, 'warn')
 
-              // Automatically pause auto-rebalancing
-              policy.automation.autoRebalancing = false
-              await this.updatePolicy(policy)
-              this.log(`✅ Auto-rebalancing disabled (re-enable after collecting Shadow)`, 'warn')
-            }
+            // Automatically pause auto-rebalancing
+            policy.automation.autoRebalancing = false
+            await this.updatePolicy(policy)
+            this.log(`✅ Auto-rebalancing disabled (re-enable after collecting Shadow)`, 'warn')
           }
+        }
 
-          for (const signedIntent of intents) {
-            try {
-              // Verify intent signature
-              const intent = await this.intentVerifier.verifyIntent(signedIntent.signature)
+        for (const signedIntent of intents) {
+          try {
+            // Verify intent signature
+            const intent = await this.intentVerifier.verifyIntent(signedIntent.signature)
+
+            this.log(`✅ Intent verified: ${intent.intentId}`)
 
-              this.log(`✅ Intent verified: ${intent.intentId}`)
+            // Validate against policy (every rule is evaluated, all violations reported)
+            const policyContext = await this.getPolicyContext(intent, policy)
+            const policyResult = this.intentVerifier.evaluatePolicy(intent, policy, policyContext)
 
-              // Validate against policy
-              const isPolicyValid = this.intentVerifier.validatePolicy(intent, policy)
+            for (const violation of policyResult.violations) {
+              const level = violation.severity === 'warning' ? 'warn' : 'error'
+              this.log(`   ${level === 'warn' ? '⚠️' : '⛔'} [${violation.id}] ${violation.message}`, level)
+            }
+
+            if (!policyResult.passed) {
+              this.log(`❌ Intent ${intent.intentId} rejected by policy`)
+
+              // Report rejection to platform
+              await this.reportIntentRejection(
+                intent.intentId,
+                `Policy validation failed: ${formatViolations(policyResult)}`,
+                { violations: policyResult.violations }
+              )
+              continue
+            }
 
-              if (!isPolicyValid) {
-                this.log(`❌ Intent ${intent.intentId} rejected by policy`)
+            this.log(`✅ Intent ${intent.intentId} passed policy validation`)
 
-                // Report rejection to platform
-                await this.reportIntentRejection(intent.intentId, 'Policy validation failed')
+            // Check if auto-rebalancing is enabled for REBALANCE actions
+            if (intent.action === 'REBALANCE') {
+              if (!policy.automation?.autoRebalancing) {
+                this.log(`⏭️ Skipping REBALANCE intent ${intent.intentId} - auto-rebalancing is disabled`)
+                this.log(`   💡 Enable auto-rebalancing in UI to resume (after collecting Shadow if needed)`)
+                await this.reportIntentRejection(intent.intentId, 'Auto-rebalancing disabled')
                 continue
               }
+            }
+
+            // Check if intent is backdated (created BEFORE daemon connected) for REBALANCE actions
+            // This prevents executing old intents that built up while daemon was offline
+            if (intent.action === 'REBALANCE' && this.daemonConnectedAt) {
+              let intentTimestamp = intent.timestamp || intent.createdAt || 0
+
+              // Normalize timestamp: handle Date objects, strings, and numeric timestamps (seconds vs milliseconds)
+              if (typeof intentTimestamp === 'object' && intentTimestamp.getTime) {
+                intentTimestamp = intentTimestamp.getTime()
+              } else if (typeof intentTimestamp === 'string') {
+                intentTimestamp = new Date(intentTimestamp).getTime()
+              } else if (typeof intentTimestamp === 'number') {
+                // If timestamp is in seconds (< 10000000000), convert to milliseconds
+                // Unix timestamp for Jan 1, 2000 is 946684800 (10 digits)
+                // Any timestamp before September 2001 would be < 10 digits
+                if (intentTimestamp < 10000000000) {
+                  intentTimestamp = intentTimestamp * 1000
+                }
+              }
 
-              this.log(`✅ Intent ${intent.intentId} passed policy validation`)
+              // Intent is backdated if it was created BEFORE daemon connected
+              if (intentTimestamp < this.daemonConnectedAt) {
+                const config = await this.getConfig()
 
-              // Check if auto-rebalancing is enabled for REBALANCE actions
-              if (intent.action === 'REBALANCE') {
-                if (!policy.automation?.autoRebalancing) {
-                  this.log(`⏭️ Skipping REBALANCE intent ${intent.intentId} - auto-rebalancing is disabled`)
-                  this.log(`   💡 Enable auto-rebalancing in UI to resume (after collecting Shadow if needed)`)
-                  await this.reportIntentRejection(intent.intentId, 'Auto-rebalancing disabled')
+                if (!config.executeBackdatedRebalances) {
+                  const ageMinutes = Math.round((Date.now() - intentTimestamp) / 60000)
+                  this.log(`⏭️ Skipping backdated REBALANCE intent ${intent.intentId} (created ${ageMinutes}min ago, before daemon connected)`)
+                  this.log(`   💡 This intent was queued while daemon was offline`)
+                  this.log(`   💡 Enable "Execute Backdated Rebalances" in settings to process queued intents`)
+
+                  // Report skip to platform
+                  await this.reportIntentRejection(intent.intentId, `Backdated intent skipped (created before daemon connected) - executeBackdatedRebalances disabled`)
                   continue
                 }
+
+                const ageMinutes = Math.round((Date.now() - intentTimestamp) / 60000)
+                this.log(`⚠️ Executing backdated REBALANCE intent ${intent.intentId} (created ${ageMinutes}min ago, before daemon connected)`)
+                this.log(`   ⚠️ executeBackdatedRebalances is enabled - processing queued intent`)
+                this.log(`   ⚠️ Make sure Shadow rewards were collected first to avoid burning them!`)
+              } else {
+                // Fresh intent created AFTER daemon connected - always execute
+                this.log(`✅ Fresh REBALANCE intent ${intent.intentId} (created while daemon connected)`)
               }
+            }
+
+            // Add to pending queue for execution (and remember it so redeliveries are rejected)
+            this.intentVerifier.markIntentSeen(intent)
+
+            // High-impact intents wait for the operator instead of running right away
+            const approvalReasons = await this.getApprovalReasons(intent, policyContext)
+            if (approvalReasons.length > 0) {
+              await this.parkForApproval(intent, approvalReasons, policyContext.notional)
+              continue
+            }
+
+            if (policyContext.notional?.usd !== undefined) {
+              this.queuedNotional.set(intent.intentId, policyContext.notional.usd)
+            }
+            await this.reserveTxBudget(intent)
+            this.pendingIntents.push(intent)
+            queued++
+
+            this.log(`📋 Queued intent ${intent.intentId} for execution`)
+
+          } catch (error) {
+            console.error(`❌ Intent verification failed:`, error.message)
+
+            // Report verification failure to platform if we can extract intentId
+            if (signedIntent.intentId) {
+              await this.reportIntentRejection(signedIntent.intentId, `Verification failed: ${error.message}`)
+            }
+          }
+        }
+      }
+
+      // Update last check timestamp
+      this.lastIntentCheck = Date.now()
+
+      // Execute in the background - the scheduler picks up intents queued while a batch is running
+      this.processIntentQueue().catch(error => {
+        console.error('Intent processing error:', error)
+      })
+
+      // Check subscription expiry and alert user
+      try {
+        const policy = await this.policySync?.getCurrentPolicy()
+        if (policy?.subscription?.expiresAt) {
+          const expiresAt = new Date(policy.subscription.expiresAt).getTime()
+          const now = Date.now()
+          const hoursRemaining = (expiresAt - now) / (1000 * 60 * 60)
+
+          if (hoursRemaining < 0) {
+            this.log(`⚠️  SUBSCRIPTION EXPIRED - Automated trading paused`, 'warn')
+            this.log(`   Renew at: https://app.bulwk.com/?renew=true`, 'warn')
+          } else if (hoursRemaining < 24) {
+            this.log(`⏰ Subscription expires in ${hoursRemaining.toFixed(1)} hours`, 'warn')
+            this.log(`   Renew at: https://app.bulwk.com/?renew=true`, 'warn')
+          }
+        }
+      } catch (expiryCheckError) {
+        console.error('Failed to check subscription expiry:', expiryCheckError)
+      }
+
+      return { received: intents.length, queued }
+    } catch (error) {
+      console.error('Intent check error:', error)
+      return { received: 0, queued }
+    }
+  }
+
+  async startIdleSweepTimer() {
+    this.idleSweepInterval = setInterval(async () => {
+      try {
+        if (!this.isRunning || !this.isLinked) {
+          return
+        }
+
+        // Incoming transfers trigger sweeps while the chain watcher is live - the timer only backs it up
+        if (this.isChainWatchLive() && this.lastIdleSweepAt && Date.now() - this.lastIdleSweepAt < IDLE_SWEEP_FALLBACK_MS) {
+          return
+        }
+
+        await this.triggerIdleSweep('timer')
+      } catch (error) {
+        console.error('Idle sweep timer error:', error)
+      }
+    }, 600000)
+
+    console.log('💰 Started idle balance sweep timer (checks every 10 minutes, hourly while the chain WebSocket is live)')
+  }
+
+  /**
+   * Run an idle sweep now, coalescing with one already in progress
+   * (a burst of incoming transfers shares the running sweep plus one follow-up)
+   */
+  triggerIdleSweep(trigger = 'manual') {
+    if (this.idleSweepPromise) {
+      this.idleSweepRerun = true
+      return this.idleSweepPromise
+    }
+
+    this.idleSweepPromise = (async () => {
+      try {
+        do {
+          this.idleSweepRerun = false
+          if (trigger !== 'timer') {
+            this.log(`🧹 Idle sweep check (${trigger})`)
+          }
+          await this.sweepIdleBalances()
+        } while (this.idleSweepRerun)
+      } finally {
+        this.lastIdleSweepAt = Date.now()
+        this.idleSweepPromise = null
+      }
+    })()
+
+    return this.idleSweepPromise
+  }
+
+  async startChainWatcher() {
+    this.stopChainWatcher()
+
+    const config = await this.getConfig()
+    const chainWatch = { ...DEFAULT_CONFIG.chainWatch, ...config.chainWatch }
+    if (!chainWatch.enabled || !this.wallet) {
+      return
+    }
+
+    const networks = await this.getNetworks()
+    this.chainWatcher = new ChainWatcher({
+      getProvider: () => this.getProvider(),
+      wsUrl: chainWatch.wsUrl,
+      chainId: networks.sonic?.chainId || 146,
+      poolAddress: POOL_ADDRESS,
+      tokenAddresses: [WS_TOKEN, USDC_TOKEN],
+      walletAddress: this.wallet.address,
+      onSwap: swap => this.handlePoolSwap(swap).catch(error => {
+        this.log(`⚠️  Swap-driven range check failed: ${error.message}`, 'warn')
+      }),
+      onTransfer: transfer => this.handleIncomingTransfer(transfer),
+      log: (message, level) => this.log(message, level)
+    })
+    this.chainWatcher.start()
+  }
+
+  stopChainWatcher() {
+    if (this.chainWatcher) {
+      this.chainWatcher.stop()
+      this.chainWatcher = null
+    }
+  }
+
+  /**
+   * Whether chain events arrive over a live WebSocket - the poll timers then run stretched
+   * (they are the fallback while the watcher polls heads or its socket goes stale)
+   */
+  isChainWatchLive() {
+    return Boolean(this.chainWatcher?.isWebSocketLive())
+  }
+
+  /**
+   * Position index of the current wallet (created on first use, replaced when the wallet changes)
+   */
+  getPositionIndexer() {
+    if (this.positionIndexer?.walletAddress !== this.wallet.address) {
+      this.stopPositionIndexer()
+      this.positionIndexer = new PositionIndexer({
+        getProvider: () => this.getProvider(),
+        nfpmAddress: NFPM_ADDRESS,
+        walletAddress: this.wallet.address,
+        log: (message, level) => this.log(message, level)
+      })
+    }
+    return this.positionIndexer
+  }
+
+  startPositionIndexer() {
+    if (this.wallet) {
+      this.getPositionIndexer().start()
+    }
+  }
+
+  stopPositionIndexer() {
+    if (this.positionIndexer) {
+      this.positionIndexer.stop()
+    }
+  }
+
+  /**
+   * Lifecycle of every position the wallet has held, from the local NFPM event index
+   */
+  getPositionHistory(filters = {}) {
+    if (!this.wallet) {
+      throw new Error('Wallet not initialized. Please start the daemon first.')
+    }
+    return this.getPositionIndexer().getHistory(filters)
+  }
+
+  /**
+   * Local range check on every pool Swap: when a wallet position leaves (or re-enters)
+   * its range, run the grace period check and fetch intents right away
+   */
+  async handlePoolSwap({ tick, blockNumber }) {
+    if (!this.isRunning || !this.isLinked) {
+      return
+    }
+
+    if (Date.now() - this.positionRangesAt > POSITION_RANGES_TTL_MS) {
+      await this.refreshPositionRanges()
+    }
+
+    const changed = []
+    for (const [tokenId, range] of this.positionRanges) {
+      const inRange = tick >= range.tickLower && tick <= range.tickUpper
+      // First observation only counts when the position is already out of range
+      if (range.inRange === null ? !inRange : inRange !== range.inRange) {
+        changed.push(`#${tokenId} ${inRange ? 'back in range' : 'out of range'} [${range.tickLower}, ${range.tickUpper}]`)
+      }
+      range.inRange = inRange
+    }
+
+    if (changed.length === 0) {
+      return
+    }
+
+    this.log(`📈 Swap in block ${blockNumber} moved tick to ${tick}: ${changed.join(', ')}`)
+    await Promise.all([
+      this.checkGracePeriod('swap'),
+      this.checkIntents('swap')
+    ])
+  }
+
+  handleIncomingTransfer({ token, amount, blockNumber }) {
+    const tokenConfig = getTokenByAddress(token)
+    const label = tokenConfig ? `${Number(amount) / 10 ** tokenConfig.decimals} ${tokenConfig.symbol}` : `${amount} of ${token}`
+    this.log(`💸 Received ${label} in block ${blockNumber}`)
+
+    this.triggerIdleSweep('transfer').catch(error => {
+      this.log(`⚠️  Transfer-triggered idle sweep failed: ${error.message}`, 'warn')
+    })
+  }
+
+  /**
+   * Tick ranges of the wallet's live WS/USDC positions (coalesced, keeps known in-range state)
+   */
+  refreshPositionRanges() {
+    if (this.positionRangesPromise) {
+      return this.positionRangesPromise
+    }
+
+    this.positionRangesPromise = (async () => {
+      try {
+        const provider = await this.getProvider()
+        const nfpm = new Contract(NFPM_ADDRESS, [
+          'function balanceOf(address owner) view returns (uint256)',
+          'function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)',
+          ...NFPM_POSITIONS_ABI
+        ], provider)
+
+        const count = Number(await nfpm.balanceOf(this.wallet.address))
+        const ranges = new Map()
+        for (let i = 0; i < count; i++) {
+          const tokenId = (await nfpm.tokenOfOwnerByIndex(this.wallet.address, i)).toString()
+          const position = await nfpm.positions(tokenId)
+          if (position.liquidity === 0n || position.token0.toLowerCase() !== WS_TOKEN.toLowerCase() || position.token1.toLowerCase() !== USDC_TOKEN.toLowerCase()) {
+            continue
+          }
+          ranges.set(tokenId, {
+            tickLower: Number(position.tickLower),
+            tickUpper: Number(position.tickUpper),
+            inRange: this.positionRanges.get(tokenId)?.inRange ?? null
+          })
+        }
+
+        this.positionRanges = ranges
+        this.positionRangesAt = Date.now()
+      } finally {
+        this.positionRangesPromise = null
+      }
+    })()
+
+    return this.positionRangesPromise
+  }
+
+  /**
+   * Run a grace period check now (pool swap webhook / event trigger)
+   * Triggers arriving while a check runs are coalesced into it
+   */
+  async checkGracePeriod(trigger = 'manual') {
+    if (!this.gracePeriodMonitor) {
+      return { trigger, ran: false, reason: 'Grace period monitor not running' }
+    }
+    return this.gracePeriodMonitor.triggerCheck(trigger)
+  }
+
+  async getApprovalSettings() {
+    const config = await this.getConfig()
+    return { ...DEFAULT_CONFIG.approval, ...config.approval }
+  }
+
+  /**
+   * Why an intent needs manual approval (empty when it can run right away)
+   * Fills policyContext.notional when the value threshold needs a valuation
+   */
+  async getApprovalReasons(intent, policyContext) {
+    const settings = await this.getApprovalSettings()
+    if (!settings.enabled) {
+      return []
+    }
 
-              // Check if intent is backdated (created BEFORE daemon connected) for REBALANCE actions
-              // This prevents executing old intents that built up while daemon was offline
-              if (intent.action === 'REBALANCE' && this.daemonConnectedAt) {
-                let intentTimestamp = intent.timestamp || intent.createdAt || 0
-
-                // Normalize timestamp: handle Date objects, strings, and numeric timestamps (seconds vs milliseconds)
-                if (typeof intentTimestamp === 'object' && intentTimestamp.getTime) {
-                  intentTimestamp = intentTimestamp.getTime()
-                } else if (typeof intentTimestamp === 'string') {
-                  intentTimestamp = new Date(intentTimestamp).getTime()
-                } else if (typeof intentTimestamp === 'number') {
-                  // If timestamp is in seconds (< 10000000000), convert to milliseconds
-                  // Unix timestamp for Jan 1, 2000 is 946684800 (10 digits)
-                  // Any timestamp before September 2001 would be < 10 digits
-                  if (intentTimestamp < 10000000000) {
-                    intentTimestamp = intentTimestamp * 1000
-                  }
-                }
+    const reasons = []
 
-                // Intent is backdated if it was created BEFORE daemon connected
-                if (intentTimestamp < this.daemonConnectedAt) {
-                  const config = await this.getConfig()
+    if (settings.actions.includes(intent.action)) {
+      reasons.push(`${intent.action} always requires approval`)
+    }
 
-                  if (!config.executeBackdatedRebalances) {
-                    const ageMinutes = Math.round((Date.now() - intentTimestamp) / 60000)
-                    this.log(`⏭️ Skipping backdated REBALANCE intent ${intent.intentId} (created ${ageMinutes}min ago, before daemon connected)`)
-                    this.log(`   💡 This intent was queued while daemon was offline`)
-                    this.log(`   💡 Enable "Execute Backdated Rebalances" in settings to process queued intents`)
+    if (settings.minUsd) {
+      if (!policyContext.notional) {
+        policyContext.notional = await this.getIntentNotional(intent)
+      }
 
-                    // Report skip to platform
-                    await this.reportIntentRejection(intent.intentId, `Backdated intent skipped (created before daemon connected) - executeBackdatedRebalances disabled`)
-                    continue
-                  }
+      const notional = policyContext.notional
+      if (notional.error) {
+        reasons.push(`Could not value intent (${notional.error})`)
+      } else if (notional.usd >= settings.minUsd) {
+        reasons.push(`Moves ~$${notional.usd.toFixed(2)}, approval threshold is $${settings.minUsd}`)
+      }
+    }
 
-                  const ageMinutes = Math.round((Date.now() - intentTimestamp) / 60000)
-                  this.log(`⚠️ Executing backdated REBALANCE intent ${intent.intentId} (created ${ageMinutes}min ago, before daemon connected)`)
-                  this.log(`   ⚠️ executeBackdatedRebalances is enabled - processing queued intent`)
-                  this.log(`   ⚠️ Make sure Shadow rewards were collected first to avoid burning them!`)
-                } else {
-                  // Fresh intent created AFTER daemon connected - always execute
-                  this.log(`✅ Fresh REBALANCE intent ${intent.intentId} (created while daemon connected)`)
-                }
-              }
+    return reasons
+  }
 
-              // Add to pending queue for execution
-              this.pendingIntents.push(intent)
+  /**
+   * Human-readable plan of what an intent will do, shown in the approval panel
+   */
+  async buildIntentPlan(intent, notional) {
+    const recipe = intent.recipe || {}
+    const steps = []
+
+    if (intent.action === 'DEPLOY') {
+      steps.push('Deploy wallet WS/USDC across enabled tiers')
+    } else if (intent.action === 'REBALANCE') {
+      steps.push(`Close position #${recipe.tokenId} (${recipe.fromTier || 'unknown tier'})`)
+      steps.push('Swap to the target token ratio if needed (Odos)')
+      steps.push(`Reopen ${recipe.fromTier ? `${recipe.fromTier} ` : ''}position around the current tick`)
+    } else if (intent.action === 'BATCH_WITHDRAW') {
+      const tokenIds = recipe.tokenIds || []
+      steps.push(`Close ${tokenIds.length} position(s): ${tokenIds.map(id => `#${id}`).join(', ')}`)
+      steps.push('Withdrawn funds stay in the daemon wallet')
+    } else if (intent.action === 'IDLE_SWEEP') {
+      if (recipe.swapDirection && recipe.swapDirection !== 'NONE' && recipe.swapAmount) {
+        const amount = recipe.swapDirection === 'WS_TO_USDC'
+          ? `${Number(recipe.swapAmount) / 1e18} WS`
+          : `${Number(recipe.swapAmount) / 1e6} USDC`
+        steps.push(`Swap ${amount} (${recipe.swapDirection})`)
+      }
+      steps.push('Deploy idle WS/USDC across enabled tiers')
+    } else {
+      steps.push(`Execute ${intent.action} (transaction built by the platform)`)
+    }
 
-              this.log(`📋 Queued intent ${intent.intentId} for execution`)
+    return {
+      action: intent.action,
+      steps,
+      recipe,
+      estimatedTxCount: await this.estimateIntentTxCount(intent),
+      notionalUsd: notional && !notional.error ? notional.usd : null,
+      valuationBasis: notional?.basis || null,
+      deadline: intent.deadline ? new Date(intent.deadline * 1000).toISOString() : null
+    }
+  }
 
-            } catch (error) {
-              console.error(`❌ Intent verification failed:`, error.message)
+  async parkForApproval(intent, reasons, notional) {
+    const settings = await this.getApprovalSettings()
+    const entry = this.approvalQueue.park(intent, {
+      reasons,
+      plan: await this.buildIntentPlan(intent, notional),
+      timeoutMinutes: settings.timeoutMinutes
+    })
 
-              // Report verification failure to platform if we can extract intentId
-              if (signedIntent.intentId) {
-                await this.reportIntentRejection(signedIntent.intentId, `Verification failed: ${error.message}`)
-              }
-            }
-          }
-        }
+    this.log(`✋ Intent ${intent.intentId} (${intent.action}) awaiting approval until ${entry.expiresAt}: ${reasons.join('; ')}`, 'warn')
+    return entry
+  }
 
-        // Update last check timestamp
-        this.lastIntentCheck = Date.now()
+  listApprovals() {
+    return this.approvalQueue.list()
+  }
 
-        // Process any pending intents in the queue
-        await this.processIntentQueue()
+  async approveIntent(intentId) {
+    const entry = this.approvalQueue.take(intentId)
+    if (!entry) {
+      throw new Error(`No intent awaiting approval with id ${intentId}`)
+    }
 
-        // Note: Idle balance sweeping now runs on separate 15-minute interval (see startIdleSweepTimer)
+    const { intent } = entry
+    if (intent.deadline && intent.deadline < Math.floor(Date.now() / 1000)) {
+      await this.reportIntentRejection(intentId, 'Approved after intent deadline passed')
+      throw new Error('Intent deadline has passed - it was rejected instead')
+    }
 
-        // Check subscription expiry and alert user
-        try {
-          const policy = await this.policySync?.getCurrentPolicy()
-          if (policy?.subscription?.expiresAt) {
-            const expiresAt = new Date(policy.subscription.expiresAt).getTime()
-            const now = Date.now()
-            const hoursRemaining = (expiresAt - now) / (1000 * 60 * 60)
-
-            if (hoursRemaining < 0) {
-              this.log(`⚠️  SUBSCRIPTION EXPIRED - Automated trading paused`, 'warn')
-              this.log(`   Renew at: https://app.bulwk.com/?renew=true`, 'warn')
-            } else if (hoursRemaining < 24) {
-              this.log(`⏰ Subscription expires in ${hoursRemaining.toFixed(1)} hours`, 'warn')
-              this.log(`   Renew at: https://app.bulwk.com/?renew=true`, 'warn')
-            }
-          }
-        } catch (expiryCheckError) {
-          console.error('Failed to check subscription expiry:', expiryCheckError)
-        }
+    // Usage, caps and prices may have moved while it was parked - check it again
+    // (taking it off the queue above already released its own reservation)
+    const policy = await this.getPolicy()
+    const policyContext = await this.getPolicyContext(intent, policy)
+    const policyResult = this.intentVerifier.evaluatePolicy(intent, policy, policyContext)
+    if (!policyResult.passed) {
+      const reason = `Policy validation failed on approval: ${formatViolations(policyResult)}`
+      this.log(`❌ Intent ${intentId} no longer passes policy - rejected instead of approved`, 'warn')
+      await this.reportIntentRejection(intentId, reason, { violations: policyResult.violations })
+      throw new Error(reason)
+    }
 
-      } catch (error) {
-        console.error('Intent polling error:', error)
-      }
-    }, 5000)
+    this.log(`👍 Intent ${intentId} (${intent.action}) approved - queued for execution`)
+    if (policyContext.notional?.usd !== undefined) {
+      this.queuedNotional.set(intentId, policyContext.notional.usd)
+    }
+    await this.reserveTxBudget(intent)
+    this.pendingIntents.push(intent)
+
+    // Don't hold the request open for the whole execution
+    this.processIntentQueue().catch(error => {
+      console.error('Intent processing error after approval:', error)
+    })
 
-    console.log('🔄 Started polling for intents every 5 seconds')
+    return { intentId, approved: true }
   }
 
-  async startIdleSweepTimer() {
-    this.idleSweepInterval = setInterval(async () => {
-      try {
-        if (!this.isRunning || !this.isLinked) {
-          return
-        }
+  async rejectApproval(intentId, reason = 'Rejected by operator') {
+    const entry = this.approvalQueue.take(intentId)
+    if (!entry) {
+      throw new Error(`No intent awaiting approval with id ${intentId}`)
+    }
 
-        await this.sweepIdleBalances()
-      } catch (error) {
-        console.error('Idle sweep timer error:', error)
-      }
-    }, 600000)
+    this.log(`👎 Intent ${intentId} (${entry.action}) rejected: ${reason}`)
+    await this.reportIntentRejection(intentId, reason)
+    return { intentId, rejected: true }
+  }
 
-    console.log('💰 Started idle balance sweep timer (checks every 10 minutes)')
+  async expireApprovals() {
+    for (const entry of this.approvalQueue.takeExpired()) {
+      this.log(`⌛ Approval for intent ${entry.intentId} (${entry.action}) timed out - rejecting`, 'warn')
+      await this.reportIntentRejection(entry.intentId, `Approval timed out (parked ${entry.parkedAt}, expired ${entry.expiresAt})`)
+    }
   }
 
-  async reportIntentRejection(intentId, reason) {
+  async reportIntentRejection(intentId, reason, details = {}) {
     try {
       const headers = { 'Content-Type': 'application/json' }
       if (this.jwtToken) {
@@ -1188,7 +2537,8 @@ export class DaemonController {
           intentId,
           status: 'rejected',
           reason,
-          wallet: this.wallet.address
+          wallet: this.wallet.address,
+          ...details
         })
       })
     } catch (error) {
@@ -1198,9 +2548,13 @@ export class DaemonController {
 
   /**
    * Ensure tokens have sufficient allowance for NFPM
-   * Automatically approves tokens if needed
+   * Automatically approves tokens if needed (exact mode: skipped, each mint approves its own amounts)
    */
   async ensureTokenApprovals(connectedWallet, provider, intent) {
+    if ((await this.getAllowanceSettings()).mode === 'exact') {
+      return
+    }
+
     this.log('🔍 Checking token approvals...')
 
     const tokens = [
@@ -1219,10 +2573,12 @@ export class DaemonController {
         if (allowance < MIN_ALLOWANCE) {
           this.log(`⚠️  ${token.symbol} allowance insufficient - approving...`)
 
-          const tokenWithSigner = tokenContract.connect(connectedWallet)
-          const approveTx = await tokenWithSigner.approve(
+          const approveTx = await this.approveToken(
+            connectedWallet,
+            token.address,
             NFPM_ADDRESS,
-            '0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff' // max uint256
+            '0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff', // max uint256
+            intent.action
           )
 
           this.log(`⏳ Waiting for ${token.symbol} approval: ${approveTx.hash}`)
@@ -1238,6 +2594,39 @@ export class DaemonController {
     this.log('✅ All token approvals confirmed')
   }
 
+  /**
+   * Rebuild a rebalance's OPEN_POSITION (last transaction) at the current pool tick
+   */
+  async rebuildOpenPosition(intent, freshFee, swapSlippageBps) {
+    const slot0 = await this.readSlot0()
+    const freshTick = Number(slot0.tick)
+
+    this.log(`📊 Fresh tick: ${freshTick}`)
+    this.log(`🔄 Recalculating OPEN_POSITION params with fresh tick via platform API...`)
+
+    const refreshResponse = await fetch(`${this.platformUrl}/api/build-transaction`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        intent,
+        userAddress: this.wallet.address,
+        freshFee,
+        swapSlippageBps,
+        currentTick: freshTick
+      })
+    })
+
+    if (!refreshResponse.ok) {
+      throw new Error(`Platform API returned ${refreshResponse.status}`)
+    }
+
+    const refreshData = await refreshResponse.json()
+    if (!refreshData.transactions || refreshData.transactions.length === 0) {
+      throw new Error('No transactions returned from refresh')
+    }
+    return refreshData.transactions[refreshData.transactions.length - 1]
+  }
+
   async executeIntent(intent, attempt = 1) {
     const MAX_RETRIES = 2  // Allow 2 total attempts
     const RETRY_DELAY_MS = 2000  // Wait 2s between retries
@@ -1248,7 +2637,7 @@ export class DaemonController {
       const config = await this.getConfig()
 
       // Setup provider and wallet
-      const { JsonRpcProvider, Contract } = await import('ethers')
+      const { Contract } = await import('ethers')
       const networks = await this.getNetworks()
       const network = networks.sonic
 
@@ -1256,9 +2645,17 @@ export class DaemonController {
         throw new Error('Sonic network not configured')
       }
 
-      const provider = new JsonRpcProvider(network.rpc)
+      const provider = await this.getProvider()
       const connectedWallet = this.wallet.connect(provider)
 
+      // Progress recorded by a previous (interrupted) run of this intent, if any
+      const journalState = this.intentJournal.get(intent.intentId)?.state || {}
+      const resumingClosedPosition = intent.action === 'REBALANCE' && journalState.positionClosed === true
+
+      if (resumingClosedPosition) {
+        this.log(`📓 Resuming REBALANCE ${intent.intentId} from journal - position ${intent.recipe.tokenId} was already closed`)
+      }
+
       // Check LOGIC balance before executing (only on first attempt to avoid spam)
       if (attempt === 1) {
         try {
@@ -1311,7 +2708,8 @@ export class DaemonController {
         this.log(`🔒 Marked position ${tokenId} as actively processing`)
       }
 
-      if (intent.action === 'REBALANCE') {
+      // Position was burned by the interrupted run - ownership/liquidity checks no longer apply
+      if (intent.action === 'REBALANCE' && !resumingClosedPosition) {
         const tokenId = intent.recipe.tokenId
         const NFPM_ABI = [
           'function ownerOf(uint256 tokenId) view returns (address)',
@@ -1342,8 +2740,13 @@ export class DaemonController {
           // Check if position has liquidity
           let position
           try {
-            position = await nfpm.positions(tokenId)
+            position = await this.readPosition(tokenId)
           } catch (decodeError) {
+            // RPCs disagreeing is not evidence of a burned position
+            if (decodeError instanceof QuorumError) {
+              throw decodeError
+            }
+
             // Position decode failed - likely invalid tokenId or contract error
             this.log(`❌ Failed to decode position ${tokenId}: ${decodeError.message}`)
             this.log(`   This usually means the position was burned or never existed`)
@@ -1382,11 +2785,7 @@ export class DaemonController {
           // CRITICAL: Check if position is still out of range before rebalancing
           // Prevents wasting gas on intents for positions that are already in range
           // (either rebalanced by previous intent or price moved back naturally)
-          const POOL_ABI = [
-            'function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)'
-          ]
-          const pool = new Contract(POOL_ADDRESS, POOL_ABI, provider)
-          const slot0 = await pool.slot0()
+          const slot0 = await this.readSlot0()
           const currentTick = Number(slot0.tick)
 
           // Get position tick range
@@ -1513,7 +2912,7 @@ export class DaemonController {
           this.log(`\n🚀 [${i+1}/${enabledTiers.length}] Deploying ${tierName} position...`)
 
           // Query FRESH on-chain data (milliseconds before execution)
-          const slot0 = await pool.slot0()
+          const slot0 = await this.readSlot0()
           const currentTick = Number(slot0.tick)
           const sqrtPriceX96 = slot0.sqrtPriceX96
 
@@ -1523,13 +2922,11 @@ export class DaemonController {
           const tickLower = alignedTick - halfWidth
           const tickUpper = alignedTick + halfWidth
 
-          // Query CURRENT balances (not original - use what's actually available NOW)
-          const ERC20_ABI = ['function balanceOf(address) view returns (uint256)']
-          const wsToken = new Contract(WS_TOKEN, ERC20_ABI, provider)
-          const usdcToken = new Contract(USDC_TOKEN, ERC20_ABI, provider)
-
-          const currentWsBalance = await wsToken.balanceOf(this.wallet.address)
-          const currentUsdcBalance = await usdcToken.balanceOf(this.wallet.address)
+          // Query CURRENT balances (not original - use what's actually available NOW),
+          // as of the previous tier's mint at the earliest
+          const afterBlock = receipts.at(-1)?.blockNumber ?? null
+          const currentWsBalance = await this.readTokenBalance(WS_TOKEN, { afterBlock })
+          const currentUsdcBalance = await this.readTokenBalance(USDC_TOKEN, { afterBlock })
 
           // Calculate how much to allocate to THIS tier
           const wsForTier = (currentWsBalance * BigInt(Math.floor(tierSettings.allocPct * 10000))) / BigInt(10000)
@@ -1587,6 +2984,7 @@ export class DaemonController {
 
           this.log(`✅ Transaction sent: ${tx.hash}`)
           txHashes.push(tx.hash)
+          this.intentJournal.recordTxSent(intent.intentId, `MINT_${tierName}`, tx.hash)
 
           // Wait for confirmation
           const receipt = await tx.wait()
@@ -1597,6 +2995,7 @@ export class DaemonController {
 
           this.log(`✅ Transaction confirmed: ${tx.hash} (block ${receipt.blockNumber}, gas: ${receipt.gasUsed.toString()})`)
           receipts.push(receipt)
+          this.intentJournal.recordTxConfirmed(intent.intentId, tx.hash, receipt.blockNumber, receipt.hash)
 
           // Extract tokenId from receipt logs (ERC-721 Transfer event)
           // Transfer(address indexed from, address indexed to, uint256 indexed tokenId)
@@ -1674,17 +3073,12 @@ export class DaemonController {
 
         // Validate position still out of range before starting
         const tokenId = intent.recipe.tokenId
-        const NFPM_ABI = [
-          'function positions(uint256 tokenId) view returns (address token0, address token1, int24 tickSpacing, int24 tickLower, int24 tickUpper, uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, uint128 tokensOwed0, uint128 tokensOwed1)'
-        ]
-        const nfpm = new Contract(NFPM_ADDRESS, NFPM_ABI, provider)
-        const position = await nfpm.positions(tokenId)
+        // A burned position can't be read anymore - use the range journaled before it was closed
+        const position = resumingClosedPosition
+          ? { tickLower: journalState.tickLower, tickUpper: journalState.tickUpper }
+          : await this.readPosition(tokenId)
 
-        const POOL_ABI = [
-          'function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)'
-        ]
-        const pool = new Contract(POOL_ADDRESS, POOL_ABI, provider)
-        const slot0 = await pool.slot0()
+        const slot0 = await this.readSlot0()
         const currentTick = Number(slot0.tick)
         const tickLower = Number(position.tickLower)
         const tickUpper = Number(position.tickUpper)
@@ -1703,10 +3097,10 @@ export class DaemonController {
 
         this.log(`📊 Position confirmed out of range: tick ${currentTick} not in [${tickLower}, ${tickUpper}]`)
 
-        let positionClosed = false
-        let initialTransactions = null
-        let initialImbalanceData = null
-        let initialNeedsSwap = false
+        let positionClosed = resumingClosedPosition
+        let initialTransactions = resumingClosedPosition ? journalState.transactions : null
+        let initialImbalanceData = resumingClosedPosition ? journalState.imbalanceData : null
+        let initialNeedsSwap = resumingClosedPosition ? journalState.needsSwap === true : false
 
         for (let tierIndex = 0; tierIndex < SWAP_SLIPPAGE_TIERS.length; tierIndex++) {
           const swapSlippageBps = SWAP_SLIPPAGE_TIERS[tierIndex]
@@ -1716,7 +3110,7 @@ export class DaemonController {
 
           try {
             // Re-check tick position before each attempt (detect drift)
-            const freshSlot0 = await pool.slot0()
+            const freshSlot0 = await this.readSlot0()
             const freshTick = Number(freshSlot0.tick)
 
             if (freshTick >= tickLower && freshTick <= tickUpper) {
@@ -1763,12 +3157,37 @@ export class DaemonController {
                 initialImbalanceData = imbalanceData
                 initialNeedsSwap = needsSwap
               }
+
+              // Journal the plan BEFORE sending anything so a restart can resume after CLOSE_POSITION
+              this.intentJournal.updateState(intent.intentId, {
+                tokenId,
+                tickLower,
+                tickUpper,
+                transactions,
+                needsSwap: needsSwap === true,
+                imbalanceData: imbalanceData || null,
+                swapSlippageBps
+              })
             } else {
               this.log(`♻️  Reusing cached transaction data (position already closed, only retrying swap)`)
-              transactions = initialTransactions
+              transactions = Array.isArray(initialTransactions) ? [...initialTransactions] : initialTransactions
               needsSwap = initialNeedsSwap
               imbalanceData = initialImbalanceData
               note = `Retry with ${swapSlippageBps / 100}% slippage`
+
+              // A reopen that already went out may still be pending or mined - never mint twice
+              const journaledReopen = this.getJournaledReopen(intent.intentId)
+              if (journaledReopen) {
+                throw new Error(`${journaledReopen.label} ${journaledReopen.txHash} was already sent - not minting again`)
+              }
+
+              // The cached OPEN_POSITION may predate the swap (amounts) and its deadline - rebuild it
+              if (Array.isArray(transactions) && transactions.length > 0) {
+                transactions[transactions.length - 1] = await this.rebuildOpenPosition(intent, freshFee, swapSlippageBps)
+                initialTransactions = transactions
+                this.intentJournal.updateState(intent.intentId, { transactions })
+                this.log(`✅ OPEN_POSITION params recalculated with fresh tick`)
+              }
             }
 
             if (!transactions || !Array.isArray(transactions)) {
@@ -1794,7 +3213,7 @@ export class DaemonController {
 
               // Re-validate tick before TX2+ (additional drift protection)
               if (i > 0) {
-                const checkSlot0 = await pool.slot0()
+                const checkSlot0 = await this.readSlot0()
                 const checkTick = Number(checkSlot0.tick)
 
                 if (checkTick >= tickLower && checkTick <= tickUpper) {
@@ -1823,6 +3242,7 @@ export class DaemonController {
 
               this.log(`✅ ${label} sent: ${tx.hash}`)
               txHashes.push(tx.hash)
+              this.intentJournal.recordTxSent(intent.intentId, label, tx.hash)
 
               // Wait for confirmation
               const receipt = await tx.wait()
@@ -1833,10 +3253,12 @@ export class DaemonController {
 
               this.log(`✅ ${label} confirmed (block ${receipt.blockNumber}, gas: ${receipt.gasUsed.toString()})`)
               receipts.push(receipt)
+              this.intentJournal.recordTxConfirmed(intent.intentId, tx.hash, receipt.blockNumber, receipt.hash)
 
               // Mark position as closed after TX1 succeeds
               if (label === 'CLOSE_POSITION') {
                 positionClosed = true
+                this.intentJournal.updateState(intent.intentId, { positionClosed: true })
                 this.log(`🔓 Position closed - NFT burned (will skip platform API on retries)`)
               }
 
@@ -1852,10 +3274,8 @@ export class DaemonController {
                   const inputToken = swapZeroForOne ? WS_TOKEN : USDC_TOKEN
                   const outputToken = swapZeroForOne ? USDC_TOKEN : WS_TOKEN
 
-                  // Verify actual token balance after position close
-                  const ERC20_ABI_BALANCE = ['function balanceOf(address) view returns (uint256)']
-                  const balanceCheckContract = new Contract(inputToken, ERC20_ABI_BALANCE, provider)
-                  const actualBalance = await balanceCheckContract.balanceOf(this.wallet.address)
+                  // Verify actual token balance after position close (as of the close block)
+                  const actualBalance = await this.readTokenBalance(inputToken, { afterBlock: receipt.blockNumber })
 
                   // Use the MINIMUM of calculated amount and actual balance to prevent insufficient balance errors
                   const calculatedAmount = BigInt(imbalanceData.swapAmount)
@@ -1888,7 +3308,7 @@ export class DaemonController {
                       slippageLimitPercent: swapSlippageBps / 100, // Convert basis points to percentage
                       userAddr: this.wallet.address,
                       referralCode: 0,
-                      compact: true
+                      compact: false // Standard swap() calldata so the firewall can decode and check it
                     })
                   })
 
@@ -1926,27 +3346,13 @@ export class DaemonController {
                   this.log(`📦 Odos transaction assembled`)
 
                   // Approve input token for Odos router if needed
-                  const ERC20_ABI = [
-                    'function approve(address spender, uint256 amount) returns (bool)',
-                    'function allowance(address owner, address spender) view returns (uint256)'
-                  ]
-                  const inputTokenContract = new Contract(inputToken, ERC20_ABI, provider)
-                  const currentAllowance = await inputTokenContract.allowance(
-                    this.wallet.address,
-                    assembleData.transaction.to
-                  )
-
-                  const requiredAmount = BigInt(quoteData.inAmounts[0])
-                  if (currentAllowance < requiredAmount) {
-                    this.log(`🔓 Approving ${swapZeroForOne ? 'WS' : 'USDC'} for Odos router...`)
-                    const tokenWithSigner = inputTokenContract.connect(connectedWallet)
-                    const approveTx = await tokenWithSigner.approve(
-                      assembleData.transaction.to,
-                      '0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff' // max uint256
-                    )
-                    await approveTx.wait()
-                    this.log(`✅ Token approved`)
-                  }
+                  await this.ensureAllowance(connectedWallet, {
+                    token: inputToken,
+                    spender: assembleData.transaction.to,
+                    amount: BigInt(quoteData.inAmounts[0]),
+                    action: intent.action,
+                    label: swapZeroForOne ? 'WS' : 'USDC'
+                  })
 
                   // Execute swap
                   this.log(`\n🚀 [2/${transactions.length + 1}] Executing SWAP_TOKENS (Odos)...`)
@@ -1959,6 +3365,7 @@ export class DaemonController {
 
                   this.log(`✅ SWAP_TOKENS sent: ${swapTx.hash}`)
                   txHashes.push(swapTx.hash)
+                  this.intentJournal.recordTxSent(intent.intentId, 'SWAP_TOKENS', swapTx.hash)
 
                   const swapReceipt = await swapTx.wait()
 
@@ -1968,6 +3375,8 @@ export class DaemonController {
 
                   this.log(`✅ SWAP_TOKENS confirmed (block ${swapReceipt.blockNumber}, gas: ${swapReceipt.gasUsed.toString()})`)
                   receipts.push(swapReceipt)
+                  this.intentJournal.recordTxConfirmed(intent.intentId, swapTx.hash, swapReceipt.blockNumber, swapReceipt.hash)
+                  this.intentJournal.updateState(intent.intentId, { swapCompleted: true })
 
                   this.log(`⏳ Waiting 5s for pool price stabilization...`)
                   await new Promise(resolve => setTimeout(resolve, 5000))
@@ -1977,42 +3386,12 @@ export class DaemonController {
                   this.log(`📊 Querying fresh tick after swap to recalculate position parameters...`)
 
                   try {
-                    const POOL_ABI = ['function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)']
-                    const POOL_ADDRESS = '0x324963c267C354c7660Ce8CA3F5f167E05649970'
-                    const poolContract = new Contract(POOL_ADDRESS, POOL_ABI, provider)
-                    const slot0 = await poolContract.slot0()
-                    const freshTick = Number(slot0.tick)
-
-                    this.log(`📊 Fresh tick after swap: ${freshTick}`)
-                    this.log(`🔄 Recalculating OPEN_POSITION params with fresh tick via platform API...`)
-
-                    const refreshResponse = await fetch(`${this.platformUrl}/api/build-transaction`, {
-                      method: 'POST',
-                      headers: { 'Content-Type': 'application/json' },
-                      body: JSON.stringify({
-                        intent: intent,
-                        userAddress: this.wallet.address,
-                        freshFee: currentFee,
-                        swapSlippageBps: swapSlippageBps,
-                        currentTick: freshTick
-                      })
-                    })
-
-                    if (!refreshResponse.ok) {
-                      throw new Error(`Platform API returned ${refreshResponse.status}`)
-                    }
-
-                    const refreshData = await refreshResponse.json()
-
                     // Update OPEN_POSITION transaction (always last transaction after swap)
-                    if (refreshData.transactions && refreshData.transactions.length > 0) {
-                      const openTx = refreshData.transactions[refreshData.transactions.length - 1]
-                      transactions[transactions.length - 1] = openTx
-                      this.log(`✅ OPEN_POSITION params recalculated with fresh tick`)
-                    } else {
-                      this.log(`⚠️ No transactions returned from refresh, using original params`)
-                    }
+                    transactions[transactions.length - 1] = await this.rebuildOpenPosition(intent, freshFee, swapSlippageBps)
+                    this.log(`✅ OPEN_POSITION params recalculated with fresh tick`)
 
+                    // A resume after this point must mint with these params, not the pre-swap ones
+                    this.intentJournal.updateState(intent.intentId, { transactions })
                   } catch (tickRefreshError) {
                     this.log(`⚠️ Tick refresh failed: ${tickRefreshError.message}`)
                     this.log(`⚠️ Continuing with original position params (may fail if tick drifted significantly)`)
@@ -2054,30 +3433,33 @@ export class DaemonController {
               `Rebalanced position ${tokenId} (${transactions.length} txs)`
             )
 
-            try {
-              const escalationSteps = SWAP_SLIPPAGE_TIERS.slice(0, attemptNum)
-              await fetch(`${this.platformUrl}/api/ml/log-slippage`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  wallet_address: this.wallet.address,
-                  token_id: tokenId,
-                  tier: intent.recipe.fromTier || 'WARM',
-                  operation: 'rebalance',
-                  initial_slippage: SWAP_SLIPPAGE_TIERS[0],
-                  final_slippage: swapSlippageBps,
-                  attempts: attemptNum,
-                  escalation_steps: escalationSteps,
-                  success: true,
-                  tx_hash: txHashes[txHashes.length - 1]
+            // Simulated outcomes must not feed slippage learning
+            if (!config.dryRun) {
+              try {
+                const escalationSteps = SWAP_SLIPPAGE_TIERS.slice(0, attemptNum)
+                await fetch(`${this.platformUrl}/api/ml/log-slippage`, {
+                  method: 'POST',
+                  headers: { 'Content-Type': 'application/json' },
+                  body: JSON.stringify({
+                    wallet_address: this.wallet.address,
+                    token_id: tokenId,
+                    tier: intent.recipe.fromTier || 'WARM',
+                    operation: 'rebalance',
+                    initial_slippage: SWAP_SLIPPAGE_TIERS[0],
+                    final_slippage: swapSlippageBps,
+                    attempts: attemptNum,
+                    escalation_steps: escalationSteps,
+                    success: true,
+                    tx_hash: txHashes[txHashes.length - 1]
+                  })
+                }).catch(mlError => {
+                  this.log(`[ML] Failed to log slippage event: ${mlError.message}`)
                 })
-              }).catch(mlError => {
-                this.log(`[ML] Failed to log slippage event: ${mlError.message}`)
-              })
-            } catch (mlError) {
+              } catch (mlError) {
+              }
             }
 
-            if (this.platformEventStream) {
+            if (this.platformEventStream && !config.dryRun) {
               this.platformEventStream.emitRebalance({
                 closedPositions: [intent.recipe.tokenId],
                 newPositions: txHashes.slice(1), // First tx is close, rest are new positions
@@ -2088,9 +3470,12 @@ export class DaemonController {
               })
             }
 
-            this.activePositions.delete(tokenId)
-            this.closedPositions.add(tokenId)
-            this.log(`🔓 Position ${tokenId} marked as closed - future intents will be skipped`)
+            // A simulated close leaves the real position open - keep tracking it
+            if (!config.dryRun) {
+              this.activePositions.delete(tokenId)
+              this.closedPositions.add(tokenId)
+              this.log(`🔓 Position ${tokenId} marked as closed - future intents will be skipped`)
+            }
 
             return { success: true, txHashes, receipts }
 
@@ -2103,26 +3488,28 @@ export class DaemonController {
               this.log(`💰 If TX1 (CLOSE) succeeded, funds are safe in your wallet.`)
               this.log(`   You can manually swap tokens and retry, or wait for next rebalance trigger.`)
 
-              try {
-                await fetch(`${this.platformUrl}/api/ml/log-slippage`, {
-                  method: 'POST',
-                  headers: { 'Content-Type': 'application/json' },
-                  body: JSON.stringify({
-                    wallet_address: this.wallet.address,
-                    token_id: tokenId,
-                    tier: intent.recipe.fromTier || 'WARM',
-                    operation: 'rebalance',
-                    initial_slippage: SWAP_SLIPPAGE_TIERS[0],
-                    final_slippage: null,
-                    attempts: SWAP_SLIPPAGE_TIERS.length,
-                    escalation_steps: SWAP_SLIPPAGE_TIERS,
-                    success: false,
-                    final_error: error.message
+              if (!config.dryRun) {
+                try {
+                  await fetch(`${this.platformUrl}/api/ml/log-slippage`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                      wallet_address: this.wallet.address,
+                      token_id: tokenId,
+                      tier: intent.recipe.fromTier || 'WARM',
+                      operation: 'rebalance',
+                      initial_slippage: SWAP_SLIPPAGE_TIERS[0],
+                      final_slippage: null,
+                      attempts: SWAP_SLIPPAGE_TIERS.length,
+                      escalation_steps: SWAP_SLIPPAGE_TIERS,
+                      success: false,
+                      final_error: error.message
+                    })
+                  }).catch(mlError => {
+                    this.log(`[ML] Failed to log slippage event: ${mlError.message}`)
                   })
-                }).catch(mlError => {
-                  this.log(`[ML] Failed to log slippage event: ${mlError.message}`)
-                })
-              } catch (mlError) {
+                } catch (mlError) {
+                }
               }
 
               await this.reportReceiptWithRetry(intent.intentId, {
@@ -2151,7 +3538,7 @@ export class DaemonController {
         const deadline = Math.floor(Date.now() / 1000) + DEADLINE_SECS
 
         // Setup provider and wallet (same pattern as REBALANCE)
-        const { JsonRpcProvider, Contract } = await import('ethers')
+        const { Contract } = await import('ethers')
         const networks = await this.getNetworks()
         const network = networks.sonic
 
@@ -2159,7 +3546,7 @@ export class DaemonController {
           throw new Error('Sonic network not configured')
         }
 
-        const provider = new JsonRpcProvider(network.rpc)
+        const provider = await this.getProvider()
         const connectedWallet = this.wallet.connect(provider)
 
         // NFT Position Manager ABI
@@ -2184,7 +3571,7 @@ export class DaemonController {
               continue
             }
 
-            const position = await nfpm.positions(tokenId)
+            const position = await this.readPosition(tokenId)
             const liquidity = position.liquidity
 
             if (liquidity === BigInt(0)) {
@@ -2230,6 +3617,10 @@ export class DaemonController {
             this.log(`✅ Position ${tokenId} withdrawal encoded (3 calls)`)
 
           } catch (error) {
+            // Withdrawing on liquidity the RPCs don't agree on could revert or leave funds behind
+            if (error instanceof QuorumError) {
+              throw error
+            }
             this.log(`❌ Failed to process position ${tokenId}: ${error.message}`)
           }
         }
@@ -2253,6 +3644,7 @@ export class DaemonController {
         }, intent.action)
 
         this.log(`✅ Batch withdraw transaction sent: ${tx.hash}`)
+        this.intentJournal.recordTxSent(intent.intentId, 'BATCH_WITHDRAW', tx.hash)
 
         // Wait for confirmation
         const receipt = await tx.wait()
@@ -2261,6 +3653,8 @@ export class DaemonController {
           throw new Error('Batch withdraw transaction reverted (status: 0)')
         }
 
+        this.intentJournal.recordTxConfirmed(intent.intentId, tx.hash, receipt.blockNumber, receipt.hash)
+
         this.log(`✅ Batch withdraw confirmed: ${tx.hash} (block ${receipt.blockNumber}, gas: ${receipt.gasUsed.toString()})`)
 
         // Report success to platform
@@ -2285,7 +3679,6 @@ export class DaemonController {
       if (intent.action === 'IDLE_SWEEP') {
         this.log(`🧹 IDLE_SWEEP initiated`)
 
-        const { JsonRpcProvider, Contract } = await import('ethers')
         const networks = await this.getNetworks()
         const network = networks.sonic
 
@@ -2293,13 +3686,13 @@ export class DaemonController {
           throw new Error('Sonic network not configured')
         }
 
-        const provider = new JsonRpcProvider(network.rpc)
+        const provider = await this.getProvider()
         const connectedWallet = this.wallet.connect(provider)
 
         const WS_TOKEN = '0x039e2fB66102314Ce7b64Ce5Ce3E5183bc94aD38'
         const USDC_TOKEN = '0x29219dd400f2Bf60E5a23d13Be72B486D4038894'
-        const ODOS_ROUTER = '0xaC041Df48dF9791B0654f1Dbbf2CC8450C5f2e9D'
 
+        let swapBlock = null
         if (intent.recipe.swapDirection !== 'NONE' && intent.recipe.swapAmount) {
           const inputToken = intent.recipe.swapDirection === 'WS_TO_USDC' ? WS_TOKEN : USDC_TOKEN
           const outputToken = intent.recipe.swapDirection === 'WS_TO_USDC' ? USDC_TOKEN : WS_TOKEN
@@ -2324,7 +3717,7 @@ export class DaemonController {
               slippageLimitPercent: 0.5,
               referralCode: 0,
               disableRFQs: false,
-              compact: true
+              compact: false
             })
           })
 
@@ -2352,16 +3745,7 @@ export class DaemonController {
 
           const assembleData = await assembleResponse.json()
 
-          const ERC20_ABI = ['function allowance(address owner, address spender) view returns (uint256)', 'function approve(address spender, uint256 amount)']
-          const inputTokenContract = new Contract(inputToken, ERC20_ABI, connectedWallet)
-
-          const currentAllowance = await inputTokenContract.allowance(this.wallet.address, ODOS_ROUTER)
-
-          if (currentAllowance < inputAmount) {
-            const { MaxUint256 } = await import('ethers')
-            const approveTx = await inputTokenContract.approve(ODOS_ROUTER, MaxUint256)
-            await approveTx.wait()
-          }
+          await this.ensureAllowance(connectedWallet, { token: inputToken, spender: ODOS_ROUTER, amount: inputAmount, action: intent.action })
 
           const swapTx = await this.submitTransaction(connectedWallet, {
             to: assembleData.transaction.to,
@@ -2370,6 +3754,7 @@ export class DaemonController {
             gasLimit: 800000
           }, intent.action)
 
+          this.intentJournal.recordTxSent(intent.intentId, 'SWAP_TOKENS', swapTx.hash)
           const swapReceipt = await swapTx.wait()
 
           if (swapReceipt.status === 0) {
@@ -2377,6 +3762,8 @@ export class DaemonController {
           }
 
           this.log(`✅ Swap confirmed: ${swapTx.hash}`)
+          this.intentJournal.recordTxConfirmed(intent.intentId, swapTx.hash, swapReceipt.blockNumber, swapReceipt.hash)
+          swapBlock = swapReceipt.blockNumber
 
           await new Promise(resolve => setTimeout(resolve, 5000))
         }
@@ -2420,9 +3807,6 @@ export class DaemonController {
         // POOL_ADDRESS, NFPM_ADDRESS, TICK_SPACING defined at module level (lines 29-36)
         const DEADLINE_SECS = 300
 
-        const POOL_ABI = ['function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)']
-        const pool = new Contract(POOL_ADDRESS, POOL_ABI, provider)
-
         const receipts = []
         const txHashes = []
         const positionData = []
@@ -2433,7 +3817,7 @@ export class DaemonController {
 
           this.log(`🚀 [${i+1}/${enabledTiers.length}] ${tierName}`)
 
-          const slot0 = await pool.slot0()
+          const slot0 = await this.readSlot0()
           const currentTick = Number(slot0.tick)
           const sqrtPriceX96 = slot0.sqrtPriceX96
 
@@ -2442,12 +3826,9 @@ export class DaemonController {
           const tickLower = alignedTick - halfWidth
           const tickUpper = alignedTick + halfWidth
 
-          const ERC20_ABI = ['function balanceOf(address) view returns (uint256)']
-          const wsToken = new Contract(WS_TOKEN, ERC20_ABI, provider)
-          const usdcToken = new Contract(USDC_TOKEN, ERC20_ABI, provider)
-
-          const currentWsBalance = await wsToken.balanceOf(this.wallet.address)
-          const currentUsdcBalance = await usdcToken.balanceOf(this.wallet.address)
+          const afterBlock = receipts.at(-1)?.blockNumber ?? swapBlock
+          const currentWsBalance = await this.readTokenBalance(WS_TOKEN, { afterBlock })
+          const currentUsdcBalance = await this.readTokenBalance(USDC_TOKEN, { afterBlock })
 
           const wsForTier = (currentWsBalance * BigInt(Math.floor(tierSettings.allocPct * 10000))) / BigInt(10000)
           const usdcForTier = (currentUsdcBalance * BigInt(Math.floor(tierSettings.allocPct * 10000))) / BigInt(10000)
@@ -2498,6 +3879,7 @@ export class DaemonController {
 
           this.log(`✅ ${tx.hash}`)
           txHashes.push(tx.hash)
+          this.intentJournal.recordTxSent(intent.intentId, `MINT_${tierName}`, tx.hash)
 
           const receipt = await tx.wait()
 
@@ -2506,6 +3888,7 @@ export class DaemonController {
           }
 
           receipts.push(receipt)
+          this.intentJournal.recordTxConfirmed(intent.intentId, tx.hash, receipt.blockNumber, receipt.hash)
 
           let tokenId = null
           for (const log of receipt.logs) {
@@ -2603,6 +3986,7 @@ export class DaemonController {
 
           this.log(`✅ ${tier} transaction sent: ${tx.hash}`)
           txHashes.push(tx.hash)
+          this.intentJournal.recordTxSent(intent.intentId, tier, tx.hash)
 
           // Wait for confirmation
           const receipt = await tx.wait()
@@ -2613,6 +3997,7 @@ export class DaemonController {
 
           this.log(`✅ ${tier} confirmed: ${tx.hash} (block ${receipt.blockNumber}, gas: ${receipt.gasUsed.toString()})`)
           receipts.push(receipt)
+          this.intentJournal.recordTxConfirmed(intent.intentId, tx.hash, receipt.blockNumber, receipt.hash)
 
           // Delay between transactions if specified
           if (i < txData.transactions.length - 1 && txData.delayBetweenMs) {
@@ -2643,7 +4028,7 @@ export class DaemonController {
         }
 
         // Emit position deployment events for viewers
-        if (intent.action === 'DEPLOY' && this.platformEventStream) {
+        if (intent.action === 'DEPLOY' && this.platformEventStream && !config.dryRun) {
           // Each transaction in DEPLOY is a tier position
           txHashes.forEach((txHash, index) => {
             this.platformEventStream.emitPositionDeployed({
@@ -2681,6 +4066,7 @@ export class DaemonController {
         }, intent.action)
 
         this.log(`✅ Transaction sent: ${tx.hash}`)
+        this.intentJournal.recordTxSent(intent.intentId, intent.action, tx.hash)
 
         // Wait for confirmation
         const receipt = await tx.wait()
@@ -2690,6 +4076,8 @@ export class DaemonController {
           throw new Error('Transaction execution reverted (status: 0)')
         }
 
+        this.intentJournal.recordTxConfirmed(intent.intentId, tx.hash, receipt.blockNumber, receipt.hash)
+
         this.log(`✅ Transaction confirmed: ${tx.hash} (block ${receipt.blockNumber})`)
 
         // Report success to platform
@@ -2709,7 +4097,7 @@ export class DaemonController {
         )
 
         // Emit events for viewers based on intent action
-        if (this.platformEventStream) {
+        if (this.platformEventStream && !config.dryRun) {
           if (intent.action === 'COLLECT_FEES') {
             this.platformEventStream.emitFeesCollected({
               txHash: tx.hash,
@@ -2812,10 +4200,18 @@ export class DaemonController {
    * Attempts to refresh JWT and retry once if authentication fails
    */
   async reportReceiptWithRetry(intentId, receipt) {
+    // Dry run: keep the would-be receipt locally, the platform never sees simulated txs
+    if (await this.isDryRun()) {
+      this.dryRunSimulator.recordReceipt(intentId, receipt)
+      this.log(`🧪 [dry-run] Recorded ${receipt.status} receipt for ${intentId} (not reported to platform)`)
+      return true
+    }
+
     // First attempt
     const firstAttempt = await this.reportReceipt(intentId, receipt)
 
     if (firstAttempt) {
+      await this.watchConfirmations(intentId, receipt)
       return true // Success on first attempt
     }
 
@@ -2840,6 +4236,7 @@ export class DaemonController {
 
     if (secondAttempt) {
       this.log(`✅ Receipt reporting succeeded after JWT refresh`)
+      await this.watchConfirmations(intentId, receipt)
       return true
     }
 
@@ -2847,6 +4244,49 @@ export class DaemonController {
     return false
   }
 
+  /**
+   * Keep the transactions of a reported receipt under reorg watch until confirmationDepth
+   */
+  async watchConfirmations(intentId, receipt) {
+    if (receipt.status !== 'completed' && receipt.status !== 'partial') {
+      return
+    }
+
+    const config = await this.getConfig()
+    if (!(config.confirmationDepth ?? DEFAULT_CONFIG.confirmationDepth)) {
+      return
+    }
+
+    // Only what the journal saw mined successfully, under the hash that was mined - the reported
+    // txHashes are the originally sent ones (fee bumps replace them) and may include unmined or
+    // reverted transactions on partial and recovery paths
+    const confirmed = (this.intentJournal.get(intentId)?.transactions || [])
+      .filter(tx => tx.status === 'confirmed' && tx.blockNumber !== null && tx.blockNumber !== undefined)
+
+    this.confirmationTracker.watch(intentId, {
+      status: receipt.status,
+      txHashes: confirmed.map(tx => tx.minedHash || tx.txHash),
+      blockNumbers: confirmed.map(tx => tx.blockNumber)
+    })
+  }
+
+  /**
+   * Correction for a receipt whose transactions were reorged out after being reported
+   * @returns {Promise<boolean>} whether the platform accepted it (otherwise retried on the next check)
+   */
+  async reportReorgedReceipt(entry, txs) {
+    this.log(`🚨 Correcting ${entry.reportedStatus} receipt of intent ${entry.intentId} - ${txs.length} transaction(s) ${txs.some(tx => tx.reverted) ? 'reverted' : 'dropped'} after a reorg`, 'error')
+
+    return this.reportReceiptWithRetry(entry.intentId, {
+      status: 'reorged',
+      correction: true,
+      correctedStatus: entry.reportedStatus,
+      txHashes: txs.map(tx => tx.hash),
+      blockNumbers: txs.map(tx => tx.blockNumber),
+      reason: `Transaction(s) no longer on chain after a reorg: ${txs.map(tx => tx.hash).join(', ')}`
+    })
+  }
+
   async reportReceipt(intentId, receipt) {
     try {
       // Validate JWT token exists before attempting to report receipt
@@ -2927,6 +4367,10 @@ export class DaemonController {
   }
 
   async trackGasSpending(gasUsedWei, txHash, action, description) {
+    if (await this.isDryRun()) {
+      return // Simulated gas isn't spent
+    }
+
     try {
       const response = await fetch(`${this.platformUrl}/api/gas/track-spending`, {
         method: 'POST',
@@ -2990,7 +4434,7 @@ export class DaemonController {
     }
 
     try {
-      const { JsonRpcProvider, Contract } = await import('ethers')
+      const { Contract } = await import('ethers')
       const networks = await this.getNetworks()
       const network = networks.sonic
 
@@ -2998,19 +4442,15 @@ export class DaemonController {
         return
       }
 
-      const provider = await this.getProviderWithFallback(network.rpc)
+      const provider = await this.getProvider()
 
       // Token addresses
       const WS_TOKEN = '0x039e2fB66102314Ce7b64Ce5Ce3E5183bc94aD38'
       const USDC_TOKEN = '0x29219dd400f2Bf60E5a23d13Be72B486D4038894'
 
       // Check wallet balances
-      const ERC20_ABI = ['function balanceOf(address) view returns (uint256)']
-      const wsContract = new Contract(WS_TOKEN, ERC20_ABI, provider)
-      const usdcContract = new Contract(USDC_TOKEN, ERC20_ABI, provider)
-
-      const wsBalance = await wsContract.balanceOf(this.wallet.address)
-      const usdcBalance = await usdcContract.balanceOf(this.wallet.address)
+      const wsBalance = await this.readTokenBalance(WS_TOKEN)
+      const usdcBalance = await this.readTokenBalance(USDC_TOKEN)
 
       const wsBalanceNum = Number(wsBalance) / 1e18
       const usdcBalanceNum = Number(usdcBalance) / 1e6
@@ -3043,34 +4483,16 @@ export class DaemonController {
 
       const pool = new Contract(POOL_ADDRESS, POOL_ABI, provider)
       const [slot0, token0Address] = await Promise.all([
-        pool.slot0(),
+        this.readSlot0(),
         pool.token0()
       ])
 
-      let sqrtPriceX96 = slot0.sqrtPriceX96
-
-      if (!sqrtPriceX96 || sqrtPriceX96 === 0n) {
-        this.log(`⚠️  Pool returned zero sqrtPriceX96, retrying with fallback RPC...`)
-        const fallbackProvider = await this.getProviderWithFallback(null)
-        const fallbackPool = new Contract(POOL_ADDRESS, POOL_ABI, fallbackProvider)
-        const fallbackSlot0 = await fallbackPool.slot0()
-
-        if (!fallbackSlot0.sqrtPriceX96 || fallbackSlot0.sqrtPriceX96 === 0n) {
-          throw new Error('Unable to fetch valid pool price from any RPC endpoint')
-        }
-
-        sqrtPriceX96 = fallbackSlot0.sqrtPriceX96
-        this.log(`✅ Fallback RPC returned valid price`)
-      }
+      const sqrtPriceX96 = slot0.sqrtPriceX96
 
       this.log(`📊 Pool sqrtPriceX96: ${sqrtPriceX96}`)
 
-      const sqrtPrice = Number(sqrtPriceX96) / Math.pow(2, 96)
-      const rawPrice = sqrtPrice * sqrtPrice
-      const price = rawPrice * Math.pow(10, 18 - 6)  // Fixed: WS (18 decimals) - USDC (6 decimals)
-
-      // Determine if token0 is WS (need to invert if token1 is WS)
-      const wsPrice = token0Address.toLowerCase() === WS_TOKEN.toLowerCase() ? price : 1 / price
+      // Same math as the maxIntentUsd / maxDailyUsd valuation (inverts if token1 is WS)
+      const wsPrice = sqrtPriceToWsUsd(sqrtPriceX96, token0Address, WS_TOKEN)
 
       this.log(`💱 WS/USD price: $${wsPrice.toFixed(4)}`)
 
@@ -3162,108 +4584,423 @@ export class DaemonController {
 
       // Re-query live wallet balance (use ALL available tokens, not snapshot)
       const [liveWsBalance, liveUsdcBalance] = await Promise.all([
-        wsContract.balanceOf(this.wallet.address),
-        usdcContract.balanceOf(this.wallet.address)
+        this.readTokenBalance(WS_TOKEN),
+        this.readTokenBalance(USDC_TOKEN)
       ])
 
       const liveWsBalanceNum = Number(liveWsBalance) / 1e18
       const liveUsdcBalanceNum = Number(liveUsdcBalance) / 1e6
 
-      this.log(`   Live WS balance: ${liveWsBalanceNum.toFixed(6)}`)
-      this.log(`   Live USDC balance: ${liveUsdcBalanceNum.toFixed(6)}`)
+      this.log(`   Live WS balance: ${liveWsBalanceNum.toFixed(6)}`)
+      this.log(`   Live USDC balance: ${liveUsdcBalanceNum.toFixed(6)}`)
+
+      // Create IDLE_SWEEP intent via platform (using LIVE balance)
+      const deployResponse = await fetch(`${this.platformUrl}/api/daemon/idle-sweep/deploy`, {
+        method: 'POST',
+        headers: sweepHeaders,
+        body: JSON.stringify({
+          wallet: this.wallet.address,
+          sessionToken: this.jwtToken,
+          wsToDeploy: liveWsBalanceNum.toString(),
+          usdcToDeploy: liveUsdcBalanceNum.toString(),
+          scanNumber: actionData.scanNumber
+        })
+      })
+
+      if (!deployResponse.ok) {
+        const errorData = await deployResponse.json()
+        this.log(`⚠️  Could not create IDLE_SWEEP intent: ${errorData.error}`)
+        return
+      }
+
+      const deployData = await deployResponse.json()
+      this.log(`✅ IDLE_SWEEP intent created: ${deployData.intentId}`)
+
+      if (deployData.needsSwap) {
+        this.log(`   Swap will execute: ${deployData.swapDirection}`)
+      } else {
+        this.log(`   Already balanced 50/50, no swap needed`)
+      }
+
+      this.log(`   5-tier deployment will follow`)
+
+    } catch (error) {
+      this.log(`⚠️  Idle balance sweep error: ${error.message}`)
+    }
+  }
+
+  async processIntentQueue() {
+    // No intents to process
+    if (this.pendingIntents.length === 0) {
+      return
+    }
+
+    const config = await this.getConfig()
+    this.intentScheduler.concurrency = config.intentConcurrency || DEFAULT_CONFIG.intentConcurrency
+
+    const intents = this.pendingIntents
+    this.pendingIntents = []
+    this.intentScheduler.addAll(intents.map(intent => ({ intent, priority: this.getIntentPriority(intent, config) })))
+
+    // A batch is already draining - the new intents join it
+    if (this.isProcessingIntent) {
+      this.log(`📋 Added ${intents.length} intent(s) to the running batch (${this.intentScheduler.size} queued or running)`)
+      return
+    }
+
+    try {
+      this.isProcessingIntent = true
+
+      console.log(`📋 Processing ${intents.length} intent(s) (up to ${this.intentScheduler.concurrency} in parallel)`)
+
+      const results = (await this.intentScheduler.drain()).filter(r => r.intent.action !== 'ALLOWANCE_REVOKE')
+      const failureCount = results.filter(r => r.error || r.result === 'failed').length
+
+      console.log(`✅ Processed ${results.length - failureCount}/${results.length} intent(s) successfully (${failureCount} failed)`)
+
+    } finally {
+      // Always release lock, even if execution fails
+      this.isProcessingIntent = false
+    }
+  }
+
+  getIntentPriority(intent, config) {
+    const override = config.intentPriority?.[intent.action]
+    if (override !== undefined) {
+      return override
+    }
+    return ACTION_PRIORITY[intent.action] ?? DEFAULT_ACTION_PRIORITY
+  }
+
+  /**
+   * Queued intents: running first, then waiting in execution order
+   */
+  getIntentQueue() {
+    const queue = this.intentScheduler.list()
+    const handedOver = new Set(queue.map(entry => entry.intentId))
+
+    // Accepted by the last poll but not yet handed to the scheduler
+    for (const intent of this.pendingIntents) {
+      if (!handedOver.has(intent.intentId)) {
+        queue.push({
+          intentId: intent.intentId,
+          action: intent.action,
+          state: 'pending',
+          priority: null,
+          intentPriority: null,
+          deadline: intent.deadline ? new Date(intent.deadline * 1000).toISOString() : null,
+          locks: [],
+          queuedAt: null
+        })
+      }
+    }
+
+    return queue
+  }
+
+  /**
+   * Cancel a queued intent before it starts and report it as rejected to the platform
+   */
+  async cancelQueuedIntent(intentId, reason = 'Cancelled by operator') {
+    if (this.allowanceRevokeJob?.intentId === intentId) {
+      throw new Error('Allowance revocation is not an intent - turn off allowances.revokeAfterIntent instead')
+    }
 
-      // Create IDLE_SWEEP intent via platform (using LIVE balance)
-      const deployResponse = await fetch(`${this.platformUrl}/api/daemon/idle-sweep/deploy`, {
-        method: 'POST',
-        headers: sweepHeaders,
-        body: JSON.stringify({
-          wallet: this.wallet.address,
-          sessionToken: this.jwtToken,
-          wsToDeploy: liveWsBalanceNum.toString(),
-          usdcToDeploy: liveUsdcBalanceNum.toString(),
-          scanNumber: actionData.scanNumber
-        })
-      })
+    const pendingIndex = this.pendingIntents.findIndex(intent => intent.intentId === intentId)
+    let removed = pendingIndex !== -1
 
-      if (!deployResponse.ok) {
-        const errorData = await deployResponse.json()
-        this.log(`⚠️  Could not create IDLE_SWEEP intent: ${errorData.error}`)
-        return
+    if (removed) {
+      this.pendingIntents.splice(pendingIndex, 1)
+    } else {
+      const outcome = this.intentScheduler.remove(intentId)
+      if (outcome === 'running') {
+        throw new Error(`Intent ${intentId} is already executing and cannot be cancelled`)
       }
+      removed = outcome === 'removed'
+    }
 
-      const deployData = await deployResponse.json()
-      this.log(`✅ IDLE_SWEEP intent created: ${deployData.intentId}`)
+    if (!removed) {
+      throw new Error(`No queued intent with id ${intentId}`)
+    }
 
-      if (deployData.needsSwap) {
-        this.log(`   Swap will execute: ${deployData.swapDirection}`)
-      } else {
-        this.log(`   Already balanced 50/50, no swap needed`)
+    this.queuedNotional.delete(intentId)
+    this.queuedTxCounts.delete(intentId)
+    this.log(`🗑️ Cancelled queued intent ${intentId}: ${reason}`)
+    await this.reportIntentRejection(intentId, reason)
+    return { intentId, cancelled: true }
+  }
+
+  /**
+   * Execute one intent for the scheduler and journal the outcome
+   * @returns {Promise<string>} journal status
+   */
+  async runScheduledIntent(intent) {
+    const positionKey = this.getPositionKey(intent)
+
+    // Back-to-back rebalances move the same pool - start them at least 5s apart
+    if (intent.action === 'REBALANCE') {
+      const startAt = Math.max(Date.now(), this.nextRebalanceStartAt)
+      this.nextRebalanceStartAt = startAt + 5000
+      if (startAt > Date.now()) {
+        console.log(`⏳ Waiting ${Math.ceil((startAt - Date.now()) / 1000)}s for pool price stabilization before rebalancing (${positionKey})...`)
+        await new Promise(resolve => setTimeout(resolve, startAt - Date.now()))
       }
+    }
 
-      this.log(`   5-tier deployment will follow`)
+    console.log(`📋 Processing intent ${intent.intentId} (${positionKey})`)
 
+    try {
+      this.intentJournal.begin(intent)
+      if (await this.isDryRun()) {
+        this.intentJournal.updateState(intent.intentId, { dryRun: true })
+      }
+      const result = await this.executeIntent(intent)
+      const journalStatus = this.getJournalStatus(result)
+      this.intentJournal.finish(intent.intentId, journalStatus, result?.error ? { error: result.error } : {})
+      await this.settleIntentNotional(intent, journalStatus)
+      this.releaseUnsentIntent(intent.intentId, journalStatus)
+      return journalStatus
     } catch (error) {
-      this.log(`⚠️  Idle balance sweep error: ${error.message}`)
+      this.intentJournal.finish(intent.intentId, 'failed', { error: error.message })
+      await this.settleIntentNotional(intent, 'failed')
+      this.releaseUnsentIntent(intent.intentId, 'failed')
+      console.error(`   ❌ Intent ${intent.intentId} failed: ${error.message}`)
+      return 'failed'
+    } finally {
+      this.queuedTxCounts.delete(intent.intentId)
+      await this.revokeAllowancesAfterIntent()
     }
   }
 
-  async processIntentQueue() {
-    // Mutex lock: prevent concurrent intent processing
-    if (this.isProcessingIntent) {
-      this.log('⏸️ Intent processor busy - will process queue on next poll')
-      return
+  /**
+   * A failed intent that never broadcast anything may be re-issued by the platform under the
+   * same intentId - drop it from the replay store so the re-issue isn't rejected
+   */
+  releaseUnsentIntent(intentId, journalStatus) {
+    if (journalStatus === 'failed' && (this.intentJournal.get(intentId)?.transactions || []).length === 0) {
+      this.intentVerifier.forgetIntent(intentId)
     }
+  }
 
-    // No intents to process
-    if (this.pendingIntents.length === 0) {
+  /**
+   * Map an executeIntent() result to a journal status
+   */
+  getJournalStatus(result) {
+    if (result?.success) return 'completed'
+    if (result?.skipped) return 'skipped'
+    if (result?.partial) return 'partial'
+    return 'failed'
+  }
+
+  /**
+   * Recover intents left 'in_progress' in the journal by a crash or restart
+   * - REBALANCE with CLOSE_POSITION confirmed: re-queue to reopen (skips close, rebuilds OPEN_POSITION)
+   * - Anything else that already touched the chain: report partial with the journaled tx hashes
+   * - Nothing sent yet: report failed so the platform can re-issue
+   */
+  async recoverUnfinishedIntents() {
+    const MAX_RESUMES = 3
+    const unfinished = this.intentJournal.listUnfinished()
+
+    if (unfinished.length === 0) {
+      this.intentJournal.prune()
       return
     }
 
+    this.log(`📓 Found ${unfinished.length} unfinished intent(s) in journal - recovering...`, 'warn')
+
+    let provider = null
     try {
-      this.isProcessingIntent = true
+      provider = await this.getProvider()
+    } catch (error) {
+      this.log(`⚠️  Journal recovery: no RPC available (${error.message}) - using journaled tx status only`, 'warn')
+    }
 
-      console.log(`📋 Processing ${this.pendingIntents.length} intent(s)`)
+    for (const unfinishedEntry of unfinished) {
+      const intentId = unfinishedEntry.intentId
 
-      // Clear the queue since we're processing all intents
-      const intentsToProcess = [...this.pendingIntents]
-      this.pendingIntents = []
+      // Interrupted simulation - nothing reached the chain or the platform
+      if (unfinishedEntry.state?.dryRun) {
+        this.log(`🧪 Dropping interrupted dry-run of ${unfinishedEntry.action} ${intentId}`)
+        this.intentJournal.finish(intentId, 'abandoned', { recovered: true, dryRun: true })
+        continue
+      }
+
+      try {
+        // Settle any tx that was broadcast but whose confirmation we never saw
+        if (provider) {
+          for (const tx of unfinishedEntry.transactions.filter(t => t.status === 'sent')) {
+            const receipt = await provider.getTransactionReceipt(tx.txHash).catch(() => null)
+            if (receipt && receipt.status === 1) {
+              this.intentJournal.recordTxConfirmed(intentId, tx.txHash, receipt.blockNumber, receipt.hash)
+              if (tx.label === 'CLOSE_POSITION') {
+                this.intentJournal.updateState(intentId, { positionClosed: true })
+              } else if (tx.label === 'SWAP_TOKENS') {
+                this.intentJournal.updateState(intentId, { swapCompleted: true })
+              }
+            } else if (receipt) {
+              this.intentJournal.recordStep(intentId, `${tx.label}_REVERTED`, { txHash: tx.txHash })
+            }
+          }
+        }
 
-      // Execute all intents sequentially with stabilization delays
-      let successCount = 0
-      let failureCount = 0
+        const entry = this.intentJournal.get(intentId)
+        const { intent, state } = entry
+        const txHashes = entry.transactions.map(t => t.txHash)
+        const expired = intent.deadline && intent.deadline < Math.floor(Date.now() / 1000)
 
-      for (let i = 0; i < intentsToProcess.length; i++) {
-        const intent = intentsToProcess[i]
-        const positionKey = this.getPositionKey(intent)
+        this.log(`📓 ${entry.action} ${intentId}: ${entry.transactions.length} tx(s) journaled, last step ${entry.steps[entry.steps.length - 1]?.step || 'none'}`)
 
-        console.log(`📋 [${i + 1}/${intentsToProcess.length}] Processing intent ${intent.intentId} (${positionKey})`)
+        if (entry.action === 'REBALANCE' && state.positionClosed) {
+          // The reopen already went out - settle on its outcome instead of minting again
+          const reopenTx = this.getJournaledReopen(intentId)
+          if (reopenTx) {
+            await this.settleJournaledReopen(entry, reopenTx, provider)
+            continue
+          }
 
-        try {
-          await this.executeIntent(intent)
-          successCount++
+          const swapPending = state.needsSwap && !state.swapCompleted
+          const canResume = !expired && !swapPending && (entry.resumeCount || 0) < MAX_RESUMES && Array.isArray(state.transactions)
 
-          // Add 5-second pool stabilization delay between rebalances (except after last one)
-          if (i < intentsToProcess.length - 1 && intent.action === 'REBALANCE') {
-            console.log(`⏳ Waiting 5s for pool price stabilization before next rebalance...`)
-            await new Promise(resolve => setTimeout(resolve, 5000))
+          if (canResume) {
+            this.log(`♻️  Resuming REBALANCE ${intentId} - position ${state.tokenId} already closed, reopening`)
+            await this.reserveTxBudget(intent)
+            this.pendingIntents.push(intent)
+            continue
           }
-        } catch (error) {
-          failureCount++
-          console.error(`   ❌ Intent ${intent.intentId} failed: ${error.message}`)
+
+          const reason = expired
+            ? 'intent deadline passed'
+            : swapPending ? 'swap had not completed' : 'resume limit reached'
+          this.log(`💰 Not resuming REBALANCE ${intentId} (${reason}) - funds are safe in wallet`, 'warn')
+          this.closedPositions.add(state.tokenId)
+
+          await this.reportReceiptWithRetry(intentId, {
+            status: 'partial',
+            reason: `Daemon restarted mid-rebalance after CLOSE_POSITION (${reason})`,
+            txHashes,
+            note: 'Funds safe in wallet - idle sweep can redeploy them'
+          })
+          this.intentJournal.finish(intentId, 'partial', { recovered: true, reason })
+          continue
+        }
+
+        if (txHashes.length > 0) {
+          this.log(`⚠️  ${entry.action} ${intentId} was interrupted after ${txHashes.length} tx(s) - reporting partial`, 'warn')
+
+          await this.reportReceiptWithRetry(intentId, {
+            status: 'partial',
+            reason: 'Daemon restarted mid-execution',
+            txHashes,
+            completedTxs: entry.transactions.filter(t => t.status === 'confirmed').length
+          })
+          this.intentJournal.finish(intentId, 'partial', { recovered: true })
+          continue
         }
+
+        this.log(`📓 ${entry.action} ${intentId} was interrupted before any transaction - marking failed`)
+        await this.reportReceiptWithRetry(intentId, {
+          status: 'failed',
+          error: 'Daemon restarted before any transaction was sent'
+        })
+        this.intentJournal.finish(intentId, 'abandoned', { recovered: true })
+        this.intentVerifier.forgetIntent(intentId)
+      } catch (error) {
+        this.log(`❌ Journal recovery failed for ${intentId}: ${error.message}`, 'error')
       }
+    }
 
-      console.log(`✅ Processed ${successCount}/${intentsToProcess.length} intent(s) successfully (${failureCount} failed)`)
+    this.intentJournal.prune()
+  }
 
-    } finally {
-      // Always release lock, even if execution fails
-      this.isProcessingIntent = false
+  /**
+   * The REBALANCE mint (anything after CLOSE_POSITION / SWAP_TOKENS) journaled as sent, if any
+   */
+  getJournaledReopen(intentId) {
+    const transactions = this.intentJournal.get(intentId)?.transactions || []
+    return transactions.find(tx => tx.label !== 'CLOSE_POSITION' && tx.label !== 'SWAP_TOKENS') || null
+  }
+
+  /**
+   * Recovery of a REBALANCE that had already sent its OPEN_POSITION when the daemon stopped
+   * The mint is never sent again: mined -> completed, otherwise wait for it, and report
+   * partial if it reverted or still isn't mined
+   */
+  async settleJournaledReopen(entry, reopenTx, provider) {
+    const { intentId } = entry
+    let receipt = null
+
+    if (reopenTx.status !== 'confirmed' && provider) {
+      this.log(`⏳ REBALANCE ${intentId}: waiting for journaled ${reopenTx.label} ${reopenTx.txHash}...`)
+      receipt = await provider.waitForTransaction(reopenTx.txHash, 1, REOPEN_RECOVERY_WAIT_MS).catch(() => null)
+      if (receipt?.status === 1) {
+        this.intentJournal.recordTxConfirmed(intentId, reopenTx.txHash, receipt.blockNumber, receipt.hash)
+      }
+    }
+
+    const txHashes = entry.transactions.map(tx => tx.txHash)
+
+    if (reopenTx.status === 'confirmed' || receipt?.status === 1) {
+      this.log(`✅ REBALANCE ${intentId} had already reopened its position before the restart - completed`)
+      await this.reportReceiptWithRetry(intentId, {
+        status: 'completed',
+        txHashes,
+        note: `Recovered after restart - ${reopenTx.label} was already mined`
+      })
+      this.intentJournal.finish(intentId, 'completed', { recovered: true })
+      return
+    }
+
+    const reason = receipt ? `${reopenTx.label} reverted` : `${reopenTx.label} not mined yet`
+    this.log(`💰 Not resuming REBALANCE ${intentId} (${reason}) - never minting twice`, 'warn')
+    this.closedPositions.add(entry.state.tokenId)
+
+    await this.reportReceiptWithRetry(intentId, {
+      status: 'partial',
+      reason: `Daemon restarted mid-rebalance after sending ${reopenTx.label} (${reason})`,
+      txHashes,
+      note: receipt ? 'Funds safe in wallet - idle sweep can redeploy them' : `Check ${reopenTx.txHash} on chain`
+    })
+    this.intentJournal.finish(intentId, 'partial', { recovered: true, reason })
+  }
+
+  /**
+   * Locks an intent holds while it runs (see IntentScheduler)
+   * REBALANCE / BATCH_WITHDRAW lock their positions; DEPLOY and IDLE_SWEEP spend the
+   * whole wallet balance and anything else may touch any position, so those run alone
+   */
+  getIntentLocks(intent) {
+    if (intent.action === 'REBALANCE' && intent.recipe?.tokenId) {
+      return { keys: [`position:${intent.recipe.tokenId}`, ...this.getAllowanceLockKeys()], exclusive: false }
+    }
+
+    if (intent.action === 'BATCH_WITHDRAW' && intent.recipe?.tokenIds) {
+      return { keys: intent.recipe.tokenIds.map(tokenId => `position:${tokenId}`), exclusive: false }
+    }
+
+    return { keys: [], exclusive: true }
+  }
+
+  /**
+   * Lock keys for the token / spender pairs a REBALANCE approves (swap input to Odos, mint to NFPM)
+   * Only in exact allowance mode: each approval is sized for the transaction right after it, so a
+   * parallel intent approving the same pair in between would overwrite it before it is spent.
+   * The swap direction is only known once the rebalance runs, so every REBALANCE takes all four
+   * keys and rebalances run one at a time in exact mode. Unlimited approvals are shared safely.
+   */
+  getAllowanceLockKeys() {
+    const { mode } = { ...DEFAULT_CONFIG.allowances, ...this.config?.allowances }
+    if (mode !== 'exact') {
+      return []
     }
+
+    return [WS_TOKEN, USDC_TOKEN].flatMap(token =>
+      [NFPM_ADDRESS, ODOS_ROUTER].map(spender => `allowance:${token.toLowerCase()}:${spender.toLowerCase()}`)
+    )
   }
 
   /**
-   * Get position key for intent grouping
-   * Intents with same key cannot run in parallel
+   * Get position key for intent grouping (logging)
    */
   getPositionKey(intent) {
     // REBALANCE: uses tokenId
@@ -3325,9 +5062,24 @@ export class DaemonController {
       await this.disableKeepAwake()
     }
 
-    // Clear pending intents
+    // Clear pending intents (ones already executing finish on their own)
+    const dropped = [...this.pendingIntents, ...this.intentScheduler.clear()]
     this.pendingIntents = []
+    this.allowanceRevokeJob = null
+    for (const intent of dropped) {
+      this.queuedNotional.delete(intent.intentId)
+      this.queuedTxCounts.delete(intent.intentId)
+    }
     this.lastIntentCheck = null
+
+    this.confirmationTracker.stop()
+    this.stopChainWatcher()
+    this.stopPositionIndexer()
+
+    // Stop RPC health probes (the pool restarts them on next use)
+    if (this.rpcPool) {
+      this.rpcPool.stop()
+    }
   }
 
   async getLinkStatus() {
@@ -3348,7 +5100,54 @@ export class DaemonController {
     }
   }
 
+  /**
+   * Dry-run policy evaluation - no side effects, nothing is queued or reported
+   */
+  async evaluatePolicy(intent, policyOverride = null) {
+    const policy = policyOverride || await this.getPolicy()
+    return this.intentVerifier.evaluatePolicy(intent, policy, await this.getPolicyContext(intent))
+  }
+
+  /**
+   * Active trading schedule with its current state and the next allowed window
+   */
+  async getTradingSchedule() {
+    const resolved = resolveSchedule(await this.getPolicy())
+
+    if (!resolved) {
+      return { source: null, open: true, currentWindow: null, nextWindow: null }
+    }
+
+    const now = new Date()
+    const { open, window: currentWindow } = isWithinSchedule(resolved.schedule, now)
+
+    return {
+      source: resolved.source,
+      timezone: resolved.schedule.timezone,
+      description: describeSchedule(resolved.schedule),
+      open,
+      currentWindow,
+      nextWindow: getNextWindow(resolved.schedule, now)
+    }
+  }
+
   async updatePolicy(updates) {
+    // Validate trading schedule (null clears it and falls back to the subscription hours)
+    if (updates.schedule !== undefined && updates.schedule !== null) {
+      normalizeSchedule(updates.schedule)
+    }
+
+    // Validate USD caps (null removes the cap)
+    for (const key of ['maxIntentUsd', 'maxDailyUsd']) {
+      if (updates[key] !== undefined && updates[key] !== null) {
+        const value = Number(updates[key])
+        if (isNaN(value) || value <= 0) {
+          throw new Error(`${key} must be a positive USD amount`)
+        }
+        updates[key] = value
+      }
+    }
+
     const currentPolicy = await this.getPolicy()
     const newPolicy = { ...currentPolicy, ...updates }
     await fs.writeFile(POLICY_PATH, JSON.stringify(newPolicy, null, 2))
@@ -3357,7 +5156,8 @@ export class DaemonController {
   async loadConfig() {
     try {
       const configJson = await fs.readFile(DAEMON_CONFIG_PATH, 'utf-8')
-      return JSON.parse(configJson)
+      // Defaults first so options added in newer versions apply to existing configs
+      return { ...DEFAULT_CONFIG, ...JSON.parse(configJson) }
     } catch {
       // Config doesn't exist - create with defaults
       await fs.mkdir(CONFIG_DIR, { recursive: true })
@@ -3402,12 +5202,202 @@ export class DaemonController {
       }
     }
 
+    // Validate intent clock skew tolerance
+    if (updates.intentClockSkewSec !== undefined) {
+      const skew = Number(updates.intentClockSkewSec)
+      if (isNaN(skew) || skew < 0 || skew > 600) {
+        throw new Error('Intent clock skew must be between 0 and 600 seconds')
+      }
+    }
+
+    if (updates.intentAudience !== undefined && (typeof updates.intentAudience !== 'string' || !updates.intentAudience.trim())) {
+      throw new Error('Intent audience must be a non-empty string')
+    }
+
+    if (updates.firewallAllow !== undefined) {
+      validateFirewallAllow(updates.firewallAllow)
+    }
+
+    if (updates.intentPriority !== undefined) {
+      const priorities = updates.intentPriority
+      if (!priorities || typeof priorities !== 'object' || Array.isArray(priorities)) {
+        throw new Error('intentPriority must be an object of action -> priority')
+      }
+      for (const [action, priority] of Object.entries(priorities)) {
+        if (typeof priority !== 'number' || !isFinite(priority)) {
+          throw new Error(`intentPriority.${action} must be a number`)
+        }
+      }
+    }
+
+    if (updates.feePreset !== undefined && !FEE_PRESETS[updates.feePreset]) {
+      throw new Error(`feePreset must be one of: ${Object.keys(FEE_PRESETS).join(', ')}`)
+    }
+
+    if (updates.stuckTxTimeoutSec !== undefined) {
+      const timeout = Number(updates.stuckTxTimeoutSec)
+      if (isNaN(timeout) || timeout < 15 || timeout > 3600) {
+        throw new Error('stuckTxTimeoutSec must be between 15 and 3600 seconds')
+      }
+      updates.stuckTxTimeoutSec = timeout
+    }
+
+    if (updates.feeBumpPercent !== undefined) {
+      const bump = Number(updates.feeBumpPercent)
+      if (!Number.isInteger(bump) || bump < 10 || bump > 100) {
+        throw new Error('feeBumpPercent must be a whole number between 10 and 100')
+      }
+      updates.feeBumpPercent = bump
+    }
+
+    if (updates.maxFeeBumps !== undefined) {
+      const bumps = Number(updates.maxFeeBumps)
+      if (!Number.isInteger(bumps) || bumps < 0 || bumps > 10) {
+        throw new Error('maxFeeBumps must be a whole number between 0 and 10')
+      }
+      updates.maxFeeBumps = bumps
+    }
+
+    if (updates.confirmationDepth !== undefined) {
+      const depth = Number(updates.confirmationDepth)
+      if (!Number.isInteger(depth) || depth < 0 || depth > 64) {
+        throw new Error('confirmationDepth must be a whole number between 0 and 64')
+      }
+      updates.confirmationDepth = depth
+    }
+
+    if (updates.intentConcurrency !== undefined) {
+      const concurrency = Number(updates.intentConcurrency)
+      if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > 10) {
+        throw new Error('intentConcurrency must be a whole number between 1 and 10')
+      }
+      updates.intentConcurrency = concurrency
+    }
+
+    if (updates.approval !== undefined) {
+      const approval = updates.approval
+      if (!approval || typeof approval !== 'object') {
+        throw new Error('approval must be an object')
+      }
+      if (approval.minUsd !== undefined && approval.minUsd !== null && !(Number(approval.minUsd) > 0)) {
+        throw new Error('approval.minUsd must be a positive USD amount or null')
+      }
+      if (approval.actions !== undefined && (!Array.isArray(approval.actions) || approval.actions.some(a => typeof a !== 'string'))) {
+        throw new Error('approval.actions must be an array of action names')
+      }
+      if (approval.timeoutMinutes !== undefined) {
+        const timeout = Number(approval.timeoutMinutes)
+        if (isNaN(timeout) || timeout < 1 || timeout > 1440) {
+          throw new Error('approval.timeoutMinutes must be between 1 and 1440')
+        }
+      }
+      updates.approval = { ...DEFAULT_CONFIG.approval, ...currentConfig.approval, ...approval }
+    }
+
+    if (updates.chainWatch !== undefined) {
+      const chainWatch = updates.chainWatch
+      if (!chainWatch || typeof chainWatch !== 'object') {
+        throw new Error('chainWatch must be an object')
+      }
+      if (chainWatch.enabled !== undefined && typeof chainWatch.enabled !== 'boolean') {
+        throw new Error('chainWatch.enabled must be true or false')
+      }
+      if (chainWatch.wsUrl !== undefined && chainWatch.wsUrl !== null && !/^wss?:\/\/\S+$/.test(chainWatch.wsUrl)) {
+        throw new Error('chainWatch.wsUrl must be a ws:// or wss:// URL or null')
+      }
+      updates.chainWatch = { ...DEFAULT_CONFIG.chainWatch, ...currentConfig.chainWatch, ...chainWatch }
+    }
+
+    if (updates.allowances !== undefined) {
+      const allowances = updates.allowances
+      if (!allowances || typeof allowances !== 'object') {
+        throw new Error('allowances must be an object')
+      }
+      if (allowances.mode !== undefined && !ALLOWANCE_MODES.includes(allowances.mode)) {
+        throw new Error(`allowances.mode must be one of: ${ALLOWANCE_MODES.join(', ')}`)
+      }
+      if (allowances.revokeAfterIntent !== undefined && typeof allowances.revokeAfterIntent !== 'boolean') {
+        throw new Error('allowances.revokeAfterIntent must be true or false')
+      }
+      updates.allowances = { ...DEFAULT_CONFIG.allowances, ...currentConfig.allowances, ...allowances }
+    }
+
+    if (updates.quorum !== undefined) {
+      const quorum = updates.quorum
+      if (!quorum || typeof quorum !== 'object') {
+        throw new Error('quorum must be an object')
+      }
+      if (quorum.enabled !== undefined && typeof quorum.enabled !== 'boolean') {
+        throw new Error('quorum.enabled must be true or false')
+      }
+      if (quorum.providers !== undefined) {
+        const providers = Number(quorum.providers)
+        if (!Number.isInteger(providers) || providers < 2 || providers > 5) {
+          throw new Error('quorum.providers must be a whole number between 2 and 5')
+        }
+      }
+      if (quorum.toleranceBps !== undefined) {
+        const tolerance = Number(quorum.toleranceBps)
+        if (!Number.isInteger(tolerance) || tolerance < 0 || tolerance > 500) {
+          throw new Error('quorum.toleranceBps must be a whole number between 0 and 500')
+        }
+      }
+      updates.quorum = { ...DEFAULT_CONFIG.quorum, ...currentConfig.quorum, ...quorum }
+
+      // A quorum can't ask for more providers than the pool has endpoints
+      if (updates.quorum.enabled) {
+        const networks = await this.getNetworks()
+        const endpointCount = networks.sonic ? getRpcUrls(networks.sonic).length : 0
+        if (Number(updates.quorum.providers) > endpointCount) {
+          throw new Error(`quorum.providers (${updates.quorum.providers}) is more than the ${endpointCount} configured RPC endpoints`)
+        }
+      }
+    }
+
+    if (updates.dryRun !== undefined) {
+      if (typeof updates.dryRun !== 'boolean') {
+        throw new Error('dryRun must be true or false')
+      }
+      // Switching mid-intent would mix real and simulated transactions in one execution
+      if (updates.dryRun !== (currentConfig.dryRun === true) && this.isProcessingIntent) {
+        throw new Error('Cannot toggle dry-run mode while an intent is executing - try again shortly')
+      }
+    }
+
     const newConfig = { ...currentConfig, ...updates }
     await fs.writeFile(DAEMON_CONFIG_PATH, JSON.stringify(newConfig, null, 2))
     this.config = newConfig // Update cached config
+
+    if (this.wallet && (updates.intentClockSkewSec !== undefined || updates.intentAudience !== undefined)) {
+      await this.bindIntentVerifier()
+    }
+
+    if (updates.dryRun !== undefined && updates.dryRun !== (currentConfig.dryRun === true)) {
+      this.log(updates.dryRun
+        ? '🧪 Dry-run mode enabled - intent transactions will be simulated, nothing is signed'
+        : '✅ Dry-run mode disabled - intent transactions will be signed and sent', 'warn')
+    }
+
+    if (updates.chainWatch !== undefined && this.isRunning && this.isLinked) {
+      await this.startChainWatcher()
+    }
+
     return newConfig
   }
 
+  /**
+   * Bind intent claim validation to the loaded wallet and current config
+   */
+  async bindIntentVerifier() {
+    const config = await this.getConfig()
+    this.intentVerifier.setBinding({
+      walletAddress: this.wallet.address,
+      chainId: 146,
+      audience: config.intentAudience,
+      clockSkewSec: config.intentClockSkewSec
+    })
+  }
+
   async signMessage(message) {
     if (!this.wallet) {
       throw new Error('Wallet not initialized. Please start the daemon first.')
@@ -3429,7 +5419,9 @@ export class DaemonController {
       throw new Error('Wallet not initialized. Please start the daemon first.')
     }
 
-    const { JsonRpcProvider } = await import('ethers')
+    if (await this.isDryRun()) {
+      throw new Error('Dry-run mode is enabled - disable it to send transactions')
+    }
 
     // Get network config
     const networks = await this.getNetworks()
@@ -3440,15 +5432,12 @@ export class DaemonController {
     }
 
     // Connect wallet to provider
-    const provider = new JsonRpcProvider(sonicNetwork.rpc)
+    const provider = await this.getProvider()
     const connectedWallet = this.wallet.connect(provider)
 
     // Send transaction
-    const tx = await connectedWallet.sendTransaction({
-      to,
-      value,
-      data
-    })
+    const tx = await this.broadcastTracked(connectedWallet, { to, value, data }, 'SEND')
+    this.recordTransactionUsage(tx.hash, 'SEND')
 
     return {
       hash: tx.hash,
@@ -3463,7 +5452,9 @@ export class DaemonController {
       throw new Error('Wallet not initialized. Please start the daemon first.')
     }
 
-    const { JsonRpcProvider } = await import('ethers')
+    if (await this.isDryRun()) {
+      throw new Error('Dry-run mode is enabled - disable it to send transactions')
+    }
 
     // Get token config
     const tokenConfig = getTokenByAddress(tokenAddress)
@@ -3480,7 +5471,7 @@ export class DaemonController {
     }
 
     // Connect wallet to provider
-    const provider = new JsonRpcProvider(sonicNetwork.rpc)
+    const provider = await this.getProvider()
     const connectedWallet = this.wallet.connect(provider)
 
     // Parse amount based on token decimals
@@ -3491,7 +5482,11 @@ export class DaemonController {
     const tokenContract = new Contract(tokenAddress, ERC20_ABI, connectedWallet)
 
     // Send token transfer transaction
-    const tx = await tokenContract.transfer(to, amountWei)
+    const tx = await this.broadcastTracked(connectedWallet, {
+      to: tokenAddress,
+      data: tokenContract.interface.encodeFunctionData('transfer', [to, amountWei])
+    }, 'SEND')
+    this.recordTransactionUsage(tx.hash, 'SEND')
 
     console.log(`✅ Token transfer sent: ${amount} ${tokenConfig.symbol} to ${to}`)
     console.log(`   Transaction hash: ${tx.hash}`)
@@ -3511,8 +5506,6 @@ export class DaemonController {
       throw new Error('Wallet not initialized. Please start the daemon first.')
     }
 
-    const { JsonRpcProvider } = await import('ethers')
-
     // Get network config
     const networks = await this.getNetworks()
     const sonicNetwork = networks.sonic
@@ -3522,7 +5515,7 @@ export class DaemonController {
     }
 
     // Create provider
-    const provider = new JsonRpcProvider(sonicNetwork.rpc)
+    const provider = await this.getProvider()
 
     // Fetch all token balances (including custom tokens)
     const balances = await getAllBalances(provider, this.wallet.address, customTokens)
@@ -3565,7 +5558,7 @@ export class DaemonController {
           slippageLimitPercent: slippage,
           userAddr: this.wallet.address,
           referralCode: 0,
-          compact: true
+          compact: false
         })
       })
 
@@ -3606,28 +5599,13 @@ export class DaemonController {
       this.log(`📦 Transaction assembled, executing swap...`)
 
       // Step 3: Approve USDC if needed
-      const ERC20_ABI = [
-        'function approve(address spender, uint256 amount) returns (bool)',
-        'function allowance(address owner, address spender) view returns (uint256)'
-      ]
-
-      const { Contract } = await import('ethers')
-      const usdcContract = new Contract(USDC_TOKEN, ERC20_ABI, provider)
-      const currentAllowance = await usdcContract.allowance(
-        this.wallet.address,
-        assembleData.transaction.to
-      )
-
-      if (currentAllowance < usdcUsed) {
-        this.log(`🔓 Approving USDC for Odos router...`)
-        const usdcWithSigner = usdcContract.connect(connectedWallet)
-        const approveTx = await usdcWithSigner.approve(
-          assembleData.transaction.to,
-          '0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff'
-        )
-        await approveTx.wait()
-        this.log(`✅ USDC approved`)
-      }
+      await this.ensureAllowance(connectedWallet, {
+        token: USDC_TOKEN,
+        spender: assembleData.transaction.to,
+        amount: usdcUsed,
+        action: 'LOGIC_PURCHASE',
+        label: 'USDC'
+      })
 
       // Step 4: Execute swap
       const swapTx = await this.submitTransaction(connectedWallet, {
@@ -3671,7 +5649,6 @@ export class DaemonController {
   async executeFlySwap(estimatedUsdcNeeded, slippage, provider, connectedWallet) {
     const USDC_TOKEN = '0x29219dd400f2Bf60E5a23d13Be72B486D4038894'
     const WS_TOKEN = '0x039e2fB66102314Ce7b64Ce5Ce3E5183bc94aD38'
-    const FLY_ROUTER = '0xc325856e5585823aac0d1fd46c35c608d95e65a9'
 
     try {
       this.log(`🟣 Trying Fly.trade @ ${slippage}% slippage...`)
@@ -3723,28 +5700,13 @@ export class DaemonController {
       this.log(`📦 Transaction assembled, executing swap...`)
 
       // Step 4: Approve USDC if needed
-      const ERC20_ABI = [
-        'function approve(address spender, uint256 amount) returns (bool)',
-        'function allowance(address owner, address spender) view returns (uint256)'
-      ]
-
-      const { Contract } = await import('ethers')
-      const usdcContract = new Contract(USDC_TOKEN, ERC20_ABI, provider)
-      const currentAllowance = await usdcContract.allowance(
-        this.wallet.address,
-        FLY_ROUTER
-      )
-
-      if (currentAllowance < usdcUsed) {
-        this.log(`🔓 Approving USDC for Fly.trade router...`)
-        const usdcWithSigner = usdcContract.connect(connectedWallet)
-        const approveTx = await usdcWithSigner.approve(
-          FLY_ROUTER,
-          '0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff'
-        )
-        await approveTx.wait()
-        this.log(`✅ USDC approved`)
-      }
+      await this.ensureAllowance(connectedWallet, {
+        token: USDC_TOKEN,
+        spender: FLY_ROUTER,
+        amount: usdcUsed,
+        action: 'LOGIC_PURCHASE',
+        label: 'USDC'
+      })
 
       // Step 5: Execute swap
       const swapTx = await this.submitTransaction(connectedWallet, {
@@ -3791,8 +5753,12 @@ export class DaemonController {
       throw new Error('Daemon not linked. Please link your daemon first.')
     }
 
+    if (await this.isDryRun()) {
+      throw new Error('Dry-run mode is enabled - disable it to purchase LOGIC')
+    }
+
     try {
-      const { JsonRpcProvider, Contract } = await import('ethers')
+      const { Contract } = await import('ethers')
 
       // Get network config
       const networks = await this.getNetworks()
@@ -3802,7 +5768,7 @@ export class DaemonController {
         throw new Error('Sonic network not configured')
       }
 
-      const provider = new JsonRpcProvider(sonicNetwork.rpc)
+      const provider = await this.getProvider()
       const connectedWallet = this.wallet.connect(provider)
 
       // Load config for swap slippage setting
@@ -3827,7 +5793,7 @@ export class DaemonController {
       const [token0, token1, slot0] = await Promise.all([
         poolContract.token0(),
         poolContract.token1(),
-        poolContract.slot0()
+        this.readSlot0()
       ])
 
       const sqrtPriceX96 = slot0[0]
@@ -3853,6 +5819,9 @@ export class DaemonController {
       const estimatedUsdcNeeded = Math.ceil(sAmount * usdcPerS * 1e6) // USDC has 6 decimals
       this.log(`📊 USDC needed for ${sAmount.toFixed(2)} S: ${(estimatedUsdcNeeded / 1e6).toFixed(2)} USDC`)
 
+      // The firewall can't decode Fly.trade calldata - only used once firewallAllow lists the router
+      const flyAllowed = (config.firewallAllow || []).some(entry => entry.address?.toLowerCase() === FLY_ROUTER.toLowerCase())
+
       // Multi-router fallback strategy:
       // 1. Try Odos @ 0.5% slippage
       // 2. Try Fly.trade @ 0.5% slippage
@@ -3863,7 +5832,7 @@ export class DaemonController {
         { router: 'Fly.trade', slippage: 0.5, executor: this.executeFlySwap.bind(this) },
         { router: 'Odos', slippage: 1.0, executor: this.executeOdosSwap.bind(this) },
         { router: 'Fly.trade', slippage: 1.0, executor: this.executeFlySwap.bind(this) }
-      ]
+      ].filter(strategy => strategy.router !== 'Fly.trade' || flyAllowed)
 
       let swapResult = null
       let lastError = null
@@ -3904,17 +5873,14 @@ export class DaemonController {
       // Step 5: Unwrap wS → native S (required for gas/LOGIC balance)
       this.log(`🔄 Unwrapping wS to native S...`)
 
-      const WRAPPED_S_ABI = [
-        'function withdraw(uint256 amount)',
-        'function balanceOf(address owner) view returns (uint256)'
-      ]
-
-      const wsContract = new Contract(WS_TOKEN, WRAPPED_S_ABI, provider)
-
       // Only unwrap the amount we just swapped, not the entire wS balance
       if (expectedWsAmount > 0n) {
-        const wsWithSigner = wsContract.connect(connectedWallet)
-        const unwrapTx = await wsWithSigner.withdraw(expectedWsAmount)
+        // Through submitTransaction like every other send (firewall, dry-run, fee ceiling, tx accounting)
+        const unwrapTx = await this.submitTransaction(connectedWallet, {
+          to: WS_TOKEN,
+          data: new Interface(['function withdraw(uint256 amount)']).encodeFunctionData('withdraw', [expectedWsAmount]),
+          value: 0
+        }, 'LOGIC_PURCHASE')
 
         this.log(`⏳ Unwrap transaction sent: ${unwrapTx.hash}`)
 
@@ -3976,7 +5942,7 @@ export class DaemonController {
     }
 
     try {
-      const { JsonRpcProvider, Contract } = await import('ethers')
+      const { Contract } = await import('ethers')
 
       // Get network config
       const networks = await this.getNetworks()
@@ -3986,7 +5952,7 @@ export class DaemonController {
         throw new Error('Sonic network not configured')
       }
 
-      const provider = new JsonRpcProvider(sonicNetwork.rpc)
+      const provider = await this.getProvider()
 
       // Shadow Protocol NFPM ABI
       const NFPM_ABI = [
@@ -4004,6 +5970,7 @@ export class DaemonController {
       const gauge = new Contract(GAUGE_ADDRESS, GAUGE_ABI, provider)
 
       // Get count of positions owned by wallet
+      // (always enumerated on-chain - the local position index is for history only)
       const balance = await nfpm.balanceOf(this.wallet.address)
       const balanceNum = Number(balance)
 
@@ -4291,6 +6258,9 @@ export class DaemonController {
         const keystoreJson = await fs.readFile(KEYSTORE_PATH, 'utf-8')
         this.wallet = await Wallet.fromEncryptedJson(keystoreJson, password)
         this.log('✅ Wallet loaded temporarily for re-linking')
+
+        // Only accept intents addressed to this wallet on Sonic
+        await this.bindIntentVerifier()
       } catch (error) {
         throw new Error('Failed to load wallet: ' + error.message)
       }
@@ -4309,6 +6279,16 @@ export class DaemonController {
       }
     }
 
+    // New link, new webhook secret (generated and registered on the next link)
+    try {
+      await fs.unlink(WEBHOOK_SECRET_PATH)
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.log(`⚠️  Failed to delete webhook secret: ${error.message}`)
+      }
+    }
+    this.webhookSecret = null
+
     // Call platform force-relink endpoint to get NEW link code
     const timestamp = Date.now()
     const message = `Force re-link Bulwk daemon - ${timestamp}`
@@ -0,0 +1,281 @@
+// Copyright (c) 2025 Bulwk. All rights reserved.
+// Licensed under Bulwk Proprietary License
+// Full terms: ipfs://QmeHNrhouvtuaoMF93uCMf6rLJCmGu7fP8Tq8MmUntMN3D
+
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import os from 'os'
+import { AbiCoder, Contract, ZeroHash, id, toBeHex, zeroPadValue } from 'ethers'
+import { decodeNfpmCalls } from './shadow-encoder.js'
+import { calculateOptimalAmounts, getAmountsForLiquidity, getSqrtRatioAtTick } from './uniswap-math.js'
+
+const MAX_RECORDS = 200 // Keep the log small - it's for reviewing recent runs, not an archive
+
+const NFPM_POSITIONS_ABI = [
+  'function positions(uint256 tokenId) view returns (address token0, address token1, int24 tickSpacing, int24 tickLower, int24 tickUpper, uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, uint128 tokensOwed0, uint128 tokensOwed1)'
+]
+
+// ERC-721 Transfer(address indexed from, address indexed to, uint256 indexed tokenId)
+const TRANSFER_TOPIC = id('Transfer(address,address,uint256)')
+const MULTICALL_SELECTOR = id('multicall(bytes[])').slice(0, 10)
+
+const POOL_SLOT0_ABI = [
+  'function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)'
+]
+
+/**
+ * Paper-trading simulator
+ *
+ * Stands in for signing + broadcasting when dry-run mode is on: each transaction is
+ * run through eth_call / estimateGas and returned as a tx-like object whose wait()
+ * resolves to a would-be receipt. Expected token deltas for NFPM calls are derived
+ * from the current pool price, and mints get the Transfer log the real receipt would
+ * carry (tokenId taken from the simulated call). Everything is logged to ~/.balancer/dry-run.json.
+ */
+class DryRunSimulator {
+  constructor(nfpmAddress, poolAddress, logPath = path.join(os.homedir(), '.balancer', 'dry-run.json')) {
+    this.nfpmAddress = nfpmAddress
+    this.poolAddress = poolAddress
+    this.logPath = logPath
+    this.records = this.load()
+    this.lastMintedTokenId = 0n
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.logPath)) {
+        return []
+      }
+      const data = JSON.parse(fs.readFileSync(this.logPath, 'utf8'))
+      return Array.isArray(data.records) ? data.records : []
+    } catch (error) {
+      console.error('❌ Error loading dry-run log:', error.message)
+      return []
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.logPath), { recursive: true })
+      fs.writeFileSync(this.logPath, JSON.stringify({ records: this.records }, null, 2))
+    } catch (error) {
+      console.error('❌ Error saving dry-run log:', error.message)
+    }
+  }
+
+  append(record) {
+    this.records.push(record)
+    if (this.records.length > MAX_RECORDS) {
+      this.records = this.records.slice(-MAX_RECORDS)
+    }
+    this.save()
+  }
+
+  /**
+   * Simulate a transaction instead of sending it
+   * Returns { hash, wait } like a sent transaction
+   */
+  async simulate(wallet, txRequest, action) {
+    const provider = wallet.provider
+    const request = { ...txRequest, from: wallet.address }
+    const hash = '0x' + crypto.randomBytes(32).toString('hex')
+
+    let returnData = null
+    let gasEstimate = null
+    let error = null
+
+    try {
+      returnData = await provider.call(request)
+      gasEstimate = await provider.estimateGas(request)
+    } catch (simulationError) {
+      error = simulationError.shortMessage || simulationError.message
+    }
+
+    let deltas = null
+    try {
+      deltas = await this.estimateTokenDeltas(provider, txRequest)
+    } catch (deltaError) {
+      console.warn(`⚠️ [dry-run] Could not estimate token deltas: ${deltaError.message}`)
+    }
+
+    const blockNumber = await provider.getBlockNumber().catch(() => null)
+
+    this.append({
+      type: 'transaction',
+      hash,
+      action,
+      to: txRequest.to,
+      value: txRequest.value ? BigInt(txRequest.value).toString() : '0',
+      ok: !error,
+      error,
+      gasEstimate: gasEstimate !== null ? gasEstimate.toString() : null,
+      returnData,
+      deltas,
+      blockNumber,
+      simulatedAt: new Date().toISOString()
+    })
+
+    if (error) {
+      // Later steps often depend on state an earlier simulated step would have produced
+      // (e.g. reopening after a close), so a failed simulation is recorded, not thrown
+      console.warn(`⚠️ [dry-run] ${action} simulation to ${txRequest.to} reverted: ${error}`)
+    } else {
+      console.log(`🧪 [dry-run] ${action} simulated to ${txRequest.to} (gas ~${gasEstimate})`)
+    }
+
+    const receipt = {
+      hash,
+      status: 1,
+      blockNumber,
+      gasUsed: gasEstimate ?? 0n,
+      logs: error ? [] : this.buildMintLogs(txRequest, returnData),
+      dryRun: true,
+      simulation: { ok: !error, error, deltas }
+    }
+
+    return {
+      hash,
+      dryRun: true,
+      wait: async () => receipt
+    }
+  }
+
+  /**
+   * Expected wallet token deltas for an NFPM call at the current pool price
+   * (null for anything that isn't an NFPM call, e.g. aggregator swaps)
+   */
+  async estimateTokenDeltas(provider, txRequest) {
+    if (!txRequest.to || txRequest.to.toLowerCase() !== this.nfpmAddress.toLowerCase()) {
+      return null
+    }
+
+    const calls = decodeNfpmCalls(txRequest.data)
+    if (calls.length === 0) {
+      return null
+    }
+
+    const pool = new Contract(this.poolAddress, POOL_SLOT0_ABI, provider)
+    const nfpm = new Contract(this.nfpmAddress, NFPM_POSITIONS_ABI, provider)
+    const slot0 = await pool.slot0()
+    const sqrtPriceX96 = BigInt(slot0.sqrtPriceX96)
+
+    const deltas = { token0: null, token1: null, amount0: 0n, amount1: 0n }
+    const positions = new Map()
+    const getPosition = async (tokenId) => {
+      const key = tokenId.toString()
+      if (!positions.has(key)) {
+        positions.set(key, await nfpm.positions(tokenId))
+      }
+      return positions.get(key)
+    }
+
+    for (const call of calls) {
+      const params = call.params
+
+      if (call.name === 'mint') {
+        const { amount0Desired, amount1Desired } = calculateOptimalAmounts({
+          currentTick: Number(slot0.tick),
+          tickLower: params.tickLower,
+          tickUpper: params.tickUpper,
+          amount0Available: BigInt(params.amount0Desired),
+          amount1Available: BigInt(params.amount1Desired),
+          sqrtPriceX96
+        })
+        deltas.token0 = params.token0
+        deltas.token1 = params.token1
+        deltas.amount0 -= amount0Desired
+        deltas.amount1 -= amount1Desired
+      } else if (call.name === 'decreaseLiquidity') {
+        const position = await getPosition(params.tokenId)
+        const { amount0, amount1 } = getAmountsForLiquidity(
+          sqrtPriceX96,
+          getSqrtRatioAtTick(Number(position.tickLower)),
+          getSqrtRatioAtTick(Number(position.tickUpper)),
+          BigInt(params.liquidity)
+        )
+        deltas.token0 = position.token0
+        deltas.token1 = position.token1
+        deltas.amount0 += amount0
+        deltas.amount1 += amount1
+      } else if (call.name === 'collect') {
+        // Only fees already credited to the position - fees accrued since the last poke are not visible here
+        const position = await getPosition(params.tokenId)
+        const owed0 = BigInt(position.tokensOwed0)
+        const owed1 = BigInt(position.tokensOwed1)
+        deltas.token0 = position.token0
+        deltas.token1 = position.token1
+        deltas.amount0 += owed0 < BigInt(params.amount0Max) ? owed0 : BigInt(params.amount0Max)
+        deltas.amount1 += owed1 < BigInt(params.amount1Max) ? owed1 : BigInt(params.amount1Max)
+      }
+    }
+
+    return {
+      token0: deltas.token0,
+      token1: deltas.token1,
+      amount0: deltas.amount0.toString(),
+      amount1: deltas.amount1.toString()
+    }
+  }
+
+  /**
+   * Synthesized ERC-721 mint Transfer logs for an NFPM call, one per mint in the batch
+   * The tokenIds come from the simulated return data: mint returns (tokenId, liquidity, amount0, amount1)
+   * and multicall returns one such result per inner call
+   */
+  buildMintLogs(txRequest, returnData) {
+    if (!returnData || !txRequest.to || txRequest.to.toLowerCase() !== this.nfpmAddress.toLowerCase()) {
+      return []
+    }
+
+    const logs = []
+    try {
+      const abiCoder = AbiCoder.defaultAbiCoder()
+      const calls = decodeNfpmCalls(txRequest.data)
+      const isMulticall = txRequest.data.slice(0, 10).toLowerCase() === MULTICALL_SELECTOR
+      const results = isMulticall ? [...abiCoder.decode(['bytes[]'], returnData)[0]] : [returnData]
+
+      calls.forEach((call, index) => {
+        if (call.name !== 'mint' || !results[index]) {
+          return
+        }
+        // Each simulation runs against unchanged chain state, so consecutive mints would all see
+        // the same next tokenId - hand out increasing ids so the tiers stay distinct
+        const [simulatedTokenId] = abiCoder.decode(['uint256'], results[index])
+        const tokenId = simulatedTokenId > this.lastMintedTokenId ? simulatedTokenId : this.lastMintedTokenId + 1n
+        this.lastMintedTokenId = tokenId
+        logs.push({
+          address: this.nfpmAddress,
+          topics: [
+            TRANSFER_TOPIC,
+            ZeroHash,
+            zeroPadValue(call.params.recipient, 32),
+            zeroPadValue(toBeHex(tokenId), 32)
+          ],
+          data: '0x'
+        })
+      })
+    } catch (error) {
+      console.warn(`⚠️ [dry-run] Could not derive minted tokenIds: ${error.message}`)
+    }
+    return logs
+  }
+
+  /**
+   * Record the receipt that would have been reported to the platform
+   */
+  recordReceipt(intentId, receipt) {
+    this.append({
+      type: 'receipt',
+      intentId,
+      receipt,
+      recordedAt: new Date().toISOString()
+    })
+  }
+
+  list(limit = 50) {
+    return this.records.slice(-limit).reverse()
+  }
+}
+
+export default DryRunSimulator
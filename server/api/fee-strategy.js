@@ -0,0 +1,125 @@
+// Copyright (c) 2025 Bulwk. All rights reserved.
+// Licensed under Bulwk Proprietary License
+// Full terms: ipfs://QmeHNrhouvtuaoMF93uCMf6rLJCmGu7fP8Tq8MmUntMN3D
+
+import { toQuantity } from 'ethers'
+
+/**
+ * EIP-1559 fee strategy
+ *
+ * Fees are derived from eth_feeHistory over the last FEE_HISTORY_BLOCKS blocks:
+ * - maxPriorityFeePerGas: median of the preset's reward percentile
+ * - maxFeePerGas: next block base fee x the preset's headroom multiplier + priority fee
+ * Falls back to provider.getFeeData() when the RPC has no eth_feeHistory.
+ *
+ * applyFeeCeiling() enforces policy.network.maxGasPrice on what is actually signed.
+ */
+
+const FEE_HISTORY_BLOCKS = 20
+const REWARD_PERCENTILES = [10, 50, 90]
+
+export const FEE_PRESETS = {
+  slow: { percentileIndex: 0, baseFeeMultiplier: 1.25 }, // Cheapest - may wait a few blocks if base fee rises
+  normal: { percentileIndex: 1, baseFeeMultiplier: 2 },
+  fast: { percentileIndex: 2, baseFeeMultiplier: 3 }
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return 0n
+  }
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))
+  return sorted[Math.floor(sorted.length / 2)]
+}
+
+/**
+ * @returns {Promise<{preset, baseFeePerGas: bigint|null, maxFeePerGas?: bigint, maxPriorityFeePerGas?: bigint, gasPrice?: bigint, source}>}
+ */
+export async function suggestFees(provider, preset = 'normal') {
+  const settings = FEE_PRESETS[preset]
+  if (!settings) {
+    throw new Error(`Unknown fee preset "${preset}" (use ${Object.keys(FEE_PRESETS).join(', ')})`)
+  }
+
+  let history = null
+  try {
+    history = await provider.send('eth_feeHistory', [toQuantity(FEE_HISTORY_BLOCKS), 'latest', REWARD_PERCENTILES])
+  } catch {
+    // RPC without eth_feeHistory - use the node's own suggestion
+  }
+
+  if (history?.baseFeePerGas?.length) {
+    // Last entry is the base fee of the next (pending) block
+    const baseFeePerGas = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1])
+    const rewards = (history.reward || []).map(blockRewards => BigInt(blockRewards[settings.percentileIndex] ?? 0))
+    const maxPriorityFeePerGas = median(rewards)
+    const headroom = (baseFeePerGas * BigInt(Math.round(settings.baseFeeMultiplier * 100))) / 100n
+
+    return {
+      preset,
+      baseFeePerGas,
+      maxPriorityFeePerGas,
+      maxFeePerGas: headroom + maxPriorityFeePerGas,
+      source: 'eth_feeHistory'
+    }
+  }
+
+  const feeData = await provider.getFeeData()
+  if (feeData.maxFeePerGas !== null && feeData.maxFeePerGas !== undefined) {
+    return {
+      preset,
+      baseFeePerGas: null,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas ?? 0n,
+      maxFeePerGas: feeData.maxFeePerGas,
+      source: 'getFeeData'
+    }
+  }
+
+  return { preset, baseFeePerGas: null, gasPrice: feeData.gasPrice, source: 'getFeeData' }
+}
+
+/**
+ * Cap suggested fees at the policy ceiling (wei)
+ * maxFeePerGas is clamped when the next block's base fee + tip still fits under the
+ * ceiling; otherwise the transaction could only be signed above it, so this throws.
+ * @returns {object} transaction fee fields ({ maxFeePerGas, maxPriorityFeePerGas } or { gasPrice })
+ */
+export function applyFeeCeiling(fees, maxGasPrice) {
+  const ceiling = maxGasPrice !== null && maxGasPrice !== undefined ? BigInt(maxGasPrice) : null
+  const gwei = value => `${(Number(value) / 1e9).toFixed(2)} gwei`
+
+  if (fees.gasPrice !== undefined) {
+    if (ceiling !== null && fees.gasPrice > ceiling) {
+      throw new Error(`Network gas price ${gwei(fees.gasPrice)} is above policy maxGasPrice ${gwei(ceiling)} - refusing to sign`)
+    }
+    return { gasPrice: fees.gasPrice }
+  }
+
+  let { maxFeePerGas, maxPriorityFeePerGas } = fees
+
+  if (ceiling !== null && maxFeePerGas > ceiling) {
+    const minimum = (fees.baseFeePerGas ?? 0n) + maxPriorityFeePerGas
+    if (minimum > ceiling) {
+      throw new Error(`Network fee ${gwei(minimum)} (base + tip) is above policy maxGasPrice ${gwei(ceiling)} - refusing to sign`)
+    }
+    maxFeePerGas = ceiling
+  }
+
+  if (maxPriorityFeePerGas > maxFeePerGas) {
+    maxPriorityFeePerGas = maxFeePerGas
+  }
+
+  return { maxFeePerGas, maxPriorityFeePerGas }
+}
+
+/**
+ * Whether fee fields stay within the policy ceiling (used for replacements)
+ */
+export function isWithinFeeCeiling(fees, maxGasPrice) {
+  if (maxGasPrice === null || maxGasPrice === undefined) {
+    return true
+  }
+  const ceiling = BigInt(maxGasPrice)
+  const price = fees.maxFeePerGas ?? fees.gasPrice
+  return price === null || price === undefined || BigInt(price) <= ceiling
+}
@@ -8,8 +8,12 @@ export class GracePeriodMonitor {
     this.platformUrl = daemon.platformUrl || 'https://app.bulwk.com'
     this.monitorInterval = null
     this.CHECK_INTERVAL_MS = 10000 // Check every 10 seconds
+    this.CHAIN_WATCH_CHECK_INTERVAL_MS = 30000 // ...every 30 seconds while pool swaps arrive over the chain WebSocket
     this.COLLECTION_THRESHOLD_MS = 60000 // Collect Shadow 60s before grace expiry
     this.trackedPositions = new Map() // tokenId -> { graceExpiresAt, shadowCollected, tier }
+    this.checkPromise = null // Check in progress (shared by the interval and external triggers)
+    this.checkRerun = false // Another check was requested while one was running
+    this.lastCheckAt = null
     this.log = daemon.log.bind(daemon)
     // Tier definitions matching backend config
     this.GRACE_PERIODS = {
@@ -68,7 +72,7 @@ export class GracePeriodMonitor {
     setTimeout(async () => {
       try {
         this.log('🔍 Running initial grace period check on startup...')
-        await this.checkGracePeriods()
+        await this.triggerCheck('startup')
       } catch (error) {
         this.log(`❌ Initial grace period check error: ${error.message}`, 'error')
       }
@@ -76,7 +80,12 @@ export class GracePeriodMonitor {
 
     this.monitorInterval = setInterval(async () => {
       try {
-        await this.checkGracePeriods()
+        // Swaps that move a position out of range trigger checks while the chain watcher is live;
+        // grace expiry is time-based, so the interval is stretched rather than stopped
+        if (this.daemon.isChainWatchLive() && this.lastCheckAt && Date.now() - this.lastCheckAt < this.CHAIN_WATCH_CHECK_INTERVAL_MS) {
+          return
+        }
+        await this.triggerCheck('interval')
       } catch (error) {
         this.log(`❌ Grace period check error: ${error.message}`, 'error')
       }
@@ -92,7 +101,49 @@ export class GracePeriodMonitor {
     }
   }
 
-  async checkGracePeriods() {
+  /**
+   * Run a check now, coalescing with one already in progress
+   * A burst of triggers (e.g. pool swap webhooks) shares the running check plus at most
+   * one follow-up check, so positions that changed mid-check are still looked at
+   * @param {string} trigger - what requested the check (logged)
+   * @returns {Promise<object>} summary of the last check run (see checkGracePeriods)
+   */
+  triggerCheck(trigger = 'manual') {
+    if (this.checkPromise) {
+      this.checkRerun = true
+      return this.checkPromise
+    }
+
+    this.checkPromise = (async () => {
+      try {
+        let summary
+        do {
+          this.checkRerun = false
+          summary = await this.checkGracePeriods(trigger)
+        } while (this.checkRerun)
+        return summary
+      } finally {
+        this.lastCheckAt = Date.now()
+        this.checkPromise = null
+      }
+    })()
+
+    return this.checkPromise
+  }
+
+  /**
+   * @returns {Promise<{trigger, ran, reason?, positionsFound, positionsExamined, collectionsStarted, collectionsFailed, error?}>}
+   */
+  async checkGracePeriods(trigger = 'interval') {
+    const summary = {
+      trigger,
+      ran: false,
+      positionsFound: 0,
+      positionsExamined: 0,
+      collectionsStarted: 0,
+      collectionsFailed: 0
+    }
+
     // Log daemon state for debugging
     // SECURITY WARNING: Never include this.daemon.wallet object - only use .address property
     const daemonState = {
@@ -105,10 +156,10 @@ export class GracePeriodMonitor {
     // Only run if daemon is active and linked
     if (!this.daemon.isRunning || !this.daemon.isLinked || !this.daemon.wallet) {
       this.log(`⏸️ Grace monitor skipped - daemon not ready: ${JSON.stringify(daemonState)}`)
-      return
+      return { ...summary, reason: 'Daemon not running or not linked' }
     }
 
-    this.log(`🔍 Grace monitor check - wallet: ${this.daemon.wallet.address}`)
+    this.log(`🔍 Grace monitor check (${trigger}) - wallet: ${this.daemon.wallet.address}`)
 
     try {
       // Fetch positions from platform (with grace period info)
@@ -131,6 +182,8 @@ export class GracePeriodMonitor {
 
       const data = await response.json()
       const positions = data.positions || []
+      summary.ran = true
+      summary.positionsFound = positions.length
 
       // Log position status breakdown
       const statusCounts = {}
@@ -156,7 +209,13 @@ export class GracePeriodMonitor {
             const secondsAfterExpiry = Math.abs(secondsRemaining)
             this.log(`   Position #${position.tokenId}: ${shadowAmount.toFixed(6)} SHADOW, status: ${position.status}, grace expired ${secondsAfterExpiry}s ago`)
           }
-          await this.handlePositionInGracePeriod(position)
+          summary.positionsExamined++
+          const outcome = await this.handlePositionInGracePeriod(position)
+          if (outcome === 'collected') {
+            summary.collectionsStarted++
+          } else if (outcome === 'failed') {
+            summary.collectionsFailed++
+          }
         }
       }
 
@@ -167,9 +226,15 @@ export class GracePeriodMonitor {
       this.log(`❌ Grace period check error: ${error.message}`, 'error')
       this.log(`   URL: ${this.platformUrl}/api/daemon/positions?wallet=${this.daemon.wallet.address}`)
       this.log(`   Daemon state: ${JSON.stringify(daemonState)}`)
+      summary.error = error.message
     }
+
+    return summary
   }
 
+  /**
+   * @returns {Promise<'collected'|'nothing'|'failed'|null>} Shadow collection outcome (null = not due yet)
+   */
   async handlePositionInGracePeriod(position) {
     const { tokenId, graceExpiresAt, shadowRewards, tickLower, tickUpper, createdAt } = position
     const expiresAt = new Date(graceExpiresAt).getTime()
@@ -243,6 +308,7 @@ export class GracePeriodMonitor {
           await this.collectShadowForPosition(tokenId, shadowRewards)
           tracked.shadowCollected = true
           this.log(`✅ Shadow rewards collected for position #${tokenId} - safe from burning!`)
+          return 'collected'
         } else if (shadowAmount > 0) {
           this.log(`ℹ️ Position #${tokenId} has ${shadowAmount.toFixed(6)} SHADOW (below 0.001 minimum, skipping)`)
           tracked.shadowCollected = true
@@ -250,10 +316,14 @@ export class GracePeriodMonitor {
           this.log(`ℹ️ Position #${tokenId} has no Shadow rewards to collect`)
           tracked.shadowCollected = true
         }
+        return 'nothing'
       } catch (error) {
         this.log(`❌ Failed to collect Shadow for position #${tokenId}: ${error.message}`, 'error')
+        return 'failed'
       }
     }
+
+    return null
   }
 
   async collectShadowForPosition(tokenId, shadowAmount) {
@@ -0,0 +1,183 @@
+// Copyright (c) 2025 Bulwk. All rights reserved.
+// Licensed under Bulwk Proprietary License
+// Full terms: ipfs://QmeHNrhouvtuaoMF93uCMf6rLJCmGu7fP8Tq8MmUntMN3D
+
+import fs from 'fs'
+import path from 'path'
+import os from 'os'
+
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000 // Keep finished entries for 7 days
+
+/**
+ * Write-ahead journal for intent execution
+ *
+ * Every intent gets one JSON file in ~/.balancer/journal/<intentId>.json that is
+ * written BEFORE each on-chain step and updated after it confirms. If the daemon
+ * dies mid-intent, the entry stays 'in_progress' and start() can resume or
+ * safely finish it instead of leaving funds idle with no record.
+ */
+class IntentJournal {
+  constructor(journalDir = path.join(os.homedir(), '.balancer', 'journal')) {
+    this.journalDir = journalDir
+
+    if (!fs.existsSync(this.journalDir)) {
+      fs.mkdirSync(this.journalDir, { recursive: true })
+    }
+  }
+
+  entryPath(intentId) {
+    // intentIds come from the platform - never let them escape the journal directory
+    const safeId = String(intentId).replace(/[^a-zA-Z0-9_-]/g, '_')
+    return path.join(this.journalDir, `${safeId}.json`)
+  }
+
+  /**
+   * Atomic write: tmp file + rename so a crash never leaves a half-written entry
+   */
+  write(entry) {
+    entry.updatedAt = new Date().toISOString()
+    const filePath = this.entryPath(entry.intentId)
+    const tmpPath = `${filePath}.tmp`
+    fs.writeFileSync(tmpPath, JSON.stringify(entry, null, 2))
+    fs.renameSync(tmpPath, filePath)
+    return entry
+  }
+
+  get(intentId) {
+    try {
+      return JSON.parse(fs.readFileSync(this.entryPath(intentId), 'utf8'))
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * Open a journal entry for an intent (re-opens an existing in-progress entry on resume)
+   */
+  begin(intent) {
+    const existing = this.get(intent.intentId)
+    if (existing && existing.status === 'in_progress') {
+      existing.resumeCount = (existing.resumeCount || 0) + 1
+      return this.write(existing)
+    }
+
+    return this.write({
+      intentId: intent.intentId,
+      action: intent.action,
+      intent,
+      status: 'in_progress',
+      startedAt: new Date().toISOString(),
+      steps: [],
+      transactions: [],
+      state: {}
+    })
+  }
+
+  /**
+   * Record a step that is about to happen (or just happened)
+   */
+  recordStep(intentId, step, details = {}) {
+    const entry = this.get(intentId)
+    if (!entry) return null
+
+    entry.steps.push({ step, at: new Date().toISOString(), ...details })
+    return this.write(entry)
+  }
+
+  /**
+   * Record a transaction hash as soon as it is broadcast
+   */
+  recordTxSent(intentId, label, txHash) {
+    const entry = this.get(intentId)
+    if (!entry) return null
+
+    entry.transactions.push({ label, txHash, status: 'sent', sentAt: new Date().toISOString() })
+    entry.steps.push({ step: `${label}_SENT`, at: new Date().toISOString(), txHash })
+    return this.write(entry)
+  }
+
+  /**
+   * Mark a previously sent transaction as confirmed
+   * minedHash differs from txHash when a fee-bumped replacement was the one mined
+   */
+  recordTxConfirmed(intentId, txHash, blockNumber, minedHash = txHash) {
+    const entry = this.get(intentId)
+    if (!entry) return null
+
+    const tx = entry.transactions.find(t => t.txHash === txHash)
+    if (tx) {
+      tx.status = 'confirmed'
+      tx.blockNumber = blockNumber
+      tx.minedHash = minedHash
+      entry.steps.push({ step: `${tx.label}_CONFIRMED`, at: new Date().toISOString(), txHash, blockNumber })
+    }
+    return this.write(entry)
+  }
+
+  /**
+   * Merge action-specific progress (e.g. positionClosed, cached transactions)
+   */
+  updateState(intentId, patch) {
+    const entry = this.get(intentId)
+    if (!entry) return null
+
+    entry.state = { ...entry.state, ...patch }
+    return this.write(entry)
+  }
+
+  /**
+   * Close the entry - status is one of 'completed', 'failed', 'skipped', 'partial', 'abandoned'
+   */
+  finish(intentId, status, details = {}) {
+    const entry = this.get(intentId)
+    if (!entry) return null
+
+    entry.status = status
+    entry.finishedAt = new Date().toISOString()
+    if (Object.keys(details).length > 0) {
+      entry.result = details
+    }
+    return this.write(entry)
+  }
+
+  /**
+   * All entries that never reached finish() - i.e. interrupted by a crash or restart
+   */
+  listUnfinished() {
+    return this.listEntries().filter(entry => entry.status === 'in_progress')
+  }
+
+  listEntries() {
+    const entries = []
+    for (const file of fs.readdirSync(this.journalDir)) {
+      if (!file.endsWith('.json')) continue
+      try {
+        entries.push(JSON.parse(fs.readFileSync(path.join(this.journalDir, file), 'utf8')))
+      } catch (error) {
+        console.error(`⚠️ Skipping unreadable journal entry ${file}: ${error.message}`)
+      }
+    }
+    return entries
+  }
+
+  /**
+   * Remove finished entries older than the retention window
+   */
+  prune(maxAgeMs = RETENTION_MS) {
+    const cutoff = Date.now() - maxAgeMs
+    let removed = 0
+
+    for (const entry of this.listEntries()) {
+      if (entry.status === 'in_progress') continue
+      const finishedAt = new Date(entry.finishedAt || entry.updatedAt).getTime()
+      if (finishedAt < cutoff) {
+        fs.rmSync(this.entryPath(entry.intentId), { force: true })
+        removed++
+      }
+    }
+
+    return removed
+  }
+}
+
+export default IntentJournal
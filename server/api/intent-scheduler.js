@@ -0,0 +1,214 @@
+// Copyright (c) 2025 Bulwk. All rights reserved.
+// Licensed under Bulwk Proprietary License
+// Full terms: ipfs://QmeHNrhouvtuaoMF93uCMf6rLJCmGu7fP8Tq8MmUntMN3D
+
+/**
+ * Runs intents in parallel by lock key, up to a concurrency limit
+ *
+ * Waiting intents are ordered by priority (higher first), then deadline
+ * (soonest first), then the intent's own priority field (higher first), then arrival.
+ *
+ * getLocks(intent) returns { keys, exclusive }:
+ * - intents sharing a key run one at a time, in queue order
+ * - exclusive intents (wallet-wide, e.g. DEPLOY) run alone, and nothing queued
+ *   behind them starts before they finish
+ * run(intent) executes one intent; whatever it resolves to (or the error it
+ * throws) is collected and handed back by drain().
+ */
+class IntentScheduler {
+  constructor({ getLocks, run, concurrency = 3 }) {
+    this.getLocks = getLocks
+    this.run = run
+    this.concurrency = concurrency
+    this.waiting = []
+    this.running = new Set()
+    this.results = []
+    this.drainWaiters = []
+    this.sequence = 0
+  }
+
+  add(intent, priority = 0) {
+    this.enqueue(intent, priority)
+    this.dispatch()
+  }
+
+  /**
+   * Queue a whole batch before dispatching, so the first intent of the batch can't start
+   * ahead of a higher-priority one later in the same batch
+   * @param {Array<{ intent, priority }>} entries
+   */
+  addAll(entries) {
+    entries.forEach(({ intent, priority }) => this.enqueue(intent, priority))
+    this.dispatch()
+  }
+
+  enqueue(intent, priority = 0) {
+    const item = {
+      intent,
+      locks: this.getLocks(intent),
+      priority,
+      sequence: this.sequence++,
+      queuedAt: new Date().toISOString()
+    }
+
+    const index = this.waiting.findIndex(other => compareItems(item, other) < 0)
+    if (index === -1) {
+      this.waiting.push(item)
+    } else {
+      this.waiting.splice(index, 0, item)
+    }
+  }
+
+  /**
+   * Remove a waiting intent before it starts
+   * @returns {'removed'|'running'|null} null when the intent is not in the scheduler
+   */
+  remove(intentId) {
+    if ([...this.running].some(item => item.intent.intentId === intentId)) {
+      return 'running'
+    }
+
+    const item = this.waiting.find(waitingItem => waitingItem.intent.intentId === intentId)
+    if (!item) {
+      return null
+    }
+
+    this.waiting = this.waiting.filter(waitingItem => waitingItem !== item)
+    this.dispatch()
+    this.settle()
+    return 'removed'
+  }
+
+  /**
+   * Snapshot for inspection: running intents, then waiting ones in the order they will be considered
+   */
+  list() {
+    const describe = (item, state) => ({
+      intentId: item.intent.intentId,
+      action: item.intent.action,
+      state,
+      priority: item.priority,
+      intentPriority: getIntentPriority(item.intent),
+      deadline: item.intent.deadline ? new Date(item.intent.deadline * 1000).toISOString() : null,
+      locks: item.locks.exclusive ? ['wallet'] : item.locks.keys,
+      queuedAt: item.queuedAt
+    })
+
+    return [
+      ...[...this.running].map(item => describe(item, 'running')),
+      ...this.waiting.map(item => describe(item, 'waiting'))
+    ]
+  }
+
+  get size() {
+    return this.waiting.length + this.running.size
+  }
+
+  /**
+   * Drop intents that have not started yet (running ones finish normally)
+   */
+  clear() {
+    const dropped = this.waiting.map(item => item.intent)
+    this.waiting = []
+    this.settle()
+    return dropped
+  }
+
+  /**
+   * Resolves once every added intent has finished, with their results in completion order
+   */
+  drain() {
+    return new Promise(resolve => {
+      this.drainWaiters.push(resolve)
+      this.settle()
+    })
+  }
+
+  dispatch() {
+    const heldKeys = new Set([...this.running].flatMap(item => item.locks.keys))
+    const blockedKeys = new Set() // Keys of earlier intents that are still waiting
+    let blockedAll = [...this.running].some(item => item.locks.exclusive)
+    let earlierWaiting = false
+
+    for (const item of [...this.waiting]) {
+      if (this.running.size >= this.concurrency) {
+        break
+      }
+
+      const canStart = item.locks.exclusive
+        ? this.running.size === 0 && !earlierWaiting
+        : !blockedAll && item.locks.keys.every(key => !heldKeys.has(key) && !blockedKeys.has(key))
+
+      if (canStart) {
+        this.start(item)
+        item.locks.keys.forEach(key => heldKeys.add(key))
+        blockedAll = blockedAll || item.locks.exclusive
+      } else {
+        earlierWaiting = true
+        if (item.locks.exclusive) {
+          // Nothing may overtake a waiting wallet-wide intent
+          blockedAll = true
+        } else {
+          item.locks.keys.forEach(key => blockedKeys.add(key))
+        }
+      }
+    }
+  }
+
+  start(item) {
+    this.waiting = this.waiting.filter(waitingItem => waitingItem !== item)
+    this.running.add(item)
+
+    Promise.resolve()
+      .then(() => this.run(item.intent))
+      .then(
+        result => this.results.push({ intent: item.intent, result }),
+        error => this.results.push({ intent: item.intent, error })
+      )
+      .finally(() => {
+        this.running.delete(item)
+        this.dispatch()
+        this.settle()
+      })
+  }
+
+  settle() {
+    if (this.size > 0 || this.drainWaiters.length === 0) {
+      return
+    }
+
+    const results = this.results
+    const waiters = this.drainWaiters
+    this.results = []
+    this.drainWaiters = []
+    waiters.forEach(resolve => resolve(results))
+  }
+}
+
+// Priority the platform set on the intent itself (optional, defaults to 0)
+function getIntentPriority(intent) {
+  const priority = Number(intent.priority)
+  return isFinite(priority) ? priority : 0
+}
+
+function compareItems(a, b) {
+  if (a.priority !== b.priority) {
+    return b.priority - a.priority
+  }
+
+  const deadlineA = a.intent.deadline || Infinity
+  const deadlineB = b.intent.deadline || Infinity
+  if (deadlineA !== deadlineB) {
+    return deadlineA < deadlineB ? -1 : 1
+  }
+
+  const intentPriorityA = getIntentPriority(a.intent)
+  const intentPriorityB = getIntentPriority(b.intent)
+  if (intentPriorityA !== intentPriorityB) {
+    return intentPriorityB - intentPriorityA
+  }
+
+  return a.sequence - b.sequence
+}
+
+export default IntentScheduler
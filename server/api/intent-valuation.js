@@ -0,0 +1,118 @@
+// Copyright (c) 2025 Bulwk. All rights reserved.
+// Licensed under Bulwk Proprietary License
+// Full terms: ipfs://QmeHNrhouvtuaoMF93uCMf6rLJCmGu7fP8Tq8MmUntMN3D
+
+import { Contract } from 'ethers'
+import { getAmountsForLiquidity, getSqrtRatioAtTick } from './uniswap-math.js'
+
+/**
+ * Local USD valuation of intents from the WS/USDC pool price (slot0)
+ * Used for the maxIntentUsd / maxDailyUsd policy caps - no external price feed involved
+ */
+
+const POOL_ABI = [
+  'function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+  'function token0() external view returns (address)'
+]
+
+const NFPM_ABI = [
+  'function positions(uint256 tokenId) view returns (address token0, address token1, int24 tickSpacing, int24 tickLower, int24 tickUpper, uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, uint128 tokensOwed0, uint128 tokensOwed1)'
+]
+
+const ERC20_ABI = ['function balanceOf(address) view returns (uint256)']
+
+/**
+ * WS price in USDC from a pool sqrtPriceX96 (WS 18 decimals, USDC 6 decimals)
+ */
+export function sqrtPriceToWsUsd(sqrtPriceX96, token0Address, wsToken) {
+  const sqrtPrice = Number(sqrtPriceX96) / Math.pow(2, 96)
+  const rawPrice = sqrtPrice * sqrtPrice
+  const price = rawPrice * Math.pow(10, 18 - 6)
+
+  // Invert if token1 is WS
+  return token0Address.toLowerCase() === wsToken.toLowerCase() ? price : 1 / price
+}
+
+export async function getWsUsdPrice(provider, { poolAddress, wsToken }) {
+  const pool = new Contract(poolAddress, POOL_ABI, provider)
+  const [slot0, token0] = await Promise.all([pool.slot0(), pool.token0()])
+  const wsPrice = sqrtPriceToWsUsd(slot0.sqrtPriceX96, token0, wsToken)
+
+  if (!wsPrice || !isFinite(wsPrice)) {
+    throw new Error(`Invalid WS price from pool slot0 (sqrtPriceX96 ${slot0.sqrtPriceX96})`)
+  }
+
+  return { wsPrice, sqrtPriceX96: BigInt(slot0.sqrtPriceX96), token0 }
+}
+
+export function valueTokenAmounts(wsAmount, usdcAmount, wsPrice) {
+  return (Number(wsAmount) / 1e18) * wsPrice + Number(usdcAmount) / 1e6
+}
+
+async function getWalletAmounts(provider, walletAddress, { wsToken, usdcToken }) {
+  const [ws, usdc] = await Promise.all([
+    new Contract(wsToken, ERC20_ABI, provider).balanceOf(walletAddress),
+    new Contract(usdcToken, ERC20_ABI, provider).balanceOf(walletAddress)
+  ])
+  return { ws: BigInt(ws), usdc: BigInt(usdc) }
+}
+
+async function getPositionAmounts(provider, tokenId, sqrtPriceX96, { nfpmAddress, wsToken }) {
+  const position = await new Contract(nfpmAddress, NFPM_ABI, provider).positions(tokenId)
+  const { amount0, amount1 } = getAmountsForLiquidity(
+    sqrtPriceX96,
+    getSqrtRatioAtTick(Number(position.tickLower)),
+    getSqrtRatioAtTick(Number(position.tickUpper)),
+    BigInt(position.liquidity)
+  )
+
+  const total0 = amount0 + BigInt(position.tokensOwed0)
+  const total1 = amount1 + BigInt(position.tokensOwed1)
+
+  return position.token0.toLowerCase() === wsToken.toLowerCase()
+    ? { ws: total0, usdc: total1 }
+    : { ws: total1, usdc: total0 }
+}
+
+/**
+ * Estimated USD value an intent will move
+ * - DEPLOY / IDLE_SWEEP: wallet WS + USDC (deployed across enabled tiers; any swap is part of it)
+ * - REBALANCE: the position's liquidity at the current price plus owed fees
+ *   (wallet balances if the position was already closed)
+ * - anything with recipe.swapAmount: the swap input
+ *
+ * @returns {{ usd: number, wsPrice: number, basis: string }}
+ */
+export async function estimateIntentNotional(intent, { provider, walletAddress, addresses }) {
+  const tokens = { wsToken: addresses.WS_TOKEN, usdcToken: addresses.USDC_TOKEN }
+  const { wsPrice, sqrtPriceX96 } = await getWsUsdPrice(provider, { poolAddress: addresses.POOL_ADDRESS, wsToken: addresses.WS_TOKEN })
+
+  if (intent.action === 'DEPLOY' || intent.action === 'IDLE_SWEEP') {
+    const { ws, usdc } = await getWalletAmounts(provider, walletAddress, tokens)
+    return { usd: valueTokenAmounts(ws, usdc, wsPrice), wsPrice, basis: 'wallet balances' }
+  }
+
+  if (intent.action === 'REBALANCE' && intent.recipe?.tokenId !== undefined) {
+    try {
+      const { ws, usdc } = await getPositionAmounts(provider, intent.recipe.tokenId, sqrtPriceX96, {
+        nfpmAddress: addresses.NFPM_ADDRESS,
+        wsToken: addresses.WS_TOKEN
+      })
+      return { usd: valueTokenAmounts(ws, usdc, wsPrice), wsPrice, basis: `position ${intent.recipe.tokenId}` }
+    } catch {
+      // Burned position (rebalance resumed after close) - its value is back in the wallet
+      const { ws, usdc } = await getWalletAmounts(provider, walletAddress, tokens)
+      return { usd: valueTokenAmounts(ws, usdc, wsPrice), wsPrice, basis: 'wallet balances' }
+    }
+  }
+
+  if (intent.recipe?.swapAmount && intent.recipe?.swapDirection && intent.recipe.swapDirection !== 'NONE') {
+    const amount = BigInt(intent.recipe.swapAmount)
+    const usd = intent.recipe.swapDirection === 'WS_TO_USDC'
+      ? valueTokenAmounts(amount, 0n, wsPrice)
+      : valueTokenAmounts(0n, amount, wsPrice)
+    return { usd, wsPrice, basis: `swap ${intent.recipe.swapDirection}` }
+  }
+
+  return { usd: 0, wsPrice, basis: 'no token movement' }
+}
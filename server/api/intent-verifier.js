@@ -6,16 +6,67 @@ import crypto from 'crypto'
 import fs from 'fs'
 import path from 'path'
 import os from 'os'
+import SeenIntentStore from './seen-intent-store.js'
+import JwksKeySet from './jwks-key-set.js'
+import { evaluatePolicy } from './policy-rules.js'
 
 class IntentVerifier {
   constructor(platformUrl, logger = null) {
     this.platformUrl = platformUrl
-    this.publicKey = null
-    this.keyId = null
-    this.lastFetch = null
-    this.CACHE_DURATION = 3600000 // 1 hour in ms
+    this.keySet = new JwksKeySet(platformUrl) // Platform signing keys by kid (pinned allowlist + cache on disk)
+    this.keyId = null // kid of the last key used for verification
     this.policyPath = path.join(os.homedir(), '.balancer/policy.json')
     this.logger = logger // Optional logger callback for broadcasting events
+    this.seenIntents = new SeenIntentStore() // Persisted replay protection (survives restarts)
+
+    // Claim binding - set via setBinding() once the wallet is loaded
+    this.binding = null
+  }
+
+  /**
+   * Bind verification to this daemon: intents must name this wallet, chain and audience
+   */
+  setBinding({ walletAddress, chainId = 146, audience = 'bulwk-daemon', clockSkewSec = 60 }) {
+    this.binding = {
+      walletAddress: walletAddress.toLowerCase(),
+      chainId: Number(chainId),
+      audience,
+      clockSkewSec: Number(clockSkewSec)
+    }
+  }
+
+  /**
+   * Strict claim validation - throws on the first claim that doesn't match this daemon
+   */
+  validateClaims(payload) {
+    if (!this.binding) {
+      throw new Error('Intent claims cannot be validated - verifier not bound to a wallet')
+    }
+
+    const { walletAddress, chainId, audience, clockSkewSec } = this.binding
+    const now = Math.floor(Date.now() / 1000)
+
+    const intentWallet = payload.wallet || payload.walletAddress
+    if (!intentWallet || String(intentWallet).toLowerCase() !== walletAddress) {
+      throw new Error(`Intent wallet mismatch: ${intentWallet || 'missing'} (expected ${walletAddress})`)
+    }
+
+    if (payload.chainId === undefined || Number(payload.chainId) !== chainId) {
+      throw new Error(`Intent chain mismatch: ${payload.chainId ?? 'missing'} (expected ${chainId})`)
+    }
+
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud]
+    if (!audiences.includes(audience)) {
+      throw new Error(`Intent audience mismatch: ${payload.aud ?? 'missing'} (expected ${audience})`)
+    }
+
+    if (payload.iat !== undefined && payload.iat > now + clockSkewSec) {
+      throw new Error(`Intent issued in the future (iat ${payload.iat}, now ${now}, skew ${clockSkewSec}s)`)
+    }
+
+    if (payload.nbf !== undefined && payload.nbf > now + clockSkewSec) {
+      throw new Error(`Intent not yet valid (nbf ${payload.nbf}, now ${now}, skew ${clockSkewSec}s)`)
+    }
   }
 
   loadPolicy() {
@@ -52,55 +103,11 @@ class IntentVerifier {
     }
   }
 
-  async fetchPublicKey() {
-    const now = Date.now()
-
-    // Use cached key if still valid
-    if (this.publicKey && this.lastFetch && (now - this.lastFetch) < this.CACHE_DURATION) {
-      return this.publicKey
-    }
-
-    try {
-      const response = await fetch(`${this.platformUrl}/api/jwks`)
-
-      if (!response.ok) {
-        throw new Error(`JWKS fetch failed: ${response.status}`)
-      }
-
-      const jwks = await response.json()
-
-      if (!jwks.keys || jwks.keys.length === 0) {
-        throw new Error('No keys in JWKS')
-      }
-
-      const jwk = jwks.keys[0]
-
-      if (jwk.kty !== 'OKP' || jwk.crv !== 'Ed25519') {
-        throw new Error('Invalid key type, expected Ed25519')
-      }
-
-      this.keyId = jwk.kid
-
-      const publicKeyBytes = Buffer.from(jwk.x, 'base64url')
-
-      const oid = Buffer.from([0x30, 0x2a, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x03, 0x21, 0x00])
-      const der = Buffer.concat([oid, publicKeyBytes])
-
-      this.publicKey = crypto.createPublicKey({
-        key: der,
-        format: 'der',
-        type: 'spki'
-      })
-
-      this.lastFetch = now
-
-      console.log(`✅ Fetched platform public key: ${this.keyId}`)
-
-      return this.publicKey
-    } catch (error) {
-      console.error('Failed to fetch JWKS:', error)
-      throw new Error(`JWKS fetch failed: ${error.message}`)
-    }
+  async fetchPublicKey(kid) {
+    // Key set picks by kid, refetches on unknown kid and falls back to cached keys
+    const publicKey = await this.keySet.getKey(kid)
+    this.keyId = kid || null
+    return publicKey
   }
 
   async verifyIntent(signature) {
@@ -128,8 +135,8 @@ class IntentVerifier {
       throw new Error(`Unsupported algorithm: ${header.alg}`)
     }
 
-    // Fetch public key (uses cache if available)
-    const publicKey = await this.fetchPublicKey()
+    // Select public key by kid (uses cache if available)
+    const publicKey = await this.fetchPublicKey(header.kid)
 
     // Verify signature
     const message = `${encodedHeader}.${encodedPayload}`
@@ -164,74 +171,61 @@ class IntentVerifier {
       throw new Error('Intent expired')
     }
 
+    // Check the intent targets this wallet / chain / audience
+    this.validateClaims(payload)
+
+    // Check replay (same intentId / jti / nonce already accepted before its deadline)
+    const seen = this.seenIntents.find(payload)
+    if (seen) {
+      throw new Error(`Replay rejected: ${seen.key} was already accepted at ${seen.seenAt} (intent ${seen.intentId})`)
+    }
+
     console.log(`✅ Intent verified: ${payload.intentId}`)
 
     return payload
   }
 
-  validatePolicy(intent, policy = null) {
+  /**
+   * Record an intent as accepted - any later delivery of the same JWS is rejected until its deadline
+   */
+  markIntentSeen(intent) {
+    this.seenIntents.markSeen(intent)
+  }
+
+  /**
+   * Forget an accepted intent that failed before anything was broadcast - a re-issue is not a replay
+   */
+  forgetIntent(intentId) {
+    this.seenIntents.forget(intentId)
+  }
+
+  /**
+   * Evaluate every policy rule and return the structured result (all violations)
+   */
+  evaluatePolicy(intent, policy = null, context = {}) {
     if (!policy) {
       policy = this.loadPolicy()
     }
 
-    // Check automation enabled
-    if (policy.automation?.autoRebalancing === false) {
-      console.warn('Intent rejected: automation disabled')
-      return false
-    }
-
-    // Check emergency stop
-    if (policy.spending?.emergencyStopEnabled && policy.spending?.currentBalance !== undefined) {
-      const balance = policy.spending.currentBalance
-      const threshold = policy.spending.emergencyStopThreshold || 5
-
-      if (balance < threshold) {
-        const message = `Intent rejected: LOGIC balance ${balance.toFixed(2)} below emergency threshold ${threshold}`
-        console.warn(message)
+    const result = evaluatePolicy(intent, policy, context)
 
-        if (this.logger) {
-          this.logger(message, 'emergency_stop')
-        }
+    for (const violation of result.violations) {
+      console.warn(`Intent ${intent.intentId} ${violation.severity}: [${violation.id}] ${violation.message}`)
 
-        return false
+      if (violation.id === 'emergency_stop' && this.logger) {
+        this.logger(`Intent rejected: ${violation.message}`, 'emergency_stop')
       }
     }
 
-    // Check time window (subscription-based hours)
-    if (policy.subscription?.allowedHours) {
-      const currentHour = new Date().getHours()
-      const [startHour, endHour] = policy.subscription.allowedHours
-
-      if (currentHour < startHour || currentHour > endHour) {
-        console.warn(`Intent rejected: outside allowed hours (${startHour}-${endHour}, current: ${currentHour})`)
-        return false
-      }
+    if (result.passed) {
+      console.log(`✅ Intent ${intent.intentId} passed policy validation`)
     }
 
-    // Check gas price limit
-    if (intent.constraints?.maxFeePerGas && policy.network?.maxGasPrice) {
-      const intentGasPrice = parseInt(intent.constraints.maxFeePerGas)
-      const policyMaxGas = parseInt(policy.network.maxGasPrice)
-
-      if (intentGasPrice > policyMaxGas) {
-        console.warn(`Intent rejected: gas price ${intentGasPrice} exceeds limit ${policyMaxGas}`)
-        return false
-      }
-    }
-
-    // Check slippage limit
-    if (intent.recipe?.slippageBps && policy.network?.maxSlippageBps) {
-      const intentSlippage = intent.recipe.slippageBps
-      const policyMaxSlippage = policy.network.maxSlippageBps
-
-      if (intentSlippage > policyMaxSlippage) {
-        console.warn(`Intent rejected: slippage ${intentSlippage} exceeds limit ${policyMaxSlippage}`)
-        return false
-      }
-    }
+    return result
+  }
 
-    console.log(`✅ Intent ${intent.intentId} passed policy validation`)
-    return true
+  validatePolicy(intent, policy = null) {
+    return this.evaluatePolicy(intent, policy).passed
   }
 }
 
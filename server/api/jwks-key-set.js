@@ -0,0 +1,243 @@
+// Copyright (c) 2025 Bulwk. All rights reserved.
+// Licensed under Bulwk Proprietary License
+// Full terms: ipfs://QmeHNrhouvtuaoMF93uCMf6rLJCmGu7fP8Tq8MmUntMN3D
+
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import os from 'os'
+
+const CACHE_DURATION = 3600000 // Refresh the whole set every hour (drops retired keys)
+const MIN_REFETCH_INTERVAL = 30000 // Unknown kid may trigger at most one refetch per 30s
+const MAX_CACHE_AGE = 24 * 3600000 // Cached keys stop verifying this long after the last successful fetch
+
+// DER SPKI prefix for a raw 32-byte Ed25519 public key
+const ED25519_SPKI_PREFIX = Buffer.from([0x30, 0x2a, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x03, 0x21, 0x00])
+
+/**
+ * Platform signing keys indexed by kid
+ *
+ * Two files in ~/.balancer:
+ * - trusted-keys.json: the operator-pinned allowlist ({ keys: [{ kid, x }] }). A key
+ *   only verifies while its kid is pinned with the same public key, whether it was
+ *   fetched or cached. Written with the first fetched set when missing (trust on first
+ *   use); keys the platform rotates in later must be added by the operator.
+ * - jwks-cache.json: the last fetched JWKS, so intents still verify across restarts and
+ *   short platform outages. Every fetch replaces it (retired keys stop verifying), and
+ *   cached keys are refused once MAX_CACHE_AGE has passed without a successful fetch.
+ */
+class JwksKeySet {
+  constructor(
+    platformUrl,
+    cachePath = path.join(os.homedir(), '.balancer', 'jwks-cache.json'),
+    pinnedPath = path.join(os.homedir(), '.balancer', 'trusted-keys.json')
+  ) {
+    this.platformUrl = platformUrl
+    this.cachePath = cachePath
+    this.pinnedPath = pinnedPath
+    this.pinned = null // kid -> base64url public key (null until pinned)
+    this.unpinned = new Set() // kids the platform published that are not pinned
+    this.keys = new Map() // kid -> KeyObject
+    this.fetchedAt = null
+    this.lastFetchAttempt = null
+
+    this.loadPinned()
+    this.loadCache()
+  }
+
+  loadPinned() {
+    try {
+      if (!fs.existsSync(this.pinnedPath)) {
+        return
+      }
+
+      const pinned = JSON.parse(fs.readFileSync(this.pinnedPath, 'utf8'))
+      this.pinned = new Map((pinned.keys || []).filter(jwk => jwk.kid && jwk.x).map(jwk => [jwk.kid, jwk.x]))
+
+      console.log(`📌 Loaded ${this.pinned.size} pinned platform key(s)`)
+    } catch (error) {
+      console.error('❌ Error loading pinned keys:', error.message)
+      this.pinned = new Map() // Unreadable allowlist trusts nothing, rather than re-pinning
+    }
+  }
+
+  savePinned(jwks) {
+    try {
+      fs.mkdirSync(path.dirname(this.pinnedPath), { recursive: true })
+      fs.writeFileSync(this.pinnedPath, JSON.stringify({
+        keys: jwks.map(jwk => ({ kid: jwk.kid, x: jwk.x }))
+      }, null, 2))
+      this.pinned = new Map(jwks.map(jwk => [jwk.kid, jwk.x]))
+      console.log(`📌 Pinned platform key(s) ${jwks.map(jwk => jwk.kid).join(', ')} to ${this.pinnedPath}`)
+    } catch (error) {
+      console.error('❌ Error saving pinned keys:', error.message)
+    }
+  }
+
+  loadCache() {
+    try {
+      if (!fs.existsSync(this.cachePath)) {
+        return
+      }
+
+      const cached = JSON.parse(fs.readFileSync(this.cachePath, 'utf8'))
+      this.keys = this.importKeys(cached.keys || [])
+      this.fetchedAt = cached.fetchedAt || null
+
+      console.log(`🔑 Loaded ${this.keys.size} cached platform key(s)`)
+    } catch (error) {
+      console.error('❌ Error loading cached keys:', error.message)
+    }
+  }
+
+  saveCache(jwks) {
+    try {
+      fs.mkdirSync(path.dirname(this.cachePath), { recursive: true })
+      fs.writeFileSync(this.cachePath, JSON.stringify({
+        keys: jwks,
+        fetchedAt: this.fetchedAt
+      }, null, 2))
+    } catch (error) {
+      console.error('❌ Error saving cached keys:', error.message)
+    }
+  }
+
+  /**
+   * Convert JWKs to KeyObjects, skipping anything that isn't a usable Ed25519 key
+   * or (once keys are pinned) isn't pinned with the same public key
+   */
+  importKeys(jwks) {
+    const keys = new Map()
+    this.unpinned = new Set()
+
+    for (const jwk of jwks) {
+      if (jwk.kty !== 'OKP' || jwk.crv !== 'Ed25519' || !jwk.x || !jwk.kid) {
+        console.warn(`⚠️ Ignoring unsupported JWK: ${jwk.kid || 'no kid'} (${jwk.kty}/${jwk.crv})`)
+        continue
+      }
+
+      const publicKeyBytes = Buffer.from(jwk.x, 'base64url')
+      if (publicKeyBytes.length !== 32) {
+        console.warn(`⚠️ Ignoring JWK ${jwk.kid}: invalid Ed25519 key length`)
+        continue
+      }
+
+      if (this.pinned && this.pinned.get(jwk.kid) !== jwk.x) {
+        console.warn(`⚠️ Ignoring JWK ${jwk.kid}: ${this.pinned.has(jwk.kid) ? 'public key differs from the one' : 'not'} pinned in ${this.pinnedPath}`)
+        this.unpinned.add(jwk.kid)
+        continue
+      }
+
+      keys.set(jwk.kid, crypto.createPublicKey({
+        key: Buffer.concat([ED25519_SPKI_PREFIX, publicKeyBytes]),
+        format: 'der',
+        type: 'spki'
+      }))
+    }
+
+    return keys
+  }
+
+  async refresh() {
+    this.lastFetchAttempt = Date.now()
+
+    const response = await fetch(`${this.platformUrl}/api/jwks`)
+
+    if (!response.ok) {
+      throw new Error(`JWKS fetch failed: ${response.status}`)
+    }
+
+    const jwks = await response.json()
+
+    if (!jwks.keys || jwks.keys.length === 0) {
+      throw new Error('No keys in JWKS')
+    }
+
+    const keys = this.importKeys(jwks.keys)
+
+    if (keys.size === 0) {
+      throw new Error(this.unpinned.size > 0
+        ? `None of the published keys (${[...this.unpinned].join(', ')}) is pinned in ${this.pinnedPath}`
+        : 'Invalid key type, expected Ed25519')
+    }
+
+    const usable = jwks.keys.filter(jwk => keys.has(jwk.kid))
+    if (!this.pinned) {
+      this.savePinned(usable)
+    }
+
+    this.keys = keys
+    this.fetchedAt = Date.now()
+    this.saveCache(usable)
+
+    console.log(`✅ Fetched platform key set: ${[...keys.keys()].join(', ')}`)
+  }
+
+  isStale() {
+    return !this.fetchedAt || (Date.now() - this.fetchedAt) >= CACHE_DURATION
+  }
+
+  isExpired() {
+    return Boolean(this.fetchedAt) && (Date.now() - this.fetchedAt) >= MAX_CACHE_AGE
+  }
+
+  canRefetch() {
+    return !this.lastFetchAttempt || (Date.now() - this.lastFetchAttempt) >= MIN_REFETCH_INTERVAL
+  }
+
+  lookup(kid) {
+    if (kid) {
+      return this.keys.get(kid) || null
+    }
+
+    // No kid in header - only unambiguous when the platform publishes a single key
+    return this.keys.size === 1 ? [...this.keys.values()][0] : null
+  }
+
+  /**
+   * Resolve the verification key for a JWS header kid
+   */
+  async getKey(kid) {
+    if (this.isStale() && this.canRefetch()) {
+      try {
+        await this.refresh()
+      } catch (error) {
+        if (this.keys.size === 0) {
+          throw new Error(`JWKS fetch failed: ${error.message}`)
+        }
+        console.warn(`⚠️ JWKS refresh failed (${error.message}) - using cached keys`)
+      }
+    }
+
+    // The platform may have retired these keys meanwhile - don't trust an old cache indefinitely
+    if (this.isExpired()) {
+      throw new Error(`Cached platform keys are older than ${MAX_CACHE_AGE / 3600000}h and the JWKS could not be refreshed`)
+    }
+
+    let key = this.lookup(kid)
+
+    // Unknown kid: the platform may have rotated - refetch (rate limited)
+    if (!key && this.canRefetch()) {
+      console.log(`🔑 Unknown signing key ${kid || '(no kid)'} - refetching JWKS`)
+      try {
+        await this.refresh()
+      } catch (error) {
+        throw new Error(`JWKS fetch failed: ${error.message}`)
+      }
+      key = this.lookup(kid)
+    }
+
+    if (!key) {
+      if (kid && this.unpinned.has(kid)) {
+        throw new Error(`Signing key ${kid} is published by the platform but not pinned - add it to ${this.pinnedPath} to trust it`)
+      }
+      throw new Error(kid
+        ? `Unknown signing key: ${kid} (not in platform key set)`
+        : 'JWS header has no kid and platform publishes multiple keys')
+    }
+
+    return key
+  }
+}
+
+export default JwksKeySet
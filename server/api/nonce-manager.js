@@ -0,0 +1,358 @@
+// Copyright (c) 2025 Bulwk. All rights reserved.
+// Licensed under Bulwk Proprietary License
+// Full terms: ipfs://QmeHNrhouvtuaoMF93uCMf6rLJCmGu7fP8Tq8MmUntMN3D
+
+import { isWithinFeeCeiling } from './fee-strategy.js'
+
+/**
+ * Shared nonce allocator and in-flight transaction tracker for the daemon wallet
+ *
+ * Intents on different positions send transactions in parallel. Letting ethers
+ * fetch the 'pending' nonce per send races (two sends read the same count before
+ * either is broadcast), so nonces are handed out here one at a time. The counter
+ * starts from the chain's pending count and never goes backwards.
+ *
+ * A send that fails before broadcasting release()s its nonce. Released nonces are
+ * handed out again before new ones (the counter is never reset, so a nonce still in
+ * flight is never handed out twice). If a released nonce is still unused after
+ * stuckAfterMs while later nonces wait behind it, fillGap(nonce) fills it (the
+ * daemon sends a 0-value self-transfer).
+ *
+ * Every broadcast transaction is tracked until one version of its nonce is mined.
+ * A transaction pending longer than stuckAfterMs is re-sent with bumped fees (same
+ * nonce and calldata), up to maxBumps times. cancel() replaces it with a 0-value
+ * self-transfer. wait() resolves with the receipt of whichever version was mined.
+ * Replacements are never signed above the feeCeiling option (policy maxGasPrice).
+ */
+
+const CHECK_INTERVAL_MS = 5000
+const CONSUMED_CHECKS_BEFORE_GIVING_UP = 3 // Nonce used but none of our hashes mined (RPC lag tolerance)
+
+const DEFAULT_OPTIONS = {
+  stuckAfterMs: 90 * 1000,
+  bumpPercent: 15, // Nodes require at least +10% on both fee fields to accept a replacement
+  maxBumps: 3,
+  feeCeiling: null // wei, null = no ceiling
+}
+
+class NonceManager {
+  constructor(address, { getOptions = async () => DEFAULT_OPTIONS, fillGap = null, log = console.log } = {}) {
+    this.address = address
+    this.getOptions = getOptions
+    this.fillGap = fillGap
+    this.log = log
+    this.nextNonce = null // null = read from chain on next allocation
+    this.released = new Map() // nonce -> released at (ms), allocated but never broadcast
+    this.queue = Promise.resolve() // Serializes allocations
+    this.inFlight = new Map() // nonce -> entry
+    this.monitorInterval = null
+    this.isChecking = false
+  }
+
+  /**
+   * Allocate the next nonce
+   */
+  next(provider) {
+    const allocation = this.queue.then(async () => {
+      const pendingCount = await provider.getTransactionCount(this.address, 'pending')
+
+      // Reuse released nonces first (lowest first) - below the pending count they were used elsewhere
+      for (const nonce of [...this.released.keys()].sort((a, b) => a - b)) {
+        this.released.delete(nonce)
+        if (nonce >= pendingCount) {
+          return nonce
+        }
+      }
+
+      const nonce = this.nextNonce === null ? pendingCount : Math.max(pendingCount, this.nextNonce)
+      this.nextNonce = nonce + 1
+      return nonce
+    })
+
+    // A failed RPC read must not block later allocations
+    this.queue = allocation.catch(() => {})
+    return allocation
+  }
+
+  /**
+   * Hand back a nonce whose send failed before it was broadcast
+   */
+  release(nonce) {
+    this.released.set(Number(nonce), Date.now())
+  }
+
+  /**
+   * Track a broadcast transaction until it (or a replacement) is mined
+   * @param {object} tx - the populated transaction that was signed (nonce, fees, calldata)
+   * @param {object} options
+   * @param {string} options.hash - broadcast hash
+   * @param {string} options.action - label shown in the pending list
+   * @param {object} options.provider - provider used to watch for the receipt
+   * @param {(tx: object) => Promise<string>} options.resend - signs and broadcasts a replacement, returns its hash
+   * @returns {() => Promise<object>} wait function resolving with the mined receipt
+   */
+  track(tx, { hash, action, provider, resend }) {
+    const entry = {
+      nonce: Number(tx.nonce),
+      action,
+      tx,
+      hashes: [hash],
+      cancelHash: null,
+      provider,
+      resend,
+      sentAt: Date.now(),
+      lastBroadcastAt: Date.now(),
+      bumps: 0,
+      stuck: false,
+      atFeeCeiling: false, // A further bump would exceed the policy ceiling
+      consumedChecks: 0,
+      waitSettled: false
+    }
+
+    entry.receipt = new Promise((resolve, reject) => {
+      entry.resolve = resolve
+      entry.reject = reject
+    })
+    // Nobody may be waiting (e.g. plain sends) - don't surface an unhandled rejection
+    entry.receipt.catch(() => {})
+
+    this.inFlight.set(entry.nonce, entry)
+    this.startMonitor()
+
+    return () => entry.receipt
+  }
+
+  list() {
+    return [...this.inFlight.values()]
+      .sort((a, b) => a.nonce - b.nonce)
+      .map(entry => ({
+        nonce: entry.nonce,
+        action: entry.action,
+        to: entry.tx.to,
+        hash: entry.hashes[entry.hashes.length - 1],
+        replacedHashes: entry.hashes.slice(0, -1),
+        cancelHash: entry.cancelHash,
+        bumps: entry.bumps,
+        stuck: entry.stuck,
+        sentAt: new Date(entry.sentAt).toISOString(),
+        lastBroadcastAt: new Date(entry.lastBroadcastAt).toISOString(),
+        ...formatFees(entry.cancelTx || entry.tx)
+      }))
+  }
+
+  /**
+   * Replace a pending transaction with a 0-value transfer to self at the same nonce
+   * Its wait() rejects once the cancellation is mined
+   */
+  async cancel(nonce) {
+    const entry = this.inFlight.get(Number(nonce))
+    if (!entry) {
+      throw new Error(`No pending transaction with nonce ${nonce}`)
+    }
+
+    const options = { ...DEFAULT_OPTIONS, ...await this.getOptions() }
+    const feeData = await entry.provider.getFeeData().catch(() => ({}))
+    const cancelTx = {
+      type: entry.tx.type,
+      chainId: entry.tx.chainId,
+      nonce: entry.nonce,
+      from: this.address,
+      to: this.address,
+      value: 0n,
+      data: '0x',
+      gasLimit: 21000n,
+      ...bumpFees(entry.cancelTx || entry.tx, feeData, options.bumpPercent)
+    }
+
+    if (!isWithinFeeCeiling(cancelTx, options.feeCeiling)) {
+      throw new Error(`Cancelling nonce ${entry.nonce} needs fees above policy maxGasPrice - refusing to sign`)
+    }
+
+    const hash = await entry.resend(cancelTx)
+    entry.cancelTx = cancelTx
+    entry.cancelHash = hash
+    entry.lastBroadcastAt = Date.now()
+    this.log(`🚫 Cancelling ${entry.action} (nonce ${entry.nonce}) with 0-value self-transfer ${hash}`, 'warn')
+    return { nonce: entry.nonce, cancelHash: hash }
+  }
+
+  startMonitor() {
+    if (this.monitorInterval) {
+      return
+    }
+
+    this.monitorInterval = setInterval(async () => {
+      if (this.isChecking) {
+        return
+      }
+      this.isChecking = true
+      try {
+        await this.checkPending()
+      } catch (error) {
+        this.log(`⚠️  Pending transaction check failed: ${error.message}`, 'warn')
+      } finally {
+        this.isChecking = false
+      }
+
+      if (this.inFlight.size === 0) {
+        clearInterval(this.monitorInterval)
+        this.monitorInterval = null
+      }
+    }, CHECK_INTERVAL_MS)
+  }
+
+  async checkPending() {
+    const options = { ...DEFAULT_OPTIONS, ...await this.getOptions() }
+    await this.fillGaps(options)
+
+    for (const entry of [...this.inFlight.values()]) {
+      const receipt = await this.findReceipt(entry)
+      if (receipt) {
+        this.settle(entry, receipt)
+        continue
+      }
+
+      // Mined by a transaction we never saw (e.g. sent from another wallet app)
+      const minedCount = await entry.provider.getTransactionCount(this.address, 'latest')
+      if (minedCount > entry.nonce) {
+        entry.consumedChecks++
+        if (entry.consumedChecks >= CONSUMED_CHECKS_BEFORE_GIVING_UP) {
+          this.inFlight.delete(entry.nonce)
+          this.rejectWaiters(entry, new Error(`Nonce ${entry.nonce} was used by another transaction - ${entry.action} ${entry.hashes[0]} was dropped`))
+        }
+        continue
+      }
+
+      if (Date.now() - entry.lastBroadcastAt < options.stuckAfterMs) {
+        continue
+      }
+
+      if (entry.cancelHash || entry.bumps >= options.maxBumps || entry.atFeeCeiling) {
+        if (!entry.stuck) {
+          entry.stuck = true
+          this.log(`⚠️  ${entry.action} (nonce ${entry.nonce}) still pending after ${entry.bumps} fee bump(s) - cancel it from the dashboard if it stays stuck`, 'warn')
+          this.rejectWaiters(entry, new Error(`Transaction ${entry.hashes[entry.hashes.length - 1]} still pending after ${entry.bumps} fee bump(s)`))
+        }
+        continue
+      }
+
+      await this.bump(entry, options)
+    }
+  }
+
+  /**
+   * Released nonces nobody reused: fill the ones later in-flight nonces are waiting behind
+   * (no later nonce in flight = no gap yet, the next allocation takes it)
+   */
+  async fillGaps(options) {
+    const highestInFlight = Math.max(-1, ...this.inFlight.keys())
+    const provider = [...this.inFlight.values()][0]?.provider
+
+    for (const [nonce, releasedAt] of [...this.released]) {
+      if (nonce > highestInFlight || !this.fillGap || Date.now() - releasedAt < options.stuckAfterMs) {
+        continue
+      }
+
+      this.released.delete(nonce)
+      // Used after all (e.g. the failed send did reach the mempool) - nothing to fill
+      if (await provider.getTransactionCount(this.address, 'pending') > nonce) {
+        continue
+      }
+
+      try {
+        const hash = await this.fillGap(nonce)
+        this.log(`🧩 Filled unused nonce ${nonce} with 0-value self-transfer ${hash} - later transactions were waiting behind it`, 'warn')
+      } catch (error) {
+        this.log(`⚠️  Could not fill unused nonce ${nonce}: ${error.shortMessage || error.message}`, 'warn')
+        this.released.set(nonce, Date.now())
+      }
+    }
+  }
+
+  async findReceipt(entry) {
+    for (const hash of [...entry.hashes, entry.cancelHash].filter(Boolean)) {
+      const receipt = await entry.provider.getTransactionReceipt(hash).catch(() => null)
+      if (receipt) {
+        return receipt
+      }
+    }
+    return null
+  }
+
+  async bump(entry, options) {
+    const feeData = await entry.provider.getFeeData().catch(() => ({}))
+    const replacement = { ...entry.tx, ...bumpFees(entry.tx, feeData, options.bumpPercent) }
+
+    if (!isWithinFeeCeiling(replacement, options.feeCeiling)) {
+      entry.atFeeCeiling = true
+      this.log(`⚠️  ${entry.action} (nonce ${entry.nonce}) is stuck but a fee bump would exceed policy maxGasPrice - not replacing`, 'warn')
+      return
+    }
+
+    try {
+      const hash = await entry.resend(replacement)
+      entry.tx = replacement
+      entry.hashes.push(hash)
+      entry.bumps++
+      entry.lastBroadcastAt = Date.now()
+      this.log(`⛽ ${entry.action} (nonce ${entry.nonce}) pending ${Math.round((Date.now() - entry.sentAt) / 1000)}s - replaced with +${options.bumpPercent}% fees: ${hash}`, 'warn')
+    } catch (error) {
+      // Usually "already known" / "nonce too low" (mined meanwhile) - the next check settles it
+      this.log(`⚠️  Fee bump for nonce ${entry.nonce} failed: ${error.shortMessage || error.message}`, 'warn')
+      entry.lastBroadcastAt = Date.now()
+    }
+  }
+
+  settle(entry, receipt) {
+    this.inFlight.delete(entry.nonce)
+
+    if (entry.cancelHash && receipt.hash === entry.cancelHash) {
+      this.log(`🚫 ${entry.action} (nonce ${entry.nonce}) cancelled in block ${receipt.blockNumber}`)
+      this.rejectWaiters(entry, new Error(`Transaction cancelled (nonce ${entry.nonce} used by self-transfer ${entry.cancelHash})`))
+      return
+    }
+
+    if (entry.hashes.length > 1) {
+      this.log(`✅ ${entry.action} (nonce ${entry.nonce}) mined as replacement ${receipt.hash}`)
+    }
+    if (!entry.waitSettled) {
+      entry.waitSettled = true
+      entry.resolve(receipt)
+    }
+  }
+
+  rejectWaiters(entry, error) {
+    if (!entry.waitSettled) {
+      entry.waitSettled = true
+      entry.reject(error)
+    }
+  }
+}
+
+/**
+ * Fee fields raised by bumpPercent (and to at least the current network fees)
+ */
+function bumpFees(tx, feeData, bumpPercent) {
+  const bump = value => (BigInt(value) * BigInt(100 + bumpPercent)) / 100n + 1n
+  const atLeast = (value, floor) => (floor !== null && floor !== undefined && BigInt(floor) > value ? BigInt(floor) : value)
+
+  if (tx.maxFeePerGas !== null && tx.maxFeePerGas !== undefined) {
+    const maxPriorityFeePerGas = atLeast(bump(tx.maxPriorityFeePerGas ?? 0n), feeData.maxPriorityFeePerGas)
+    const maxFeePerGas = atLeast(bump(tx.maxFeePerGas), feeData.maxFeePerGas)
+    return {
+      maxPriorityFeePerGas,
+      maxFeePerGas: maxFeePerGas > maxPriorityFeePerGas ? maxFeePerGas : maxPriorityFeePerGas
+    }
+  }
+
+  return { gasPrice: atLeast(bump(tx.gasPrice ?? 0n), feeData.gasPrice) }
+}
+
+function formatFees(tx) {
+  const gwei = value => (value === null || value === undefined ? null : Number(BigInt(value)) / 1e9)
+  return tx.maxFeePerGas !== null && tx.maxFeePerGas !== undefined
+    ? { maxFeeGwei: gwei(tx.maxFeePerGas), priorityFeeGwei: gwei(tx.maxPriorityFeePerGas) }
+    : { gasPriceGwei: gwei(tx.gasPrice) }
+}
+
+export default NonceManager
@@ -0,0 +1,259 @@
+// Copyright (c) 2025 Bulwk. All rights reserved.
+// Licensed under Bulwk Proprietary License
+// Full terms: ipfs://QmeHNrhouvtuaoMF93uCMf6rLJCmGu7fP8Tq8MmUntMN3D
+
+/**
+ * Declarative policy rules for intent validation
+ *
+ * Each rule has an id, a severity and a check(intent, policy, context) that
+ * returns null when the rule passes or a human-readable message when violated.
+ * 'critical' and 'error' violations block the intent, 'warning' is reported only.
+ */
+
+import { resolveSchedule, isWithinSchedule, getNextWindow, describeSchedule } from './trading-schedule.js'
+
+export const SEVERITY = {
+  CRITICAL: 'critical',
+  ERROR: 'error',
+  WARNING: 'warning'
+}
+
+const DEADLINE_MARGIN_SECS = 30 // Warn when an intent arrives with less than 30s left
+
+export const POLICY_RULES = [
+  {
+    id: 'automation_enabled',
+    severity: SEVERITY.ERROR,
+    description: 'Automation must be enabled',
+    check(intent, policy) {
+      if (policy.automation?.autoRebalancing === false) {
+        return 'Automation disabled'
+      }
+      return null
+    }
+  },
+  {
+    id: 'emergency_stop',
+    severity: SEVERITY.CRITICAL,
+    description: 'LOGIC balance must stay above the emergency stop threshold',
+    check(intent, policy) {
+      if (!policy.spending?.emergencyStopEnabled || policy.spending?.currentBalance === undefined) {
+        return null
+      }
+
+      const balance = policy.spending.currentBalance
+      const threshold = policy.spending.emergencyStopThreshold || 5
+
+      if (balance < threshold) {
+        return `LOGIC balance ${balance.toFixed(2)} below emergency threshold ${threshold}`
+      }
+      return null
+    }
+  },
+  {
+    id: 'trading_schedule',
+    severity: SEVERITY.ERROR,
+    description: 'Intent must arrive within the trading schedule (evaluated in the schedule timezone)',
+    check(intent, policy, context) {
+      let resolved
+      try {
+        resolved = resolveSchedule(policy)
+      } catch (error) {
+        return `Invalid trading schedule: ${error.message}`
+      }
+
+      if (!resolved) {
+        return null
+      }
+
+      const now = context.now || new Date()
+      if (isWithinSchedule(resolved.schedule, now).open) {
+        return null
+      }
+
+      const next = getNextWindow(resolved.schedule, now)
+      return `Outside trading schedule ${describeSchedule(resolved.schedule)}` +
+        (next ? `, next window opens ${next.start}` : ', no upcoming window')
+    }
+  },
+  {
+    id: 'max_gas_price',
+    severity: SEVERITY.ERROR,
+    description: 'Intent max fee must not exceed the policy gas ceiling',
+    check(intent, policy) {
+      if (!intent.constraints?.maxFeePerGas || !policy.network?.maxGasPrice) {
+        return null
+      }
+
+      const intentGasPrice = parseInt(intent.constraints.maxFeePerGas)
+      const policyMaxGas = parseInt(policy.network.maxGasPrice)
+
+      if (intentGasPrice > policyMaxGas) {
+        return `Gas price ${intentGasPrice} exceeds limit ${policyMaxGas}`
+      }
+      return null
+    }
+  },
+  {
+    id: 'max_slippage',
+    severity: SEVERITY.ERROR,
+    description: 'Intent slippage must not exceed the policy maximum',
+    check(intent, policy) {
+      if (!intent.recipe?.slippageBps || !policy.network?.maxSlippageBps) {
+        return null
+      }
+
+      if (intent.recipe.slippageBps > policy.network.maxSlippageBps) {
+        return `Slippage ${intent.recipe.slippageBps} bps exceeds limit ${policy.network.maxSlippageBps} bps`
+      }
+      return null
+    }
+  },
+  {
+    id: 'action_allowed',
+    severity: SEVERITY.ERROR,
+    description: 'Intent action must be in the policy allowedActions list (when set)',
+    check(intent, policy) {
+      if (!Array.isArray(policy.allowedActions)) {
+        return null
+      }
+
+      if (!policy.allowedActions.includes(intent.action)) {
+        return `Action ${intent.action} not in allowed actions (${policy.allowedActions.join(', ') || 'none'})`
+      }
+      return null
+    }
+  },
+  {
+    id: 'tx_rate_limit',
+    severity: SEVERITY.ERROR,
+    description: 'Intent must fit in the maxTxPerHour / maxTxPerDay budget left after queued intents',
+    check(intent, policy, context) {
+      if (!context.txRate) {
+        return null
+      }
+
+      const { usage, required } = context.txRate
+      const exceeded = []
+      // Transactions intents admitted earlier may still send count as spent
+      const describe = window => `${window.used}${window.reserved ? ` (+${window.reserved} reserved)` : ''}/${window.limit}`
+
+      if (usage.hour.used + (usage.hour.reserved || 0) + required > usage.hour.limit) {
+        exceeded.push(`hourly ${describe(usage.hour)}`)
+      }
+      if (usage.day.used + (usage.day.reserved || 0) + required > usage.day.limit) {
+        exceeded.push(`daily ${describe(usage.day)}`)
+      }
+
+      if (exceeded.length > 0) {
+        return `Needs ~${required} tx(s) but would exceed ${exceeded.join(' and ')} transaction cap`
+      }
+      return null
+    }
+  },
+  {
+    id: 'max_intent_usd',
+    severity: SEVERITY.ERROR,
+    description: 'Intent notional value (priced from pool slot0) must not exceed maxIntentUsd',
+    check(intent, policy, context) {
+      if (!policy.maxIntentUsd || !context.notional) {
+        return null
+      }
+
+      if (context.notional.error) {
+        return `Could not value intent: ${context.notional.error}`
+      }
+
+      if (context.notional.usd > policy.maxIntentUsd) {
+        return `Intent moves ~$${context.notional.usd.toFixed(2)} (${context.notional.basis}), above maxIntentUsd $${policy.maxIntentUsd}`
+      }
+      return null
+    }
+  },
+  {
+    id: 'max_daily_usd',
+    severity: SEVERITY.ERROR,
+    description: 'Notional value moved in the last 24h (including this intent) must not exceed maxDailyUsd',
+    check(intent, policy, context) {
+      if (!policy.maxDailyUsd || !context.notional) {
+        return null
+      }
+
+      if (context.notional.error) {
+        return `Could not value intent: ${context.notional.error}`
+      }
+
+      const total = context.notional.dailyUsed + context.notional.usd
+      if (total > policy.maxDailyUsd) {
+        return `Intent moves ~$${context.notional.usd.toFixed(2)}, 24h total would be $${total.toFixed(2)}, above maxDailyUsd $${policy.maxDailyUsd}`
+      }
+      return null
+    }
+  },
+  {
+    id: 'subscription_active',
+    severity: SEVERITY.WARNING,
+    description: 'Subscription should not be expired',
+    check(intent, policy, context) {
+      if (!policy.subscription?.expiresAt) {
+        return null
+      }
+
+      const now = (context.now || new Date()).getTime()
+      if (new Date(policy.subscription.expiresAt).getTime() < now) {
+        return `Subscription expired at ${policy.subscription.expiresAt}`
+      }
+      return null
+    }
+  },
+  {
+    id: 'deadline_margin',
+    severity: SEVERITY.WARNING,
+    description: 'Intent should leave enough time before its deadline to execute',
+    check(intent, policy, context) {
+      if (!intent.deadline) {
+        return null
+      }
+
+      const nowSecs = Math.floor((context.now || new Date()).getTime() / 1000)
+      const remaining = intent.deadline - nowSecs
+
+      if (remaining < DEADLINE_MARGIN_SECS) {
+        return `Only ${remaining}s left before intent deadline`
+      }
+      return null
+    }
+  }
+]
+
+/**
+ * Run every rule and collect all violations (does not stop at the first one)
+ */
+export function evaluatePolicy(intent, policy, context = {}) {
+  const violations = []
+
+  for (const rule of POLICY_RULES) {
+    const message = rule.check(intent, policy, context)
+    if (message) {
+      violations.push({ id: rule.id, severity: rule.severity, message })
+    }
+  }
+
+  return {
+    intentId: intent.intentId,
+    action: intent.action,
+    passed: !violations.some(v => v.severity !== SEVERITY.WARNING),
+    violations,
+    evaluatedAt: new Date().toISOString()
+  }
+}
+
+/**
+ * One-line summary of blocking violations for rejection reasons
+ */
+export function formatViolations(result) {
+  return result.violations
+    .filter(v => v.severity !== SEVERITY.WARNING)
+    .map(v => `[${v.id}] ${v.message}`)
+    .join('; ')
+}
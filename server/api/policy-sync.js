@@ -6,6 +6,9 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 
+// Keys configured locally (not by the platform) - kept when a synced policy replaces policy.json
+const LOCAL_POLICY_KEYS = ['maxTxPerHour', 'maxTxPerDay', 'schedule', 'maxIntentUsd', 'maxDailyUsd'];
+
 class PolicySync {
   constructor(platformUrl, walletAddress) {
     this.platformUrl = platformUrl;
@@ -68,10 +71,11 @@ class PolicySync {
         return;
       }
 
-      const newPolicy = await response.json();
+      const platformPolicy = await response.json();
 
       // Check if policy changed
       const currentPolicy = this.loadLocalPolicy();
+      const newPolicy = this.mergeLocalKeys(currentPolicy, platformPolicy);
       const policyChanged = this.hasPolicyChanged(currentPolicy, newPolicy);
 
       if (policyChanged) {
@@ -127,6 +131,23 @@ class PolicySync {
     return oldStr !== newStr;
   }
 
+  // Keys the operator sets locally: numeric caps take the stricter of the local and platform
+  // values, anything else (schedule) keeps the local value - the platform can't loosen them
+  mergeLocalKeys(localPolicy, platformPolicy) {
+    const merged = { ...platformPolicy };
+    for (const key of LOCAL_POLICY_KEYS) {
+      const local = localPolicy?.[key];
+      if (local === undefined || local === null) {
+        continue;
+      }
+      const platform = merged[key];
+      merged[key] = typeof local === 'number' && typeof platform === 'number'
+        ? Math.min(local, platform)
+        : local;
+    }
+    return merged;
+  }
+
   normalizePolicy(policy) {
     if (!policy) return {};
 
@@ -141,7 +162,11 @@ class PolicySync {
     console.log(`  - Max Daily LOGIC: ${policy.spending?.maxDailyLogic}`);
     console.log(`  - Emergency Stop: ${policy.spending?.emergencyStopEnabled} (threshold: ${policy.spending?.emergencyStopThreshold} LOGIC)`);
     console.log(`  - Subscription Plan: ${policy.subscription?.plan}`);
-    console.log(`  - Allowed Hours: ${policy.subscription?.allowedHours?.join('-')}`);
+    if (policy.subscription?.schedule) {
+      console.log(`  - Schedule: ${policy.subscription.schedule.windows?.length || 0} window(s) (${policy.subscription.schedule.timezone || 'UTC'})`);
+    } else {
+      console.log(`  - Allowed Hours: ${policy.subscription?.allowedHours?.join('-')}`);
+    }
     console.log(`  - Current Balance: ${policy.spending?.currentBalance?.toFixed(2)} LOGIC`);
   }
 
@@ -0,0 +1,350 @@
+// Copyright (c) 2025 Bulwk. All rights reserved.
+// Licensed under Bulwk Proprietary License
+// Full terms: ipfs://QmeHNrhouvtuaoMF93uCMf6rLJCmGu7fP8Tq8MmUntMN3D
+
+import fs from 'fs'
+import path from 'path'
+import os from 'os'
+import { Contract, Interface, ZeroAddress, toBeHex, zeroPadValue } from 'ethers'
+
+/**
+ * Local index of the wallet's NFPM positions, built from chain events only
+ *
+ * Backfills from the wallet's first transaction (found by binary search over the
+ * historical nonce, or from the current head when the RPC has no archive state),
+ * then follows new blocks FINALITY_LAG_BLOCKS behind the head so shallow reorgs
+ * never reach the store. Indexed events:
+ * - Transfer to / from the wallet (mint, burn, transfer in / out)
+ * - IncreaseLiquidity, DecreaseLiquidity, Collect of every position ever held
+ * Progress is saved after each block range, so a restart resumes where it stopped.
+ */
+
+const FOLLOW_INTERVAL_MS = 15000
+const FINALITY_LAG_BLOCKS = 5
+const MAX_RANGE_BLOCKS = 10000
+const MIN_RANGE_BLOCKS = 100
+const TOKEN_IDS_PER_QUERY = 50 // OR-ed tokenId topics per eth_getLogs
+
+const NFPM_EVENTS = new Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+  'event IncreaseLiquidity(uint256 indexed tokenId, uint128 liquidity, uint256 amount0, uint256 amount1)',
+  'event DecreaseLiquidity(uint256 indexed tokenId, uint128 liquidity, uint256 amount0, uint256 amount1)',
+  'event Collect(uint256 indexed tokenId, address recipient, uint256 amount0, uint256 amount1)'
+])
+const TOPICS = {
+  Transfer: NFPM_EVENTS.getEvent('Transfer').topicHash,
+  IncreaseLiquidity: NFPM_EVENTS.getEvent('IncreaseLiquidity').topicHash,
+  DecreaseLiquidity: NFPM_EVENTS.getEvent('DecreaseLiquidity').topicHash,
+  Collect: NFPM_EVENTS.getEvent('Collect').topicHash
+}
+const POSITIONS_ABI = ['function positions(uint256 tokenId) view returns (address token0, address token1, int24 tickSpacing, int24 tickLower, int24 tickUpper, uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, uint128 tokensOwed0, uint128 tokensOwed1)']
+
+// Block of the event that took the position out of the wallet (-1 while it is still held)
+function getClosedBlock(position) {
+  const closing = position.events.findLast(event => event.type === 'Burn' || event.type === 'TransferOut')
+  return position.status === 'open' || !closing ? -1 : closing.blockNumber
+}
+
+class PositionIndexer {
+  /**
+   * @param {object} options
+   * @param {() => Promise<object>} options.getProvider
+   * @param {string} options.nfpmAddress
+   * @param {string} options.walletAddress
+   * @param {(message: string, level?: string) => void} [options.log]
+   */
+  constructor({ getProvider, nfpmAddress, walletAddress, log = console.log }, filePath = path.join(os.homedir(), '.balancer', 'position-index.json')) {
+    this.getProvider = getProvider
+    this.nfpmAddress = nfpmAddress
+    this.walletAddress = walletAddress
+    this.log = log
+    this.filePath = filePath
+    this.store = this.load()
+    this.followInterval = null
+    this.syncPromise = null
+    this.rangeBlocks = MAX_RANGE_BLOCKS // Halved when an RPC refuses a range
+    this.blockTimes = new Map()
+  }
+
+  emptyStore() {
+    return { wallet: this.walletAddress, startBlock: null, lastBlock: null, backfilledAt: null, positions: {} }
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return this.emptyStore()
+      }
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+      // Index of another wallet (re-imported keystore) - start over
+      if (data.wallet?.toLowerCase() !== this.walletAddress.toLowerCase()) {
+        return this.emptyStore()
+      }
+      return { ...this.emptyStore(), ...data }
+    } catch (error) {
+      console.error('❌ Error loading position index:', error.message)
+      return this.emptyStore()
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+      fs.writeFileSync(this.filePath, JSON.stringify(this.store, null, 2))
+    } catch (error) {
+      console.error('❌ Error saving position index:', error.message)
+    }
+  }
+
+  start() {
+    if (this.followInterval) {
+      return
+    }
+    this.followInterval = setInterval(() => this.sync(), FOLLOW_INTERVAL_MS)
+    this.sync()
+  }
+
+  stop() {
+    if (this.followInterval) {
+      clearInterval(this.followInterval)
+      this.followInterval = null
+    }
+  }
+
+  /**
+   * Index everything up to the finalized head (coalesced; errors are logged, progress kept)
+   */
+  sync() {
+    if (this.syncPromise) {
+      return this.syncPromise
+    }
+
+    this.syncPromise = (async () => {
+      try {
+        const provider = await this.getProvider()
+        const target = await provider.getBlockNumber() - FINALITY_LAG_BLOCKS
+
+        if (this.store.lastBlock === null) {
+          this.store.startBlock = await this.findStartBlock(provider, target)
+          this.store.lastBlock = this.store.startBlock - 1
+          this.log(`📚 Indexing NFPM positions from block ${this.store.startBlock}`)
+        }
+
+        const backfilling = !this.store.backfilledAt
+        while (this.store.lastBlock < target && this.followInterval) {
+          const fromBlock = this.store.lastBlock + 1
+          const toBlock = Math.min(target, fromBlock + this.rangeBlocks - 1)
+          await this.indexRange(provider, fromBlock, toBlock)
+          this.store.lastBlock = toBlock
+          this.save()
+        }
+
+        if (backfilling && this.store.lastBlock >= target) {
+          this.store.backfilledAt = new Date().toISOString()
+          this.save()
+          this.log(`📚 Position index backfilled to block ${this.store.lastBlock} (${Object.keys(this.store.positions).length} position(s))`)
+        }
+      } catch (error) {
+        this.log(`⚠️  Position indexing stopped at block ${this.store.lastBlock}: ${error.shortMessage || error.message}`, 'warn')
+      } finally {
+        this.syncPromise = null
+      }
+    })()
+
+    return this.syncPromise
+  }
+
+  /**
+   * First block where the wallet had sent a transaction - nothing to index before it
+   * (every position is minted by a wallet transaction; ones received by transfer later are still caught)
+   */
+  async findStartBlock(provider, head) {
+    try {
+      if (await provider.getTransactionCount(this.walletAddress, head) === 0) {
+        return head
+      }
+      let low = 0
+      let high = head
+      while (low < high) {
+        const middle = Math.floor((low + high) / 2)
+        if (await provider.getTransactionCount(this.walletAddress, middle) > 0) {
+          high = middle
+        } else {
+          low = middle + 1
+        }
+      }
+      return low
+    } catch (error) {
+      this.log(`⚠️  RPC has no historical state (${error.shortMessage || error.message}) - position history starts at block ${head}`, 'warn')
+      return head
+    }
+  }
+
+  async indexRange(provider, fromBlock, toBlock) {
+    let logs
+    try {
+      const wallet = zeroPadValue(this.walletAddress, 32)
+      const [received, sent] = await Promise.all([
+        provider.getLogs({ address: this.nfpmAddress, topics: [TOPICS.Transfer, null, wallet], fromBlock, toBlock }),
+        provider.getLogs({ address: this.nfpmAddress, topics: [TOPICS.Transfer, wallet], fromBlock, toBlock })
+      ])
+
+      // Positions entering the index in this range must be known before their liquidity events are queried
+      for (const log of received) {
+        this.ensurePosition(NFPM_EVENTS.parseLog(log).args.tokenId.toString())
+      }
+
+      // Liquidity / fee events only for positions that can have them here: still open, closed
+      // in (or, when re-indexing, after) this range, or moving in or out of the wallet in it
+      const movedIds = [...received, ...sent].map(log => NFPM_EVENTS.parseLog(log).args.tokenId.toString())
+      const tokenIds = Object.values(this.store.positions)
+        .filter(position => position.status === 'open' || movedIds.includes(position.tokenId) || getClosedBlock(position) >= fromBlock)
+        .map(position => position.tokenId)
+      const lifecycle = []
+      for (let i = 0; i < tokenIds.length; i += TOKEN_IDS_PER_QUERY) {
+        const tokenTopics = tokenIds.slice(i, i + TOKEN_IDS_PER_QUERY).map(tokenId => toBeHex(BigInt(tokenId), 32))
+        lifecycle.push(...await provider.getLogs({
+          address: this.nfpmAddress,
+          topics: [[TOPICS.IncreaseLiquidity, TOPICS.DecreaseLiquidity, TOPICS.Collect], tokenTopics],
+          fromBlock,
+          toBlock
+        }))
+      }
+
+      logs = [...received, ...sent, ...lifecycle]
+    } catch (error) {
+      // Most public RPCs cap the eth_getLogs block range - retry smaller
+      if (this.rangeBlocks > MIN_RANGE_BLOCKS && toBlock > fromBlock) {
+        this.rangeBlocks = Math.max(MIN_RANGE_BLOCKS, Math.floor(this.rangeBlocks / 2))
+        const middle = fromBlock + Math.floor((toBlock - fromBlock) / 2)
+        await this.indexRange(provider, fromBlock, middle)
+        await this.indexRange(provider, middle + 1, toBlock)
+        return
+      }
+      throw error
+    }
+
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+    for (const log of logs) {
+      await this.applyLog(provider, log)
+    }
+  }
+
+  ensurePosition(tokenId) {
+    if (!this.store.positions[tokenId]) {
+      this.store.positions[tokenId] = {
+        tokenId,
+        status: 'open',
+        token0: null,
+        token1: null,
+        tickLower: null,
+        tickUpper: null,
+        liquidity: '0',
+        collected0: '0',
+        collected1: '0',
+        openedAt: null,
+        closedAt: null,
+        events: []
+      }
+    }
+    return this.store.positions[tokenId]
+  }
+
+  async applyLog(provider, log) {
+    const parsed = NFPM_EVENTS.parseLog(log)
+    if (!parsed) {
+      return
+    }
+
+    const tokenId = parsed.args.tokenId.toString()
+    const position = this.ensurePosition(tokenId)
+    const id = `${log.transactionHash}:${log.index}`
+    if (position.events.some(event => event.id === id)) {
+      return // Range re-indexed after a restart
+    }
+
+    const event = {
+      id,
+      type: parsed.name,
+      blockNumber: log.blockNumber,
+      txHash: log.transactionHash,
+      timestamp: await this.getBlockTime(provider, log.blockNumber)
+    }
+    const wallet = this.walletAddress.toLowerCase()
+
+    if (parsed.name === 'Transfer') {
+      const from = parsed.args.from.toLowerCase()
+      const to = parsed.args.to.toLowerCase()
+      event.type = from === ZeroAddress ? 'Mint' : to === ZeroAddress ? 'Burn' : to === wallet ? 'TransferIn' : 'TransferOut'
+      event.from = parsed.args.from
+      event.to = parsed.args.to
+
+      if (to === wallet) {
+        position.status = 'open'
+        position.openedAt = position.openedAt || event.timestamp
+        await this.loadRange(provider, position, log.blockNumber)
+      } else {
+        position.status = to === ZeroAddress ? 'burned' : 'transferred'
+        position.closedAt = event.timestamp
+      }
+    } else {
+      event.amount0 = parsed.args.amount0.toString()
+      event.amount1 = parsed.args.amount1.toString()
+
+      if (parsed.name === 'Collect') {
+        event.recipient = parsed.args.recipient
+        position.collected0 = (BigInt(position.collected0) + parsed.args.amount0).toString()
+        position.collected1 = (BigInt(position.collected1) + parsed.args.amount1).toString()
+      } else {
+        event.liquidity = parsed.args.liquidity.toString()
+        const delta = parsed.name === 'IncreaseLiquidity' ? parsed.args.liquidity : -parsed.args.liquidity
+        position.liquidity = (BigInt(position.liquidity) + delta).toString()
+      }
+    }
+
+    position.events.push(event)
+  }
+
+  /**
+   * Token pair and tick range as of the block the position arrived (burned positions can't be read later)
+   */
+  async loadRange(provider, position, blockNumber) {
+    if (position.tickLower !== null) {
+      return
+    }
+    try {
+      const nfpm = new Contract(this.nfpmAddress, POSITIONS_ABI, provider)
+      const data = await nfpm.positions(position.tokenId, { blockTag: blockNumber })
+      position.token0 = data.token0
+      position.token1 = data.token1
+      position.tickLower = Number(data.tickLower)
+      position.tickUpper = Number(data.tickUpper)
+    } catch {
+      // No archive state - the range stays unknown
+    }
+  }
+
+  async getBlockTime(provider, blockNumber) {
+    if (!this.blockTimes.has(blockNumber)) {
+      const block = await provider.getBlock(blockNumber)
+      this.blockTimes.set(blockNumber, block ? new Date(block.timestamp * 1000).toISOString() : null)
+    }
+    return this.blockTimes.get(blockNumber)
+  }
+
+  getHistory({ tokenId, status } = {}) {
+    const positions = Object.values(this.store.positions)
+      .filter(position => (!tokenId || position.tokenId === String(tokenId)) && (!status || position.status === status))
+      .sort((a, b) => (b.events[0]?.blockNumber ?? 0) - (a.events[0]?.blockNumber ?? 0))
+
+    return {
+      wallet: this.store.wallet,
+      startBlock: this.store.startBlock,
+      lastBlock: this.store.lastBlock,
+      backfilled: Boolean(this.store.backfilledAt),
+      positions
+    }
+  }
+}
+
+export default PositionIndexer
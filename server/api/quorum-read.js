@@ -0,0 +1,83 @@
+// Copyright (c) 2025 Bulwk. All rights reserved.
+// Licensed under Bulwk Proprietary License
+// Full terms: ipfs://QmeHNrhouvtuaoMF93uCMf6rLJCmGu7fP8Tq8MmUntMN3D
+
+/**
+ * Quorum reads for price-critical on-chain state
+ *
+ * The same read runs against several independent RPC endpoints and is only
+ * accepted when every answer agrees with every other one within a tolerance.
+ * A single lying or lagging RPC then stops the daemon (the read throws a
+ * QuorumError) instead of steering a rebalance, swap or deploy. Tolerances
+ * exist because healthy nodes a block apart legitimately see slightly
+ * different prices and balances.
+ */
+
+export class QuorumError extends Error {
+  constructor(message, answers = []) {
+    super(message)
+    this.name = 'QuorumError'
+    this.answers = answers
+  }
+}
+
+/**
+ * @param {object[]} providers - one provider per endpoint (no failover between them)
+ * @param {(provider) => Promise<any>} read
+ * @param {object} options
+ * @param {string} options.label - what is being read (error messages)
+ * @param {(a, b) => boolean} options.agree - whether two answers are close enough
+ * @param {(value) => string} [options.describe] - answer formatting for error messages
+ * @returns {Promise<any>} the answer of the first (healthiest) provider
+ */
+export async function readWithQuorum(providers, read, { label, agree, describe = String }) {
+  const settled = await Promise.allSettled(providers.map(provider => read(provider)))
+  const answers = settled.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value)
+
+  if (answers.length < providers.length) {
+    const failure = settled.find(outcome => outcome.status === 'rejected').reason
+    throw new QuorumError(`Quorum read of ${label} failed: ${answers.length}/${providers.length} endpoints answered (${failure.shortMessage || failure.message})`, answers)
+  }
+
+  for (let i = 0; i < answers.length; i++) {
+    for (let j = i + 1; j < answers.length; j++) {
+      if (!agree(answers[i], answers[j])) {
+        throw new QuorumError(`Quorum read of ${label} failed: endpoints disagree (${answers.map(describe).join(' vs ')})`, answers)
+      }
+    }
+  }
+
+  return answers[0]
+}
+
+function withinBps(a, b, toleranceBps) {
+  const x = BigInt(a)
+  const y = BigInt(b)
+  if (x === y) {
+    return true
+  }
+  const larger = x > y ? x : y
+  const diff = x > y ? x - y : y - x
+  return diff * 10000n <= larger * BigInt(toleranceBps)
+}
+
+/**
+ * slot0: one tick is a 1 bp price move, so the tick tolerance equals toleranceBps
+ */
+export function slot0Agreement(toleranceBps) {
+  return (a, b) => a.sqrtPriceX96 > 0n && b.sqrtPriceX96 > 0n &&
+    Math.abs(Number(a.tick) - Number(b.tick)) <= toleranceBps
+}
+
+export function amountAgreement(toleranceBps) {
+  return (a, b) => withinBps(a, b, toleranceBps)
+}
+
+/**
+ * NFPM positions(): the range must match exactly, liquidity within tolerance
+ */
+export function positionAgreement(toleranceBps) {
+  return (a, b) => Number(a.tickLower) === Number(b.tickLower) &&
+    Number(a.tickUpper) === Number(b.tickUpper) &&
+    withinBps(a.liquidity, b.liquidity, toleranceBps)
+}
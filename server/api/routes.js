@@ -4,6 +4,7 @@
 
 import { DaemonController } from './daemon-controller.js'
 import { loadTierPreferences, saveTierPreferences, validateTierPreferences } from './daemon-config.js'
+import { createWebhookAuth } from './webhook-auth.js'
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
@@ -21,6 +22,12 @@ export function setUpdateInfo(info) {
 }
 
 export function createApiRoutes(app) {
+  // Platform webhook triggers must carry an HMAC signature (secret exchanged when linking)
+  const webhookAuth = createWebhookAuth({
+    getSecret: () => daemon.getWebhookSecret(),
+    onReject: (req, reason) => daemon.log(`🚫 Refused ${req.path} webhook from ${req.ip}: ${reason}`, 'warn')
+  })
+
   // Health check
   app.get('/api/health', (req, res) => {
     res.json({ status: 'ok' })
@@ -196,6 +203,182 @@ export function createApiRoutes(app) {
     }
   })
 
+  // Dry-run an intent against the policy rule engine (nothing is executed)
+  app.post('/api/policy/evaluate', async (req, res) => {
+    try {
+      const { intent, policy } = req.body
+
+      if (!intent || typeof intent !== 'object' || !intent.action) {
+        return res.status(400).json({ error: 'intent object with an action is required' })
+      }
+
+      const result = await daemon.evaluatePolicy(intent, policy || null)
+      res.json(result)
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
+  // Transaction rate limit usage (maxTxPerHour / maxTxPerDay sliding windows)
+  app.get('/api/rate-limits', async (req, res) => {
+    try {
+      const usage = await daemon.getTxRateUsage()
+      res.json(usage)
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
+  // Current fee suggestions per preset and the policy gas price ceiling
+  app.get('/api/fees', async (req, res) => {
+    try {
+      const fees = await daemon.getFeeOverview()
+      res.json(fees)
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
+  // RPC pool health: latency, error rate and block lag per endpoint
+  app.get('/api/rpc/health', async (req, res) => {
+    try {
+      const health = await daemon.getRpcHealth()
+      res.json(health)
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
+  // Broadcast transactions not mined yet (fee bumps, cancellations)
+  app.get('/api/transactions/pending', async (req, res) => {
+    try {
+      res.json({ transactions: daemon.getPendingTransactions() })
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
+  // Replace a pending transaction with a 0-value self-transfer at the same nonce
+  app.post('/api/transactions/pending/:nonce/cancel', async (req, res) => {
+    try {
+      const result = await daemon.cancelPendingTransaction(Number(req.params.nonce))
+      res.json(result)
+    } catch (error) {
+      const status = error.message.startsWith('No pending transaction') ? 404 : 500
+      res.status(status).json({ error: error.message })
+    }
+  })
+
+  // Allowance of every known token for every known spender
+  // Query: ?tokens=0xabc,0xdef adds custom tokens to the scan
+  app.get('/api/allowances', async (req, res) => {
+    try {
+      const customTokens = req.query.tokens ? String(req.query.tokens).split(',').map(address => address.trim()).filter(Boolean) : []
+      const result = await daemon.getAllowances(customTokens)
+      res.json(result)
+    } catch (error) {
+      const status = error.message.startsWith('Invalid') ? 400 : 500
+      res.status(status).json({ error: error.message })
+    }
+  })
+
+  // Zero one allowance
+  // Body: { token: '0x...', spender: '0x...' }
+  app.post('/api/allowances/revoke', async (req, res) => {
+    try {
+      const { token, spender } = req.body || {}
+      const result = await daemon.revokeAllowance(token, spender)
+      res.json(result)
+    } catch (error) {
+      const status = error.message.startsWith('Invalid') ? 400 : 500
+      res.status(status).json({ error: error.message })
+    }
+  })
+
+  // Set every unlimited token allowance the daemon granted back to zero
+  app.post('/api/allowances/downgrade', async (req, res) => {
+    try {
+      const result = await daemon.downgradeAllowances()
+      res.json(result)
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
+  // Intents queued for execution (running first, then waiting in priority order)
+  app.get('/api/intents/queue', async (req, res) => {
+    try {
+      res.json({ queue: daemon.getIntentQueue() })
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
+  // Cancel a queued intent before it starts
+  app.delete('/api/intents/queue/:intentId', async (req, res) => {
+    try {
+      const result = await daemon.cancelQueuedIntent(req.params.intentId, req.body?.reason || undefined)
+      res.json(result)
+    } catch (error) {
+      let status = 500
+      if (error.message.startsWith('No queued intent')) {
+        status = 404
+      } else if (error.message.includes('already executing')) {
+        status = 409
+      }
+      res.status(status).json({ error: error.message })
+    }
+  })
+
+  // Intents parked for manual approval
+  app.get('/api/approvals', async (req, res) => {
+    try {
+      res.json({ approvals: daemon.listApprovals() })
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
+  app.post('/api/approvals/:intentId/approve', async (req, res) => {
+    try {
+      const result = await daemon.approveIntent(req.params.intentId)
+      res.json(result)
+    } catch (error) {
+      const status = error.message.startsWith('No intent awaiting approval') ? 404 : 500
+      res.status(status).json({ error: error.message })
+    }
+  })
+
+  app.post('/api/approvals/:intentId/reject', async (req, res) => {
+    try {
+      const result = await daemon.rejectApproval(req.params.intentId, req.body?.reason || undefined)
+      res.json(result)
+    } catch (error) {
+      const status = error.message.startsWith('No intent awaiting approval') ? 404 : 500
+      res.status(status).json({ error: error.message })
+    }
+  })
+
+  // Recent dry-run simulations and would-be receipts (newest first)
+  app.get('/api/dry-run', async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || 50, 200)
+      res.json({ records: daemon.getDryRunLog(limit) })
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
+  // Trading schedule state (open now / next allowed window)
+  app.get('/api/schedule', async (req, res) => {
+    try {
+      const schedule = await daemon.getTradingSchedule()
+      res.json(schedule)
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
   // Get daemon configuration
   app.get('/api/config', async (req, res) => {
     try {
@@ -300,6 +483,20 @@ export function createApiRoutes(app) {
     }
   })
 
+  // Get the lifecycle of every wallet position from the local NFPM event index
+  // Query: ?tokenId=123 and/or ?status=open|burned|transferred
+  app.get('/api/positions/history', async (req, res) => {
+    try {
+      const history = daemon.getPositionHistory({
+        tokenId: req.query.tokenId,
+        status: req.query.status
+      })
+      res.json(history)
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
   // Get supported networks
   app.get('/api/networks', async (req, res) => {
     try {
@@ -807,7 +1004,7 @@ export function createApiRoutes(app) {
    * Phase 1: Idle Sweep Webhook Trigger
    * Called by backend when token transfer event detected
    */
-  app.post('/idle-sweep-trigger', async (req, res) => {
+  app.post('/idle-sweep-trigger', webhookAuth, async (req, res) => {
     try {
       const { trigger, tokenAddress, toAddress, amount, timestamp } = req.body
 
@@ -815,8 +1012,8 @@ export function createApiRoutes(app) {
       console.log(`   Token: ${tokenAddress}`)
       console.log(`   To: ${toAddress}`)
 
-      // Trigger immediate idle sweep check (bypasses interval)
-      await daemon.sweepIdleBalances()
+      // Trigger immediate idle sweep check (bypasses interval, coalesced with a running sweep)
+      await daemon.triggerIdleSweep('webhook')
 
       res.json({
         success: true,
@@ -832,7 +1029,7 @@ export function createApiRoutes(app) {
    * Phase 2: Grace Period Check Webhook Trigger
    * Called by backend when pool swap event detected (price movement)
    */
-  app.post('/grace-check-trigger', async (req, res) => {
+  app.post('/grace-check-trigger', webhookAuth, async (req, res) => {
     try {
       const { trigger, poolAddress, timestamp } = req.body
 
@@ -841,11 +1038,13 @@ export function createApiRoutes(app) {
 
       // Trigger immediate grace period check (bypasses interval)
       // Grace monitor runs automatically via daemon start, this forces immediate check
-      await daemon.checkGracePeriod()
+      // A burst of swap events shares one check (coalesced in the monitor)
+      const summary = await daemon.checkGracePeriod(trigger || 'webhook')
 
       res.json({
         success: true,
-        message: 'Grace period check triggered successfully'
+        message: summary.ran ? 'Grace period check completed' : `Grace period check skipped: ${summary.reason || summary.error}`,
+        ...summary
       })
     } catch (error) {
       console.error('❌ Grace check trigger failed:', error)
@@ -857,20 +1056,23 @@ export function createApiRoutes(app) {
    * Phase 3: Intent Ready Notification
    * Called by backend when new intent created
    */
-  app.post('/intent-ready-notification', async (req, res) => {
+  app.post('/intent-ready-notification', webhookAuth, async (req, res) => {
     try {
-      const { intent, timestamp } = req.body
+      const { intent } = req.body || {}
 
       console.log(`🔔 Intent ready notification received`)
-      console.log(`   Intent ID: ${intent.intentId}`)
-      console.log(`   Action: ${intent.action}`)
+      if (intent) {
+        console.log(`   Intent ID: ${intent.intentId}`)
+        console.log(`   Action: ${intent.action}`)
+      }
 
       // Trigger immediate intent check (bypasses polling interval)
-      await daemon.checkIntents()
+      const result = await daemon.checkIntents('webhook')
 
       res.json({
         success: true,
-        message: 'Intent check triggered successfully'
+        message: 'Intent check triggered successfully',
+        ...result
       })
     } catch (error) {
       console.error('❌ Intent notification failed:', error)
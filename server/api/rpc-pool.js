@@ -0,0 +1,270 @@
+// Copyright (c) 2025 Bulwk. All rights reserved.
+// Licensed under Bulwk Proprietary License
+// Full terms: ipfs://QmeHNrhouvtuaoMF93uCMf6rLJCmGu7fP8Tq8MmUntMN3D
+
+import { FetchRequest, JsonRpcProvider, Network, keccak256 } from 'ethers'
+
+/**
+ * Health-scored pool of RPC endpoints shared by every code path of the daemon
+ *
+ * Each endpoint keeps a latency EWMA, an error-rate EWMA and its block-height lag
+ * behind the highest block seen on any endpoint (refreshed by a background probe
+ * and by eth_blockNumber calls passing through). pool.provider is a regular ethers
+ * JsonRpcProvider whose requests go to the best-scored endpoint; a request that
+ * fails at the transport level (timeout, HTTP error, rate limit, lagging node) is
+ * retried on the next endpoint, so a multi-call operation survives an endpoint
+ * dying halfway through. JSON-RPC errors from the chain itself (reverts, nonce
+ * too low, ...) are returned as-is and never trigger a failover.
+ */
+
+const PROBE_INTERVAL_MS = 15000
+const REQUEST_TIMEOUT_MS = 10000
+const EWMA_WEIGHT = 0.3 // Weight of the newest sample
+const MAX_HEALTHY_LAG_BLOCKS = 20 // Sonic produces several blocks per second
+const FAILURES_BEFORE_COOLDOWN = 3
+const COOLDOWN_MS = 60 * 1000
+
+// Score weights - lower score = preferred endpoint
+const ERROR_RATE_PENALTY_MS = 2000
+const LAG_PENALTY_MS_PER_BLOCK = 100
+
+// JSON-RPC errors that say more about the endpoint than about the request
+const ENDPOINT_ERROR_PATTERN = /rate limit|too many requests|limit exceeded|capacity|header not found|upstream|timeout|timed out/i
+const ALREADY_KNOWN_PATTERN = /already known|known transaction|already imported/i
+
+class PooledRpcProvider extends JsonRpcProvider {
+  constructor(pool, network) {
+    super(pool.endpoints[0].url, network, { staticNetwork: network })
+    this.pool = pool
+  }
+
+  async _send(payload) {
+    return this.pool.send(payload)
+  }
+}
+
+class RpcPool {
+  /**
+   * @param {string[]} urls - endpoints, in order of preference until health data exists
+   * @param {object} options
+   * @param {number} options.chainId
+   * @param {(message: string, level?: string) => void} [options.log]
+   */
+  constructor(urls, { chainId, log = console.log }) {
+    if (urls.length === 0) {
+      throw new Error('RPC pool needs at least one endpoint')
+    }
+
+    const network = Network.from(chainId)
+    this.log = log
+    this.urls = urls
+    this.endpoints = urls.map(url => {
+      const request = new FetchRequest(url)
+      request.timeout = REQUEST_TIMEOUT_MS
+      // Fail over instead of waiting out ethers' built-in 429 back-off
+      request.setThrottleParams({ maxAttempts: 1 })
+
+      return {
+        url,
+        provider: new JsonRpcProvider(request, network, { staticNetwork: network }),
+        latencyMs: null,
+        errorRate: 0,
+        requests: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        blockNumber: null,
+        lastError: null,
+        lastErrorAt: null,
+        lastSuccessAt: null,
+        cooldownUntil: 0
+      }
+    })
+    this.highestBlock = null
+    this.nextId = 1
+    this.probeInterval = null
+    this.provider = new PooledRpcProvider(this, network)
+  }
+
+  start() {
+    if (this.probeInterval) {
+      return
+    }
+    this.probe()
+    this.probeInterval = setInterval(() => this.probe(), PROBE_INTERVAL_MS)
+  }
+
+  stop() {
+    if (this.probeInterval) {
+      clearInterval(this.probeInterval)
+      this.probeInterval = null
+    }
+  }
+
+  /**
+   * Send a JSON-RPC payload (single or batch), failing over across endpoints
+   * @returns {Promise<Array>} JSON-RPC responses, as JsonRpcProvider._send returns them
+   */
+  async send(payload) {
+    const ranked = this.rank()
+    const isRawSend = !Array.isArray(payload) && payload.method === 'eth_sendRawTransaction'
+    let lastError = null
+
+    for (let i = 0; i < ranked.length; i++) {
+      const endpoint = ranked[i]
+      const startedAt = Date.now()
+
+      try {
+        const results = await endpoint.provider._send(payload)
+        const endpointError = results.find(result => result.error && ENDPOINT_ERROR_PATTERN.test(result.error.message || ''))
+        if (endpointError) {
+          throw new Error(endpointError.error.message)
+        }
+
+        this.recordSuccess(endpoint, Date.now() - startedAt)
+        if (!Array.isArray(payload) && payload.method === 'eth_blockNumber' && results[0]?.result) {
+          this.recordBlock(endpoint, Number(results[0].result))
+        }
+
+        // An earlier attempt (failed endpoint or platform proxy) already broadcast it - same hash
+        if (isRawSend && ALREADY_KNOWN_PATTERN.test(results[0]?.error?.message || '')) {
+          return [{ id: payload.id, result: keccak256(payload.params[0]) }]
+        }
+        return results
+      } catch (error) {
+        lastError = error
+        this.recordFailure(endpoint, error)
+        if (i < ranked.length - 1) {
+          this.log(`🔀 RPC ${endpoint.url} failed (${error.shortMessage || error.message}) - retrying on ${ranked[i + 1].url}`, 'warn')
+        }
+      }
+    }
+
+    throw new Error(`All RPC endpoints failed: ${lastError?.shortMessage || lastError?.message}`)
+  }
+
+  /**
+   * Endpoints best first: out of cooldown and in sync, then by score
+   * Endpoints in cooldown or lagging stay at the end as a last resort
+   */
+  rank() {
+    const now = Date.now()
+    const tier = endpoint => {
+      if (endpoint.cooldownUntil > now) {
+        return 2
+      }
+      return this.getLag(endpoint) > MAX_HEALTHY_LAG_BLOCKS ? 1 : 0
+    }
+
+    return [...this.endpoints].sort((a, b) => (tier(a) - tier(b)) || (this.score(a) - this.score(b)))
+  }
+
+  /**
+   * Direct providers (no failover) of the `count` best endpoints, for quorum reads
+   */
+  getQuorumProviders(count) {
+    if (this.endpoints.length < count) {
+      throw new Error(`Quorum of ${count} needs ${count} RPC endpoints - only ${this.endpoints.length} configured`)
+    }
+    return this.rank().slice(0, count).map(endpoint => endpoint.provider)
+  }
+
+  score(endpoint) {
+    return (endpoint.latencyMs ?? 0) +
+      endpoint.errorRate * ERROR_RATE_PENALTY_MS +
+      (this.getLag(endpoint) ?? 0) * LAG_PENALTY_MS_PER_BLOCK
+  }
+
+  getLag(endpoint) {
+    if (endpoint.blockNumber === null || this.highestBlock === null) {
+      return null
+    }
+    return this.highestBlock - endpoint.blockNumber
+  }
+
+  recordSuccess(endpoint, latencyMs) {
+    endpoint.requests++
+    endpoint.latencyMs = endpoint.latencyMs === null
+      ? latencyMs
+      : Math.round(endpoint.latencyMs * (1 - EWMA_WEIGHT) + latencyMs * EWMA_WEIGHT)
+    endpoint.errorRate *= 1 - EWMA_WEIGHT
+    endpoint.lastSuccessAt = Date.now()
+
+    if (endpoint.cooldownUntil > 0) {
+      this.log(`✅ RPC ${endpoint.url} recovered`)
+      endpoint.cooldownUntil = 0
+    }
+    endpoint.consecutiveFailures = 0
+  }
+
+  recordFailure(endpoint, error) {
+    endpoint.requests++
+    endpoint.failures++
+    endpoint.consecutiveFailures++
+    endpoint.errorRate = endpoint.errorRate * (1 - EWMA_WEIGHT) + EWMA_WEIGHT
+    endpoint.lastError = error.shortMessage || error.message
+    endpoint.lastErrorAt = Date.now()
+
+    if (endpoint.consecutiveFailures >= FAILURES_BEFORE_COOLDOWN && endpoint.cooldownUntil <= Date.now()) {
+      endpoint.cooldownUntil = Date.now() + COOLDOWN_MS
+      this.log(`⚠️  RPC ${endpoint.url} failed ${endpoint.consecutiveFailures} times in a row - deprioritized for ${COOLDOWN_MS / 1000}s`, 'warn')
+    }
+  }
+
+  recordBlock(endpoint, blockNumber) {
+    endpoint.blockNumber = blockNumber
+    if (this.highestBlock === null || blockNumber > this.highestBlock) {
+      this.highestBlock = blockNumber
+    }
+  }
+
+  /**
+   * Refresh latency and block height of every endpoint (including ones in cooldown,
+   * which is how they recover)
+   */
+  async probe() {
+    await Promise.all(this.endpoints.map(async endpoint => {
+      const startedAt = Date.now()
+      try {
+        const [response] = await endpoint.provider._send({ method: 'eth_blockNumber', params: [], id: this.nextId++, jsonrpc: '2.0' })
+        if (!response?.result) {
+          throw new Error(response?.error?.message || 'empty eth_blockNumber response')
+        }
+        this.recordSuccess(endpoint, Date.now() - startedAt)
+        this.recordBlock(endpoint, Number(response.result))
+      } catch (error) {
+        this.recordFailure(endpoint, error)
+      }
+    }))
+  }
+
+  getHealth() {
+    const now = Date.now()
+    const best = this.rank()[0]
+
+    return {
+      highestBlock: this.highestBlock,
+      activeEndpoint: best.url,
+      endpoints: this.endpoints.map(endpoint => {
+        const lag = this.getLag(endpoint)
+        const coolingDown = endpoint.cooldownUntil > now
+        return {
+          url: endpoint.url,
+          healthy: !coolingDown && (lag === null || lag <= MAX_HEALTHY_LAG_BLOCKS),
+          score: Math.round(this.score(endpoint)),
+          latencyMs: endpoint.latencyMs,
+          errorRate: Math.round(endpoint.errorRate * 1000) / 1000,
+          requests: endpoint.requests,
+          failures: endpoint.failures,
+          blockNumber: endpoint.blockNumber,
+          blockLag: lag,
+          lastError: endpoint.lastError,
+          lastErrorAt: endpoint.lastErrorAt ? new Date(endpoint.lastErrorAt).toISOString() : null,
+          lastSuccessAt: endpoint.lastSuccessAt ? new Date(endpoint.lastSuccessAt).toISOString() : null,
+          cooldownUntil: coolingDown ? new Date(endpoint.cooldownUntil).toISOString() : null
+        }
+      })
+    }
+  }
+}
+
+export default RpcPool
@@ -0,0 +1,117 @@
+// Copyright (c) 2025 Bulwk. All rights reserved.
+// Licensed under Bulwk Proprietary License
+// Full terms: ipfs://QmeHNrhouvtuaoMF93uCMf6rLJCmGu7fP8Tq8MmUntMN3D
+
+import fs from 'fs'
+import path from 'path'
+import os from 'os'
+
+const DEFAULT_RETENTION_SECS = 24 * 60 * 60 // Intents without a deadline are remembered for 24h
+
+/**
+ * Persisted record of intents already accepted for execution
+ *
+ * Keys are `intent:<intentId>` plus `jti:<jti>` / `nonce:<nonce>` when the payload
+ * carries them. Entries live until the intent's deadline - after that the
+ * verifier rejects the JWS as expired anyway, so the entry can be dropped.
+ */
+class SeenIntentStore {
+  constructor(storePath = path.join(os.homedir(), '.balancer', 'seen-intents.json')) {
+    this.storePath = storePath
+    this.entries = this.load()
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.storePath)) {
+        return {}
+      }
+      return JSON.parse(fs.readFileSync(this.storePath, 'utf8'))
+    } catch (error) {
+      console.error('❌ Error loading seen-intent store:', error.message)
+      return {}
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.storePath), { recursive: true })
+      fs.writeFileSync(this.storePath, JSON.stringify(this.entries, null, 2))
+    } catch (error) {
+      console.error('❌ Error saving seen-intent store:', error.message)
+    }
+  }
+
+  getKeys(payload) {
+    const keys = []
+    if (payload.intentId) keys.push(`intent:${payload.intentId}`)
+    if (payload.jti) keys.push(`jti:${payload.jti}`)
+    if (payload.nonce) keys.push(`nonce:${payload.nonce}`)
+    return keys
+  }
+
+  /**
+   * Return the first matching seen entry for this payload, or null
+   */
+  find(payload) {
+    this.prune()
+    for (const key of this.getKeys(payload)) {
+      if (this.entries[key]) {
+        return { key, ...this.entries[key] }
+      }
+    }
+    return null
+  }
+
+  /**
+   * Remember a payload until its deadline (seconds) passes
+   */
+  markSeen(payload) {
+    const nowSecs = Math.floor(Date.now() / 1000)
+    const expiresAt = payload.deadline || nowSecs + DEFAULT_RETENTION_SECS
+
+    for (const key of this.getKeys(payload)) {
+      this.entries[key] = {
+        intentId: payload.intentId,
+        seenAt: new Date().toISOString(),
+        expiresAt
+      }
+    }
+    this.save()
+  }
+
+  /**
+   * Drop every key recorded for an intent, so the platform can re-issue the same intentId
+   */
+  forget(intentId) {
+    let removed = 0
+    for (const [key, entry] of Object.entries(this.entries)) {
+      if (entry.intentId === intentId) {
+        delete this.entries[key]
+        removed++
+      }
+    }
+
+    if (removed > 0) {
+      this.save()
+    }
+  }
+
+  prune() {
+    const nowSecs = Math.floor(Date.now() / 1000)
+    let removed = 0
+
+    for (const [key, entry] of Object.entries(this.entries)) {
+      if (entry.expiresAt < nowSecs) {
+        delete this.entries[key]
+        removed++
+      }
+    }
+
+    if (removed > 0) {
+      this.save()
+    }
+  }
+}
+
+export default SeenIntentStore
@@ -87,3 +87,58 @@ export function encodeBurn(tokenId) {
 
   return iface.encodeFunctionData('burn', [tokenId]);
 }
+
+const NFPM_DECODE_INTERFACE = new Interface([
+  'function multicall(bytes[] data)',
+  'function decreaseLiquidity(tuple(uint256 tokenId, uint128 liquidity, uint256 amount0Min, uint256 amount1Min, uint256 deadline))',
+  'function collect(tuple(uint256 tokenId, address recipient, uint128 amount0Max, uint128 amount1Max))',
+  'function burn(uint256 tokenId)'
+]);
+
+/**
+ * Decode NFPM calldata (including multicall batches) into a flat list of calls
+ * Unrecognized selectors are returned as { name: 'unknown', selector }
+ */
+export function decodeNfpmCalls(data) {
+  if (!data || data.length < 10) {
+    return [];
+  }
+
+  const selector = data.slice(0, 10).toLowerCase();
+
+  if (selector === SHADOW_MINT_SELECTOR) {
+    const abiCoder = AbiCoder.defaultAbiCoder();
+    const values = abiCoder.decode(SHADOW_TUPLE_TYPES, '0x' + data.slice(10));
+    return [{
+      name: 'mint',
+      params: {
+        token0: values[0],
+        token1: values[1],
+        tickSpacing: Number(values[2]),
+        tickLower: Number(values[3]),
+        tickUpper: Number(values[4]),
+        amount0Desired: values[5],
+        amount1Desired: values[6],
+        amount0Min: values[7],
+        amount1Min: values[8],
+        recipient: values[9],
+        deadline: values[10]
+      }
+    }];
+  }
+
+  const parsed = NFPM_DECODE_INTERFACE.parseTransaction({ data });
+  if (!parsed) {
+    return [{ name: 'unknown', selector }];
+  }
+
+  if (parsed.name === 'multicall') {
+    return [...parsed.args[0]].flatMap(innerData => decodeNfpmCalls(innerData));
+  }
+
+  if (parsed.name === 'burn') {
+    return [{ name: 'burn', params: { tokenId: parsed.args[0] } }];
+  }
+
+  return [{ name: parsed.name, params: parsed.args[0].toObject() }];
+}
@@ -0,0 +1,256 @@
+// Copyright (c) 2025 Bulwk. All rights reserved.
+// Licensed under Bulwk Proprietary License
+// Full terms: ipfs://QmeHNrhouvtuaoMF93uCMf6rLJCmGu7fP8Tq8MmUntMN3D
+
+/**
+ * Timezone-aware trading schedules
+ *
+ * A schedule is evaluated in its own IANA timezone, independent of the host clock:
+ *
+ *   {
+ *     timezone: 'Europe/Berlin',
+ *     windows: [
+ *       { days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', end: '17:30' },
+ *       { days: ['fri', 'sat'], start: '22:00', end: '06:00' }   // overnight
+ *     ]
+ *   }
+ *
+ * - `days` is optional (defaults to every day); names or 0-6 (0 = Sunday)
+ * - `end` is exclusive; an `end` earlier than `start` runs past midnight and
+ *   belongs to the day it starts on; `start === end` means the whole day
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+const MINUTES_PER_DAY = 24 * 60
+
+const formatterCache = new Map()
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short'
+    }))
+  }
+  return formatterCache.get(timeZone)
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {}
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+  }
+}
+
+/**
+ * Offset (ms) between the timezone's wall clock and UTC at an instant
+ */
+function getOffsetMs(timestamp, timeZone) {
+  const p = getZonedParts(new Date(timestamp), timeZone)
+  const wallAsUtc = Date.UTC(p.year, p.month - 1, p.day, 0, p.minutes)
+  return wallAsUtc - Math.floor(timestamp / 60000) * 60000
+}
+
+/**
+ * UTC instant for a wall-clock time (minutes may exceed 24h) on a date in a timezone
+ */
+function zonedTimeToUtc(year, month, day, minutes, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes)
+  const firstPass = guess - getOffsetMs(guess, timeZone)
+  // Re-check: the offset may differ on the other side of a DST transition
+  return guess - getOffsetMs(firstPass, timeZone)
+}
+
+function parseTime(value, field) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value))
+  if (!match) {
+    throw new Error(`Invalid ${field} time "${value}" (expected HH:MM)`)
+  }
+
+  const hours = Number(match[1])
+  const minutes = Number(match[2])
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes !== 0)) {
+    throw new Error(`Invalid ${field} time "${value}"`)
+  }
+  return hours * 60 + minutes
+}
+
+function parseDays(days) {
+  if (days === undefined || days === null) {
+    return [0, 1, 2, 3, 4, 5, 6]
+  }
+  if (!Array.isArray(days) || days.length === 0) {
+    throw new Error('Schedule window days must be a non-empty array')
+  }
+
+  return days.map(day => {
+    const index = typeof day === 'number' ? day : WEEKDAYS.indexOf(String(day).slice(0, 3).toLowerCase())
+    if (!Number.isInteger(index) || index < 0 || index > 6) {
+      throw new Error(`Invalid weekday "${day}"`)
+    }
+    return index
+  })
+}
+
+export function getHostTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+}
+
+/**
+ * Validate and normalize a schedule (throws with a readable message if invalid)
+ */
+export function normalizeSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object') {
+    throw new Error('Schedule must be an object')
+  }
+
+  const timezone = schedule.timezone || 'UTC'
+  try {
+    getFormatter(timezone)
+  } catch {
+    throw new Error(`Unknown timezone "${timezone}"`)
+  }
+
+  if (!Array.isArray(schedule.windows) || schedule.windows.length === 0) {
+    throw new Error('Schedule needs at least one window')
+  }
+
+  return {
+    timezone,
+    windows: schedule.windows.map(scheduleWindow => {
+      const startMinutes = parseTime(scheduleWindow.start, 'start')
+      const endMinutes = parseTime(scheduleWindow.end, 'end')
+      return {
+        days: parseDays(scheduleWindow.days),
+        start: scheduleWindow.start,
+        end: scheduleWindow.end,
+        startMinutes,
+        // Same start/end = full day; end before start = runs into the next day
+        durationMinutes: endMinutes > startMinutes
+          ? endMinutes - startMinutes
+          : MINUTES_PER_DAY - startMinutes + endMinutes
+      }
+    })
+  }
+}
+
+/**
+ * Pick the schedule that applies to a policy
+ * 1. policy.schedule (configured locally)
+ * 2. policy.subscription.schedule (synced from the platform)
+ * 3. legacy policy.subscription.allowedHours [start, end] (inclusive hours)
+ */
+export function resolveSchedule(policy) {
+  if (policy?.schedule) {
+    return { source: 'policy.schedule', schedule: normalizeSchedule(policy.schedule) }
+  }
+
+  if (policy?.subscription?.schedule) {
+    return { source: 'subscription.schedule', schedule: normalizeSchedule(policy.subscription.schedule) }
+  }
+
+  if (Array.isArray(policy?.subscription?.allowedHours)) {
+    const [startHour, endHour] = policy.subscription.allowedHours
+    const pad = hour => `${String(hour).padStart(2, '0')}:00`
+    return {
+      source: 'subscription.allowedHours',
+      schedule: normalizeSchedule({
+        // Legacy hours were always evaluated on the host clock
+        timezone: policy.subscription.timezone || getHostTimezone(),
+        windows: [{ start: pad(startHour), end: pad(Math.min(endHour + 1, 24)) }]
+      })
+    }
+  }
+
+  return null
+}
+
+/**
+ * Concrete open intervals (UTC ms) for windows starting between `fromDay` and `toDay` days around `date`
+ */
+function getIntervals(schedule, date, fromDay, toDay) {
+  const today = getZonedParts(date, schedule.timezone)
+  const intervals = []
+
+  for (let offset = fromDay; offset <= toDay; offset++) {
+    const localDate = new Date(Date.UTC(today.year, today.month - 1, today.day + offset))
+    const year = localDate.getUTCFullYear()
+    const month = localDate.getUTCMonth() + 1
+    const day = localDate.getUTCDate()
+    const weekday = localDate.getUTCDay()
+
+    for (const scheduleWindow of schedule.windows) {
+      if (!scheduleWindow.days.includes(weekday)) continue
+
+      intervals.push({
+        start: zonedTimeToUtc(year, month, day, scheduleWindow.startMinutes, schedule.timezone),
+        end: zonedTimeToUtc(year, month, day, scheduleWindow.startMinutes + scheduleWindow.durationMinutes, schedule.timezone)
+      })
+    }
+  }
+
+  // Merge overlapping / touching windows so "next window" reports one continuous span
+  intervals.sort((a, b) => a.start - b.start)
+  const merged = []
+  for (const interval of intervals) {
+    const last = merged[merged.length - 1]
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end)
+    } else {
+      merged.push({ ...interval })
+    }
+  }
+  return merged
+}
+
+/**
+ * Whether trading is allowed at `date`, plus the current window if open
+ */
+export function isWithinSchedule(schedule, date = new Date()) {
+  const now = date.getTime()
+  const current = getIntervals(schedule, date, -1, 1).find(interval => interval.start <= now && now < interval.end)
+
+  return current
+    ? { open: true, window: { start: new Date(current.start).toISOString(), end: new Date(current.end).toISOString() } }
+    : { open: false, window: null }
+}
+
+/**
+ * Next window that opens after `date` (within the coming week), or null if none
+ */
+export function getNextWindow(schedule, date = new Date()) {
+  const now = date.getTime()
+  const next = getIntervals(schedule, date, -1, 8).find(interval => interval.start > now)
+
+  return next
+    ? { start: new Date(next.start).toISOString(), end: new Date(next.end).toISOString() }
+    : null
+}
+
+/**
+ * Human-readable summary, e.g. "mon-fri 09:00-17:30, fri,sat 22:00-06:00 (Europe/Berlin)"
+ */
+export function describeSchedule(schedule) {
+  const windows = schedule.windows.map(scheduleWindow => {
+    const days = scheduleWindow.days.length === 7 ? 'daily' : scheduleWindow.days.map(day => WEEKDAYS[day]).join(',')
+    return `${days} ${scheduleWindow.start}-${scheduleWindow.end}`
+  })
+  return `${windows.join(', ')} (${schedule.timezone})`
+}
@@ -0,0 +1,235 @@
+// Copyright (c) 2025 Bulwk. All rights reserved.
+// Licensed under Bulwk Proprietary License
+// Full terms: ipfs://QmeHNrhouvtuaoMF93uCMf6rLJCmGu7fP8Tq8MmUntMN3D
+
+import { Interface } from 'ethers'
+import { decodeNfpmCalls } from './shadow-encoder.js'
+
+/**
+ * Local calldata firewall
+ *
+ * Every transaction is checked against an allowlist of target contracts and the
+ * functions the daemon is expected to call on each, before it is signed. Key
+ * arguments are decoded and checked (e.g. mint/collect/swap recipients must be
+ * the daemon wallet, swaps only between the pool tokens, approvals only to known
+ * spenders). Calldata that can't be decoded is refused - including every Fly.trade
+ * (Magpie) router call, whose packed calldata has no public layout to decode.
+ * Fly swaps, and approvals to the Fly router, need an explicit `firewallAllow` entry.
+ *
+ * Zero-amount approvals (revokes) are allowed to any spender, and on any token
+ * passed as `revokeTokens` (known or scanned tokens the Dashboard can revoke on).
+ *
+ * Extra targets or selectors can be allowed via config `firewallAllow`:
+ *   [{ address: '0x...', selectors: ['0x12345678'], name: 'optional label' }]
+ * Extra selectors are allowed as-is (no argument checks).
+ */
+
+const TOKEN_INTERFACE = new Interface([
+  'function approve(address spender, uint256 amount)',
+  'function withdraw(uint256 amount)',
+  'function deposit()'
+])
+
+const ODOS_INTERFACE = new Interface([
+  'function swap(tuple(address inputToken, uint256 inputAmount, address inputReceiver, address outputToken, uint256 outputQuote, uint256 outputMin, address outputReceiver) tokenInfo, bytes pathDefinition, address executor, uint32 referralCode)'
+])
+
+const VOTER_INTERFACE = new Interface([
+  'function claimClGaugeRewards(address[] gauges, address[][] tokens, uint256[][] nfpTokenIds)',
+  'function getReward(uint256 tokenId, address[] tokens)'
+])
+
+const same = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase()
+
+// Swap direction must be one of the pool pair, either way round
+function checkSwapTokens(inputToken, outputToken, contracts) {
+  const poolTokens = [contracts.WS_TOKEN, contracts.USDC_TOKEN]
+  if (!poolTokens.some(t => same(t, inputToken)) || !poolTokens.some(t => same(t, outputToken)) || same(inputToken, outputToken)) {
+    return `swap for unexpected token pair ${inputToken} -> ${outputToken}`
+  }
+  return null
+}
+
+// approve(spender, 0) only ever takes permissions away
+const isRevoke = parsed => parsed?.name === 'approve' && parsed.args.amount === 0n
+
+function parseWith(iface, data) {
+  try {
+    return iface.parseTransaction({ data })
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Build the allowlist: lowercased address -> { name, payable, check(tx, ctx) }
+ * check returns null when allowed, or the refusal reason
+ */
+function buildRules(contracts) {
+  const spenders = [contracts.NFPM_ADDRESS, contracts.ODOS_ROUTER, contracts.FLY_ROUTER]
+
+  const tokenRule = (name, { wrapped = false } = {}) => ({
+    name,
+    payable: wrapped,
+    check(tx, ctx) {
+      const parsed = parseWith(TOKEN_INTERFACE, tx.data)
+      if (isRevoke(parsed)) {
+        return null
+      }
+      if (parsed?.name === 'approve') {
+        if (same(parsed.args.spender, contracts.FLY_ROUTER) && ctx.extraSelectors(contracts.FLY_ROUTER).length === 0) {
+          return 'approve to the Fly router without a firewallAllow entry for it'
+        }
+        return spenders.some(spender => same(spender, parsed.args.spender))
+          ? null
+          : `approve to unknown spender ${parsed.args.spender}`
+      }
+      if (wrapped && (parsed?.name === 'withdraw' || parsed?.name === 'deposit')) {
+        return null
+      }
+      return `${name} function ${tx.data.slice(0, 10)} not allowed`
+    }
+  })
+
+  return new Map([
+    [contracts.NFPM_ADDRESS.toLowerCase(), {
+      name: 'NFPM',
+      check(tx, ctx) {
+        let calls
+        try {
+          calls = decodeNfpmCalls(tx.data)
+        } catch (error) {
+          return `undecodable NFPM calldata (${error.shortMessage || error.message})`
+        }
+
+        if (calls.length === 0) {
+          return 'empty NFPM call'
+        }
+
+        for (const call of calls) {
+          const params = call.params
+
+          if (call.name === 'mint') {
+            if (!same(params.recipient, ctx.walletAddress)) {
+              return `mint recipient ${params.recipient} is not the daemon wallet`
+            }
+            const poolTokens = [contracts.WS_TOKEN, contracts.USDC_TOKEN]
+            if (!poolTokens.some(t => same(t, params.token0)) || !poolTokens.some(t => same(t, params.token1))) {
+              return `mint for unexpected token pair ${params.token0}/${params.token1}`
+            }
+          } else if (call.name === 'collect') {
+            if (!same(params.recipient, ctx.walletAddress)) {
+              return `collect recipient ${params.recipient} is not the daemon wallet`
+            }
+          } else if (call.name === 'unknown') {
+            if (!ctx.extraSelectors(contracts.NFPM_ADDRESS).includes(call.selector)) {
+              return `NFPM function ${call.selector} not allowed`
+            }
+          }
+          // decreaseLiquidity / burn: the NFPM itself only lets the owner touch a position
+        }
+        return null
+      }
+    }],
+    [contracts.POOL_ADDRESS.toLowerCase(), {
+      name: 'Pool',
+      check(tx) {
+        // Known contract, but the daemon never calls it directly (swaps go through routers)
+        return `direct pool call ${tx.data.slice(0, 10)} not allowed`
+      }
+    }],
+    [contracts.GAUGE_ADDRESS.toLowerCase(), {
+      name: 'Gauge/Voter',
+      check(tx) {
+        return parseWith(VOTER_INTERFACE, tx.data) ? null : `gauge function ${tx.data.slice(0, 10)} not allowed`
+      }
+    }],
+    [contracts.ODOS_ROUTER.toLowerCase(), {
+      name: 'Odos router',
+      check(tx, ctx) {
+        // Quotes are requested with compact: false - swapCompact and the rest can't be checked
+        const parsed = parseWith(ODOS_INTERFACE, tx.data)
+        if (parsed?.name !== 'swap') {
+          return `Odos function ${tx.data.slice(0, 10)} not allowed`
+        }
+
+        const { inputToken, outputToken, outputReceiver } = parsed.args.tokenInfo
+        if (!same(outputReceiver, ctx.walletAddress)) {
+          return `swap output receiver ${outputReceiver} is not the daemon wallet`
+        }
+        return checkSwapTokens(inputToken, outputToken, contracts)
+      }
+    }],
+    [contracts.FLY_ROUTER.toLowerCase(), {
+      name: 'Fly router',
+      // The Magpie router takes packed calldata with no public ABI, so neither the recipient nor the
+      // tokens can be decoded - only selectors listed in firewallAllow get through (checked above)
+      check(tx) {
+        return `Fly function ${tx.data.slice(0, 10)} can't be decoded - add it to firewallAllow to use Fly.trade swaps`
+      }
+    }],
+    [contracts.WS_TOKEN.toLowerCase(), tokenRule('wS', { wrapped: true })],
+    [contracts.USDC_TOKEN.toLowerCase(), tokenRule('USDC')],
+    [contracts.SHADOW_TOKEN.toLowerCase(), tokenRule('SHADOW')]
+  ])
+}
+
+/**
+ * Check a transaction request against the allowlist
+ * @returns {{ allowed: boolean, target: string|null, reason: string|null }}
+ */
+export function inspectTransaction(tx, { walletAddress, contracts, extraAllow = [], revokeTokens = [] }) {
+  if (!tx.to) {
+    return { allowed: false, target: null, reason: 'contract creation not allowed' }
+  }
+
+  const data = tx.data || '0x'
+  const selector = data.length >= 10 ? data.slice(0, 10).toLowerCase() : null
+  const extraSelectors = address => extraAllow
+    .filter(entry => same(entry.address, address))
+    .flatMap(entry => (entry.selectors || []).map(s => s.toLowerCase()))
+
+  const rule = buildRules(contracts).get(tx.to.toLowerCase())
+
+  if (BigInt(tx.value || 0) > 0n && !rule?.payable) {
+    return { allowed: false, target: rule?.name || tx.to, reason: 'native value transfer not allowed to this target' }
+  }
+
+  if (!selector) {
+    return { allowed: false, target: rule?.name || tx.to, reason: 'missing function selector' }
+  }
+
+  // Explicitly allowed extra selector (config firewallAllow)
+  if (extraSelectors(tx.to).includes(selector)) {
+    return { allowed: true, target: rule?.name || tx.to, reason: null }
+  }
+
+  if (!rule) {
+    // Revoking on a known or scanned token outside the allowlist
+    if (revokeTokens.some(token => same(token, tx.to)) && isRevoke(parseWith(TOKEN_INTERFACE, data))) {
+      return { allowed: true, target: tx.to, reason: null }
+    }
+    return { allowed: false, target: tx.to, reason: `target ${tx.to} is not on the allowlist` }
+  }
+
+  const reason = rule.check({ ...tx, data }, { walletAddress, extraSelectors })
+  return { allowed: !reason, target: rule.name, reason }
+}
+
+/**
+ * Validate config `firewallAllow` entries (throws with a readable message)
+ */
+export function validateFirewallAllow(entries) {
+  if (!Array.isArray(entries)) {
+    throw new Error('firewallAllow must be an array')
+  }
+
+  for (const entry of entries) {
+    if (!entry || !/^0x[0-9a-fA-F]{40}$/.test(entry.address || '')) {
+      throw new Error(`firewallAllow entry has an invalid address: ${entry?.address}`)
+    }
+    if (!Array.isArray(entry.selectors) || entry.selectors.some(s => !/^0x[0-9a-fA-F]{8}$/.test(s))) {
+      throw new Error(`firewallAllow entry ${entry.address} needs selectors like ["0x12345678"]`)
+    }
+  }
+}
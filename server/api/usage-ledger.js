@@ -0,0 +1,83 @@
+// Copyright (c) 2025 Bulwk. All rights reserved.
+// Licensed under Bulwk Proprietary License
+// Full terms: ipfs://QmeHNrhouvtuaoMF93uCMf6rLJCmGu7fP8Tq8MmUntMN3D
+
+import fs from 'fs'
+import path from 'path'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Persisted sliding-window ledger
+ *
+ * Stores timestamped entries on disk and answers "how many / how much in the
+ * last N ms". Entries older than the retention window are dropped on write.
+ */
+class UsageLedger {
+  constructor(filePath, retentionMs = DAY_MS) {
+    this.filePath = filePath
+    this.retentionMs = retentionMs
+    this.entries = this.load()
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return []
+      }
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+      return Array.isArray(data.entries) ? data.entries : []
+    } catch (error) {
+      console.error(`❌ Error loading usage ledger ${this.filePath}:`, error.message)
+      return []
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+      fs.writeFileSync(this.filePath, JSON.stringify({ entries: this.entries }, null, 2))
+    } catch (error) {
+      console.error(`❌ Error saving usage ledger ${this.filePath}:`, error.message)
+    }
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.retentionMs
+    this.entries = this.entries.filter(entry => entry.at >= cutoff)
+  }
+
+  /**
+   * Append an entry (amount defaults to 1 for plain counters)
+   */
+  record(details = {}, amount = 1) {
+    this.prune()
+    const entry = { at: Date.now(), amount, ...details }
+    this.entries.push(entry)
+    this.save()
+    return entry
+  }
+
+  entriesWithin(windowMs) {
+    const cutoff = Date.now() - windowMs
+    return this.entries.filter(entry => entry.at >= cutoff)
+  }
+
+  count(windowMs) {
+    return this.entriesWithin(windowMs).length
+  }
+
+  sum(windowMs) {
+    return this.entriesWithin(windowMs).reduce((total, entry) => total + (Number(entry.amount) || 0), 0)
+  }
+
+  /**
+   * When the oldest entry inside the window ages out (ms timestamp), or null if empty
+   */
+  nextExpiry(windowMs) {
+    const inWindow = this.entriesWithin(windowMs)
+    return inWindow.length > 0 ? inWindow[0].at + windowMs : null
+  }
+}
+
+export default UsageLedger
@@ -0,0 +1,93 @@
+// Copyright (c) 2025 Bulwk. All rights reserved.
+// Licensed under Bulwk Proprietary License
+// Full terms: ipfs://QmeHNrhouvtuaoMF93uCMf6rLJCmGu7fP8Tq8MmUntMN3D
+
+import crypto from 'crypto'
+
+/**
+ * HMAC authentication for platform webhooks (/idle-sweep-trigger, /grace-check-trigger,
+ * /intent-ready-notification)
+ *
+ * The platform signs `${timestamp}.${rawBody}` with HMAC-SHA256 using the secret the
+ * daemon generated and handed over when it was linked, and sends:
+ *   X-Bulwk-Timestamp: unix seconds
+ *   X-Bulwk-Signature: sha256=<hex>
+ * Requests outside the timestamp window, with a bad signature, or replaying a
+ * signature already accepted inside the window are refused with 401.
+ */
+
+export const TIMESTAMP_HEADER = 'x-bulwk-timestamp'
+export const SIGNATURE_HEADER = 'x-bulwk-signature'
+const DEFAULT_TOLERANCE_SEC = 300
+
+export function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString('hex')
+}
+
+export function signWebhookBody(secret, timestamp, rawBody = '') {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex')
+}
+
+/**
+ * Express middleware verifying the webhook signature
+ * Needs req.rawBody (captured by the express.json verify hook in index.js)
+ *
+ * @param {object} options
+ * @param {() => string|null} options.getSecret - current shared secret (null until linked)
+ * @param {(req, reason: string) => void} [options.onReject] - called for every refused request
+ * @param {number} [options.toleranceSec] - accepted clock difference / replay window
+ */
+export function createWebhookAuth({ getSecret, onReject = () => {}, toleranceSec = DEFAULT_TOLERANCE_SEC }) {
+  const acceptedSignatures = new Map() // signature -> expiry (ms)
+
+  const reject = (req, res, reason) => {
+    onReject(req, reason)
+    res.status(401).json({ error: `Webhook authentication failed: ${reason}` })
+  }
+
+  return (req, res, next) => {
+    const secret = getSecret()
+    if (!secret) {
+      return reject(req, res, 'no webhook secret established (daemon not linked)')
+    }
+
+    const timestamp = req.get(TIMESTAMP_HEADER)
+    const signatureHeader = req.get(SIGNATURE_HEADER)
+    if (!timestamp || !signatureHeader) {
+      return reject(req, res, 'missing signature headers')
+    }
+
+    const timestampSec = Number(timestamp)
+    const nowSec = Math.floor(Date.now() / 1000)
+    if (!Number.isInteger(timestampSec) || Math.abs(nowSec - timestampSec) > toleranceSec) {
+      return reject(req, res, 'timestamp outside the allowed window')
+    }
+
+    const signature = signatureHeader.replace(/^sha256=/, '').toLowerCase()
+    if (!/^[0-9a-f]{64}$/.test(signature)) {
+      return reject(req, res, 'malformed signature')
+    }
+
+    // Both sides are 32 bytes once hex-decoded, as timingSafeEqual requires
+    const expected = signWebhookBody(secret, timestamp, req.rawBody ? req.rawBody.toString('utf8') : '')
+    const valid = crypto.timingSafeEqual(Buffer.from(signature, 'hex'), Buffer.from(expected, 'hex'))
+
+    if (!valid) {
+      return reject(req, res, 'invalid signature')
+    }
+
+    const now = Date.now()
+    for (const [seen, expiresAt] of acceptedSignatures) {
+      if (expiresAt <= now) {
+        acceptedSignatures.delete(seen)
+      }
+    }
+
+    if (acceptedSignatures.has(signature)) {
+      return reject(req, res, 'replayed request')
+    }
+    acceptedSignatures.set(signature, (timestampSec + toleranceSec) * 1000)
+
+    next()
+  }
+}
@@ -31,7 +31,12 @@ app.use(cors({
   ],
   credentials: true
 }))
-app.use(express.json())
+// Keep the raw body - platform webhooks are HMAC-signed over the exact bytes sent
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf
+  }
+}))
 
 // Serve static files from dist folder (Vite build) with no-cache headers
 app.use(express.static(path.join(__dirname, '../dist'), {
@@ -40,6 +40,8 @@ class PlatformEventStream {
     this.wsUrl = null // Will be fetched from server
     this.version = getDaemonVersion()
     this.onUpdateAvailable = config.onUpdateAvailable || null // Callback for update notifications
+    this.onPolicyUpdateRequested = config.onPolicyUpdateRequested || null // Callback for update_policy
+    this.onIntentReady = config.onIntentReady || null // Callback for intent_ready
   }
 
   /**
@@ -204,11 +206,26 @@ class PlatformEventStream {
         }
         break
 
+      case 'intent_ready':
+        this.log(`📬 Intent ready${message.intentId ? `: ${message.intentId}` : ''}${message.action ? ` (${message.action})` : ''}`)
+        // Fetch intents immediately via callback
+        if (this.onIntentReady) {
+          this.onIntentReady(message)
+        }
+        break
+
       default:
         this.log('📨 Platform message:', message)
     }
   }
 
+  /**
+   * Whether the WebSocket is open (intent_ready pushes can arrive)
+   */
+  isConnected() {
+    return !!this.ws && this.ws.readyState === WebSocket.OPEN
+  }
+
   /**
    * Get current daemon version
    */
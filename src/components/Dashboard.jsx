@@ -74,6 +74,14 @@ export default function Dashboard({ status, onRefresh }) {
   const [tierDisableConfirm, setTierDisableConfirm] = useState(null) // { tierName, newState }
   const [versionInfo, setVersionInfo] = useState(null)
   const [updateDismissed, setUpdateDismissed] = useState(false)
+  const [txRateUsage, setTxRateUsage] = useState(null)
+  const [tradingSchedule, setTradingSchedule] = useState(null)
+  const [approvals, setApprovals] = useState([])
+  const [approvalBusy, setApprovalBusy] = useState(null) // intentId being approved/rejected
+  const [pendingTxs, setPendingTxs] = useState([])
+  const [cancellingNonce, setCancellingNonce] = useState(null)
+  const [allowances, setAllowances] = useState(null)
+  const [allowanceBusy, setAllowanceBusy] = useState(null) // token:spender being revoked, or 'downgrade'
 
   // Check for daemon updates periodically
   useEffect(() => {
@@ -367,6 +375,112 @@ export default function Dashboard({ status, onRefresh }) {
     }
   }, [status?.isLinked, status?.isRunning])
 
+  // Fetch transaction rate limit usage (refresh every 15 seconds)
+  useEffect(() => {
+    if (status?.isLinked && status?.isRunning) {
+      const fetchTxRateUsage = async () => {
+        try {
+          const res = await fetch('/api/rate-limits')
+          if (res.ok) {
+            const data = await res.json()
+            setTxRateUsage(data)
+          }
+        } catch (error) {
+          console.error('Failed to fetch rate limit usage:', error)
+        }
+      }
+
+      fetchTxRateUsage()
+      const interval = setInterval(fetchTxRateUsage, 15000)
+      return () => clearInterval(interval)
+    }
+  }, [status?.isLinked, status?.isRunning])
+
+  // Fetch intents awaiting approval (refresh every 5 seconds)
+  useEffect(() => {
+    if (status?.isLinked && status?.isRunning) {
+      const fetchApprovals = async () => {
+        try {
+          const res = await fetch('/api/approvals')
+          if (res.ok) {
+            const data = await res.json()
+            setApprovals(data.approvals || [])
+          }
+        } catch (error) {
+          console.error('Failed to fetch approvals:', error)
+        }
+      }
+
+      fetchApprovals()
+      const interval = setInterval(fetchApprovals, 5000)
+      return () => clearInterval(interval)
+    }
+  }, [status?.isLinked, status?.isRunning])
+
+  // Fetch broadcast transactions that are not mined yet (refresh every 5 seconds)
+  useEffect(() => {
+    if (status?.isLinked && status?.isRunning) {
+      const fetchPendingTxs = async () => {
+        try {
+          const res = await fetch('/api/transactions/pending')
+          if (res.ok) {
+            const data = await res.json()
+            setPendingTxs(data.transactions || [])
+          }
+        } catch (error) {
+          console.error('Failed to fetch pending transactions:', error)
+        }
+      }
+
+      fetchPendingTxs()
+      const interval = setInterval(fetchPendingTxs, 5000)
+      return () => clearInterval(interval)
+    }
+  }, [status?.isLinked, status?.isRunning])
+
+  // Scan token allowances of known spenders (refresh every minute)
+  const fetchAllowances = async () => {
+    try {
+      const tokens = customTokens.map(token => token.address).filter(address => /^0x[0-9a-fA-F]{40}$/.test(address || '')).join(',')
+      const res = await fetch(`/api/allowances${tokens ? `?tokens=${encodeURIComponent(tokens)}` : ''}`)
+      if (res.ok) {
+        const data = await res.json()
+        setAllowances(data.allowances || [])
+      }
+    } catch (error) {
+      console.error('Failed to fetch allowances:', error)
+    }
+  }
+
+  useEffect(() => {
+    if (status?.isLinked && status?.isRunning) {
+      fetchAllowances()
+      const interval = setInterval(fetchAllowances, 60000)
+      return () => clearInterval(interval)
+    }
+  }, [status?.isLinked, status?.isRunning, customTokens])
+
+  // Fetch trading schedule state (refresh every minute)
+  useEffect(() => {
+    if (status?.isLinked && status?.isRunning) {
+      const fetchTradingSchedule = async () => {
+        try {
+          const res = await fetch('/api/schedule')
+          if (res.ok) {
+            const data = await res.json()
+            setTradingSchedule(data)
+          }
+        } catch (error) {
+          console.error('Failed to fetch trading schedule:', error)
+        }
+      }
+
+      fetchTradingSchedule()
+      const interval = setInterval(fetchTradingSchedule, 60000)
+      return () => clearInterval(interval)
+    }
+  }, [status?.isLinked, status?.isRunning])
+
   // Fetch viewer authorizations when linked
   useEffect(() => {
     if (status?.isLinked && status?.isRunning) {
@@ -1049,6 +1163,103 @@ export default function Dashboard({ status, onRefresh }) {
     }
   }
 
+  const handleApprovalDecision = async (intentId, decision) => {
+    if (decision === 'reject' && !confirm('Reject this intent? The platform will be notified.')) {
+      return
+    }
+
+    setApprovalBusy(intentId)
+    try {
+      const res = await fetch(`/api/approvals/${encodeURIComponent(intentId)}/${decision}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+      })
+
+      if (!res.ok) {
+        const errorData = await res.json().catch(() => ({ error: 'Unknown error' }))
+        throw new Error(errorData.error || `Failed to ${decision} intent`)
+      }
+
+      setApprovals(prev => prev.filter(entry => entry.intentId !== intentId))
+    } catch (error) {
+      alert(`Failed to ${decision} intent: ` + error.message)
+    } finally {
+      setApprovalBusy(null)
+    }
+  }
+
+  const handleCancelPendingTx = async (nonce) => {
+    if (!confirm(`Cancel transaction with nonce ${nonce}? A 0-value transfer to your own wallet will replace it (costs a small gas fee).`)) {
+      return
+    }
+
+    setCancellingNonce(nonce)
+    try {
+      const res = await fetch(`/api/transactions/pending/${nonce}/cancel`, { method: 'POST' })
+
+      if (!res.ok) {
+        const errorData = await res.json().catch(() => ({ error: 'Unknown error' }))
+        throw new Error(errorData.error || 'Failed to cancel transaction')
+      }
+
+      const data = await res.json()
+      setPendingTxs(prev => prev.map(tx => (tx.nonce === nonce ? { ...tx, cancelHash: data.cancelHash } : tx)))
+    } catch (error) {
+      alert('Failed to cancel transaction: ' + error.message)
+    } finally {
+      setCancellingNonce(null)
+    }
+  }
+
+  const handleRevokeAllowance = async (entry) => {
+    if (!confirm(`Revoke ${entry.symbol} allowance for ${entry.spenderName}? This sends an approve(0) transaction (costs a small gas fee).`)) {
+      return
+    }
+
+    setAllowanceBusy(`${entry.token}:${entry.spender}`)
+    try {
+      const res = await fetch('/api/allowances/revoke', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: entry.token, spender: entry.spender })
+      })
+
+      if (!res.ok) {
+        const errorData = await res.json().catch(() => ({ error: 'Unknown error' }))
+        throw new Error(errorData.error || 'Failed to revoke allowance')
+      }
+
+      await fetchAllowances()
+    } catch (error) {
+      alert('Failed to revoke allowance: ' + error.message)
+    } finally {
+      setAllowanceBusy(null)
+    }
+  }
+
+  const handleDowngradeAllowances = async () => {
+    if (!confirm('Revoke every unlimited allowance? The daemon approves again when a transaction needs it (exact amounts in exact approval mode).')) {
+      return
+    }
+
+    setAllowanceBusy('downgrade')
+    try {
+      const res = await fetch('/api/allowances/downgrade', { method: 'POST' })
+
+      if (!res.ok) {
+        const errorData = await res.json().catch(() => ({ error: 'Unknown error' }))
+        throw new Error(errorData.error || 'Failed to downgrade allowances')
+      }
+
+      await fetchAllowances()
+    } catch (error) {
+      alert('Failed to downgrade allowances: ' + error.message)
+    } finally {
+      setAllowanceBusy(null)
+    }
+  }
+
   const handleToggleIdleSweep = async () => {
     const newValue = !idleSweepEnabled
 
@@ -1122,9 +1333,19 @@ export default function Dashboard({ status, onRefresh }) {
               <h1 className="text-2xl font-bold text-cyan-100">Trading Agent Dashboard</h1>
             </div>
 
-            <div className={`status-badge ${status?.isRunning ? 'status-online' : 'status-offline'}`}>
-              <div className={`w-2 h-2 rounded-full ${status?.isRunning ? 'bg-green-400 pulse' : 'bg-red-400'}`}></div>
-              {status?.isRunning ? 'Running' : 'Offline'}
+            <div className="flex items-center gap-2">
+              {status?.dryRun && (
+                <div
+                  className="status-badge bg-yellow-500/10 text-yellow-300 border border-yellow-500/40"
+                  title="Intent transactions are simulated - nothing is signed or sent"
+                >
+                  🧪 Dry Run
+                </div>
+              )}
+              <div className={`status-badge ${status?.isRunning ? 'status-online' : 'status-offline'}`}>
+                <div className={`w-2 h-2 rounded-full ${status?.isRunning ? 'bg-green-400 pulse' : 'bg-red-400'}`}></div>
+                {status?.isRunning ? 'Running' : 'Offline'}
+              </div>
             </div>
           </div>
 
@@ -2104,6 +2325,241 @@ export default function Dashboard({ status, onRefresh }) {
           </div>
         )}
 
+        {/* Transaction Rate Limits */}
+        {status?.isLinked && status?.isRunning && txRateUsage && (
+          <div className="card bg-zinc-900/50">
+            <div className="mb-3">
+              <h3 className="text-sm font-semibold text-cyan-100">🚦 Transaction Limits</h3>
+              <p className="text-xs text-cyan-300/70 mt-0.5">
+                New intents that would exceed these caps are refused; admitted ones always finish (set maxTxPerHour / maxTxPerDay in policy)
+              </p>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              {[
+                { label: 'Last hour', usage: txRateUsage.hour },
+                { label: 'Last 24 hours', usage: txRateUsage.day }
+              ].map(({ label, usage }) => {
+                const pct = usage.limit > 0 ? Math.min(100, (usage.used / usage.limit) * 100) : 100
+                const atCap = usage.remaining === 0
+                return (
+                  <div key={label} className="bg-black/30 border border-cyan-400/20 rounded-lg p-3">
+                    <div className="flex items-center justify-between text-xs mb-2">
+                      <span className="text-cyan-300/70">{label}</span>
+                      <span className={`font-mono ${atCap ? 'text-red-400' : 'text-cyan-100'}`}>
+                        {usage.used} / {usage.limit}
+                      </span>
+                    </div>
+                    <div className="w-full h-2 bg-zinc-800 rounded-full overflow-hidden">
+                      <div
+                        className={`h-full ${atCap ? 'bg-red-500' : pct >= 80 ? 'bg-yellow-500' : 'bg-emerald-500'}`}
+                        style={{ width: `${pct}%` }}
+                      ></div>
+                    </div>
+                    {usage.reserved > 0 && (
+                      <p className="text-xs text-cyan-300/70 mt-2">
+                        {usage.reserved} reserved for queued intents
+                      </p>
+                    )}
+                    {atCap && usage.nextSlotAt && (
+                      <p className="text-xs text-red-300/80 mt-2">
+                        Next slot at {new Date(usage.nextSlotAt).toLocaleTimeString()}
+                      </p>
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+          </div>
+        )}
+
+        {/* Approval Queue */}
+        {status?.isLinked && status?.isRunning && approvals.length > 0 && (
+          <div className="card bg-yellow-900/20 border border-yellow-500/40">
+            <div className="mb-3">
+              <h3 className="text-sm font-semibold text-yellow-100">✋ Awaiting Approval ({approvals.length})</h3>
+              <p className="text-xs text-yellow-300/70 mt-0.5">
+                These intents passed policy but need your decision before anything is sent
+              </p>
+            </div>
+
+            <div className="space-y-3">
+              {approvals.map(entry => (
+                <div key={entry.intentId} className="bg-black/30 border border-yellow-500/20 rounded-lg p-3">
+                  <div className="flex items-center justify-between mb-2">
+                    <span className="text-sm font-semibold text-white">{entry.action}</span>
+                    <span className="text-xs text-yellow-300/70">
+                      Auto-rejects {new Date(entry.expiresAt).toLocaleTimeString()}
+                    </span>
+                  </div>
+
+                  <ul className="text-xs text-cyan-100 list-disc list-inside space-y-0.5 mb-2">
+                    {(entry.plan?.steps || []).map((step, index) => (
+                      <li key={index}>{step}</li>
+                    ))}
+                  </ul>
+
+                  <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-cyan-300/70 mb-2">
+                    {entry.plan?.notionalUsd !== null && entry.plan?.notionalUsd !== undefined && (
+                      <span>Value: ~${entry.plan.notionalUsd.toFixed(2)} ({entry.plan.valuationBasis})</span>
+                    )}
+                    <span>Transactions: ~{entry.plan?.estimatedTxCount}</span>
+                    <span className="font-mono">{entry.intentId}</span>
+                  </div>
+
+                  <p className="text-xs text-yellow-300/80 mb-3">{(entry.reasons || []).join(' · ')}</p>
+
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => handleApprovalDecision(entry.intentId, 'approve')}
+                      disabled={approvalBusy === entry.intentId}
+                      className="bg-emerald-500/20 hover:bg-emerald-500/30 border border-emerald-500/40 text-emerald-200 px-3 py-1.5 rounded-lg transition-all text-xs font-medium disabled:opacity-50"
+                    >
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => handleApprovalDecision(entry.intentId, 'reject')}
+                      disabled={approvalBusy === entry.intentId}
+                      className="bg-red-500/20 hover:bg-red-500/30 border border-red-500/40 text-red-200 px-3 py-1.5 rounded-lg transition-all text-xs font-medium disabled:opacity-50"
+                    >
+                      Reject
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Pending Transactions */}
+        {status?.isLinked && status?.isRunning && pendingTxs.length > 0 && (
+          <div className="card bg-zinc-900/50">
+            <div className="mb-3">
+              <h3 className="text-sm font-semibold text-cyan-100">⏳ Pending Transactions ({pendingTxs.length})</h3>
+              <p className="text-xs text-cyan-300/70 mt-0.5">
+                Broadcast but not mined yet - stuck ones are re-sent with higher fees automatically
+              </p>
+            </div>
+
+            <div className="space-y-2">
+              {pendingTxs.map(tx => (
+                <div
+                  key={tx.nonce}
+                  className={`bg-black/30 border rounded-lg p-3 ${tx.stuck ? 'border-red-500/40' : 'border-cyan-500/20'}`}
+                >
+                  <div className="flex items-center justify-between mb-1">
+                    <span className="text-sm font-semibold text-white">
+                      {tx.action} <span className="text-xs text-cyan-300/70 font-normal">nonce {tx.nonce}</span>
+                    </span>
+                    {tx.cancelHash ? (
+                      <span className="text-xs text-yellow-300">Cancelling...</span>
+                    ) : (
+                      <button
+                        onClick={() => handleCancelPendingTx(tx.nonce)}
+                        disabled={cancellingNonce === tx.nonce}
+                        className="bg-red-500/20 hover:bg-red-500/30 border border-red-500/40 text-red-200 px-3 py-1 rounded-lg transition-all text-xs font-medium disabled:opacity-50"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </div>
+                  <div className="text-xs text-cyan-300/70 font-mono break-all">{tx.cancelHash || tx.hash}</div>
+                  <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-cyan-300/70 mt-1">
+                    <span>Sent {new Date(tx.sentAt).toLocaleTimeString()}</span>
+                    {tx.bumps > 0 && <span>Fee bumps: {tx.bumps}</span>}
+                    {tx.maxFeeGwei !== undefined && <span>Max fee: {tx.maxFeeGwei.toFixed(2)} gwei</span>}
+                    {tx.gasPriceGwei !== undefined && <span>Gas price: {tx.gasPriceGwei.toFixed(2)} gwei</span>}
+                    {tx.stuck && <span className="text-red-300">Still stuck after fee bumps</span>}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Token Allowances */}
+        {status?.isLinked && status?.isRunning && allowances && (
+          <div className="card bg-zinc-900/50">
+            <div className="flex items-center justify-between mb-3">
+              <div>
+                <h3 className="text-sm font-semibold text-cyan-100">🔏 Token Allowances</h3>
+                <p className="text-xs text-cyan-300/70 mt-0.5">
+                  Spenders allowed to move tokens out of the daemon wallet
+                </p>
+              </div>
+              {allowances.some(entry => entry.unlimited) && (
+                <button
+                  onClick={handleDowngradeAllowances}
+                  disabled={allowanceBusy !== null}
+                  className="bg-orange-500/20 hover:bg-orange-500/30 border border-orange-500/40 text-orange-200 px-3 py-1 rounded-lg transition-all text-xs font-medium disabled:opacity-50"
+                >
+                  {allowanceBusy === 'downgrade' ? 'Revoking...' : 'Revoke Unlimited'}
+                </button>
+              )}
+            </div>
+
+            {allowances.filter(entry => entry.allowance !== '0').length === 0 ? (
+              <p className="text-xs text-cyan-300/70">No active allowances</p>
+            ) : (
+              <div className="space-y-2">
+                {allowances.filter(entry => entry.allowance !== '0').map(entry => (
+                  <div
+                    key={`${entry.token}:${entry.spender}`}
+                    className={`bg-black/30 border rounded-lg p-3 flex items-center justify-between ${entry.unlimited ? 'border-orange-500/40' : 'border-cyan-500/20'}`}
+                  >
+                    <div>
+                      <span className="text-sm font-semibold text-white">
+                        {entry.symbol} <span className="text-xs text-cyan-300/70 font-normal">→ {entry.spenderName}</span>
+                      </span>
+                      <div className={`text-xs mt-0.5 ${entry.error ? 'text-red-300' : entry.unlimited ? 'text-orange-300' : 'text-cyan-300/70'}`}>
+                        {entry.error ? `Could not read: ${entry.error}` : entry.unlimited ? 'Unlimited' : entry.formatted}
+                      </div>
+                    </div>
+                    {!entry.error && (
+                      <button
+                        onClick={() => handleRevokeAllowance(entry)}
+                        disabled={allowanceBusy !== null}
+                        className="bg-red-500/20 hover:bg-red-500/30 border border-red-500/40 text-red-200 px-3 py-1 rounded-lg transition-all text-xs font-medium disabled:opacity-50"
+                      >
+                        {allowanceBusy === `${entry.token}:${entry.spender}` ? 'Revoking...' : 'Revoke'}
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Trading Schedule */}
+        {status?.isLinked && status?.isRunning && tradingSchedule?.source && (
+          <div className="card bg-zinc-900/50">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm font-semibold text-cyan-100">🕒 Trading Schedule</h3>
+              <span className={`text-xs font-semibold px-2 py-0.5 rounded-full ${
+                tradingSchedule.open
+                  ? 'bg-emerald-500/20 text-emerald-300 border border-emerald-500/40'
+                  : 'bg-yellow-500/20 text-yellow-300 border border-yellow-500/40'
+              }`}>
+                {tradingSchedule.open ? 'Open' : 'Closed'}
+              </span>
+            </div>
+            <p className="text-xs text-cyan-300/70 font-mono">{tradingSchedule.description}</p>
+            {tradingSchedule.open && tradingSchedule.currentWindow && (
+              <p className="text-xs text-cyan-300/70 mt-2">
+                Current window closes {new Date(tradingSchedule.currentWindow.end).toLocaleString()}
+              </p>
+            )}
+            {!tradingSchedule.open && (
+              <p className="text-xs text-yellow-300/80 mt-2">
+                {tradingSchedule.nextWindow
+                  ? `Next allowed window: ${new Date(tradingSchedule.nextWindow.start).toLocaleString()} - ${new Date(tradingSchedule.nextWindow.end).toLocaleString()}`
+                  : 'No upcoming trading window - intents will be refused'}
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Idle Sweep Toggle */}
         {status?.isLinked && (
           <div className="card border-cyan-400/50 bg-cyan-500/5">